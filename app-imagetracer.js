@@ -7,11 +7,15 @@ const AppState = {
   currentImage: null,
   currentSVG: null,
   fileName: null,
-  svgMode: null // 'embed' or 'vectorize'
+  svgMode: null, // 'embed', 'vectorize', 'centerline', 'bilevel' or 'hybrid'
+  svgInfo: null, // { width, height, preset, colors } for the filename template
+  tracedata: null, // ImageTracer tracedata of the vectorized result, for EPS/DXF export
+  tracerOptions: null, // Options the tracedata was traced with
+  linkedImage: null // { element, images } when the embedded image is saved as separate files, see ImageEncoder.encodeSet()
 };
 
 // Initialize components
-let canvasManager, sidebarMenu, topToolbar, progressModal, batchConverter;
+let canvasManager, regionSelector, sidebarMenu, topToolbar, progressModal, batchConverter, settingsPanel, copyMenu;
 
 // Initialize app
 async function initApp() {
@@ -20,6 +24,10 @@ async function initApp() {
     canvasManager = new CanvasManager('fabricCanvas');
     canvasManager.init();
     
+    // Regions to trace in hybrid mode
+    regionSelector = new RegionSelector(canvasManager);
+    regionSelector.init();
+    
     // Initialize UI components
     sidebarMenu = new SidebarMenu('sidebarNav');
     sidebarMenu.init();
@@ -29,6 +37,12 @@ async function initApp() {
     
     progressModal = new ProgressModal('progressModal');
     
+    settingsPanel = new SettingsPanel('settingsPanel');
+    settingsPanel.init();
+    
+    copyMenu = new CopyMenu();
+    copyMenu.init();
+    
     // Initialize batch converter
     batchConverter = new BatchConverter('batchView');
     batchConverter.init();
@@ -36,6 +50,9 @@ async function initApp() {
     // Attach event listeners
     attachEventListeners();
     
+    // Setup keyboard shortcuts
+    setupKeyboardShortcuts();
+    
   } catch (error) {
     ErrorHandler.handle(error, 'Initialization');
   }
@@ -63,6 +80,48 @@ function attachEventListeners() {
   document.addEventListener('imageLoaded', (event) => {
     topToolbar.updateState(false, false, true);
   });
+  
+  // Layer names live in the SVG itself
+  document.addEventListener('layerRename', (event) => {
+    if (AppState.currentSVG) {
+      const { index, name } = event.detail;
+      AppState.currentSVG = new SVGExporter().setLayerName(AppState.currentSVG, index, name);
+    }
+  });
+  
+  document.addEventListener('componentCopy', (event) => {
+    handleCopyComponent(event.detail.framework);
+  });
+  
+  // Listen for Copy menu choices
+  document.addEventListener('copyAction', (event) => {
+    handleCopy(event.detail.format, event.detail.scale);
+  });
+  
+  // Reflect region marking on the toolbar button
+  document.addEventListener('regionsChange', (event) => {
+    const { count, active } = event.detail;
+    const button = document.getElementById('toolbar-regions');
+    button.classList.toggle('active', active);
+    button.title = count > 0 ? `Mark regions for hybrid mode (${count} marked)` : 'Mark regions for hybrid mode';
+  });
+}
+
+// Setup keyboard shortcuts
+function setupKeyboardShortcuts() {
+  document.addEventListener('keydown', (e) => {
+    // Ctrl+Alt+C - Copy menu
+    // Not in text fields, and not for AltGr (sent as Ctrl+Alt on Windows), which types e.g. "ć" on Polish layouts
+    if (e.ctrlKey && e.altKey && e.code === 'KeyC' && !e.getModifierState('AltGraph') &&
+        !e.target.closest('input, select, textarea, [contenteditable]')) {
+      e.preventDefault();
+      if (!AppState.currentSVG) {
+        ErrorHandler.showWarning('No SVG to copy');
+        return;
+      }
+      copyMenu.toggle(document.getElementById('tool-copy'));
+    }
+  });
 }
 
 // Handle toolbar actions
@@ -87,6 +146,14 @@ function handleToolbarAction(action) {
     case 'fit-screen':
       canvasManager.fitToScreen();
       break;
+    case 'settings':
+      settingsPanel.toggle();
+      break;
+    case 'regions':
+      if (regionSelector.toggle()) {
+        ErrorHandler.showInfo('Drag on the image to mark regions to trace. Delete removes the last one, Esc stops.', 4000);
+      }
+      break;
   }
 }
 
@@ -104,9 +171,21 @@ async function handleSidebarAction(action) {
       case 'vectorize':
         await handleFullVectorize();
         break;
+      case 'centerline':
+        await handleFullVectorize('centerline');
+        break;
+      case 'bilevel':
+        await handleFullVectorize('bilevel');
+        break;
+      case 'hybrid':
+        await handleHybrid();
+        break;
       case 'download':
         await handleDownload();
         break;
+      case 'copy':
+        copyMenu.toggle(document.getElementById('tool-copy'));
+        break;
       case 'batch':
         handleBatch();
         break;
@@ -135,9 +214,24 @@ async function handleUpload() {
       // Load image using canvasManager
       await canvasManager.loadImage(file);
       
-      // Enable embed and vectorize buttons
+      const loaded = canvasManager.getImageData();
+      if (loaded) {
+        settingsPanel.setNaturalSize(loaded.width, loaded.height);
+      }
+      
+      // Detect image type and pick a matching preset
+      if (window.ImageTracerPro && window.ImageTracerPro.isReady) {
+        const detection = window.ImageTracerPro.analyzeImage(canvasManager.getImageData());
+        settingsPanel.setDetected(detection);
+        ErrorHandler.showInfo(`Detected ${detection.label.toLowerCase()} - using the "${detection.preset}" preset`);
+      }
+      
+      // Enable embed, vectorize, centerline, black & white and hybrid buttons
       sidebarMenu.setToolEnabled('embed', true);
       sidebarMenu.setToolEnabled('vectorize', true);
+      sidebarMenu.setToolEnabled('centerline', true);
+      sidebarMenu.setToolEnabled('bilevel', true);
+      sidebarMenu.setToolEnabled('hybrid', true);
       
       // Enable toolbar zoom buttons
       topToolbar.updateState(false, false, true);
@@ -157,47 +251,70 @@ async function handleEmbedImage() {
   try {
     // Show progress modal
     progressModal.show();
-    progressModal.updateProgress('Creating SVG...', 50);
+    progressModal.setStage('Creating SVG...', 50);
     
-    // Get image as data URL
-    const imageDataURL = canvasManager.getImageDataURL();
-    if (!imageDataURL) {
+    // Get image at its natural size
+    const imageCanvas = canvasManager.getImageCanvas();
+    if (!imageCanvas) {
       throw new ProcessingError('Cannot get image data');
     }
     
-    // Get image dimensions
-    const imageData = canvasManager.getImageData();
-    const width = imageData.width;
-    const height = imageData.height;
+    // Re-encode (format, quality, max size, target size) once per resolution of a linked image;
+    // the SVG keeps the image size, divided by the highest resolution
+    const embedOptions = settingsPanel.getEmbedOptions();
+    const encodedSet = await new ImageEncoder().encodeSet(imageCanvas, embedOptions);
+    const width = encodedSet.width;
+    const height = encodedSet.height;
+    
+    // The result holds the highest resolution; linked files replace it on download
+    const encoded = encodedSet.images[encodedSet.images.length - 1];
+    const imageElement = `<image width="${width}" height="${height}" xlink:href="${encoded.dataUrl}"/>`;
+    
+    // Output size (px, mm, cm, in, pt or viewBox only)
+    const sizeAttributes = new SVGExporter().getSizeAttributes(width, height, settingsPanel.getSizingOptions());
     
     // Create SVG with embedded image
     const svg = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
 <svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" 
-     width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+     ${sizeAttributes}viewBox="0 0 ${width} ${height}">
   <title>Embedded Image</title>
-  <image width="${width}" height="${height}" xlink:href="${imageDataURL}"/>
+  ${imageElement}
 </svg>`;
     
-    progressModal.updateProgress('Displaying result...', 80);
+    progressModal.setStage('Displaying result...', 80);
     
     // Store result
     AppState.currentSVG = svg;
     AppState.svgMode = 'embed';
+    AppState.svgInfo = { width, height };
+    AppState.tracedata = null;
+    AppState.tracerOptions = null;
+    AppState.linkedImage = embedOptions.linked ? { element: imageElement, images: encodedSet.images } : null;
+    settingsPanel.clearLayers();
     
     // Display SVG result on canvas
     await displaySVGResult(svg);
     
-    progressModal.updateProgress('Complete!', 100);
-    
     // Show completion
     progressModal.showComplete();
     
-    // Enable download button
+    // Enable download and copy buttons
     sidebarMenu.setToolEnabled('download', true);
+    sidebarMenu.setToolEnabled('copy', true);
     
-    // Show success message
+    // Show success message, or the missed target size
+    const exporter = new SVGExporter();
+    const embeddedSize = exporter.formatFileSize(embedOptions.linked ? encoded.bytes : encoded.dataUrl.length);
+    const resized = encoded.width !== imageCanvas.width ? ` at ${encoded.width}x${encoded.height}` : '';
+    const quality = encoded.quality !== null ? `, quality ${encoded.quality}` : '';
+    const kind = embedOptions.linked ? 'linked' : 'embedded';
+    const files = encodedSet.images.length > 1 ? ` in ${encodedSet.images.length} resolutions` : '';
     setTimeout(() => {
-      ErrorHandler.showSuccess('SVG created with embedded image! You can download it now.', 3000);
+      if (encodedSet.images.every(image => image.targetMet)) {
+        ErrorHandler.showSuccess(`SVG created with ${kind} ${encoded.format.toUpperCase()} image${resized} (${embeddedSize}${quality})${files}. You can download it now.`, 3000);
+      } else {
+        ErrorHandler.showWarning(`Target size not reached: the ${kind} ${encoded.format.toUpperCase()} image${resized} is ${embeddedSize} at the lowest quality. Lower the maximum size to shrink it further.`, 6000);
+      }
     }, 1000);
     
   } catch (error) {
@@ -207,7 +324,11 @@ async function handleEmbedImage() {
 }
 
 // Handle full vectorization - Smooth image BEFORE vectorizing
-async function handleFullVectorize() {
+// mode: 'vectorize' (color outlines), 'centerline' (single strokes along the middle of the lines)
+// or 'bilevel' (black-and-white Bézier outlines)
+async function handleFullVectorize(mode = 'vectorize') {
+  const kind = { vectorize: 'Vectorization', centerline: 'Centerline tracing', bilevel: 'Black and white tracing' }[mode];
+  
   try {
     // Get image data
     let imageData = canvasManager.getImageData();
@@ -215,41 +336,206 @@ async function handleFullVectorize() {
       throw new ProcessingError('Cannot get image data');
     }
     
-    // Show progress modal
-    progressModal.show();
-    progressModal.updateProgress('Processing...', 30);
-    
     if (!window.ImageTracerPro) {
       throw new ProcessingError('ImageTracer not loaded');
     }
     
-    progressModal.updateProgress('Vectorizing...', 50);
-    const svg = await window.ImageTracerPro.vectorize(imageData);
+    // Show progress modal; Cancel terminates the tracer worker
+    progressModal.show({
+      onCancel: () => window.ImageTracerPro.cancel()
+    });
     
-    progressModal.updateProgress('Displaying result...', 85);
+    // Recorded before tracing: the pixel buffer is transferred to the worker
+    const options = mode === 'vectorize' ? settingsPanel.getOptions() : { ...settingsPanel.getOptions(), [mode]: true };
+    const exportOptions = settingsPanel.getExportOptions();
+    const sizing = settingsPanel.getSizingOptions();
+    const preset = window.ImageTracerPro.getPreset();
+    const svgInfo = {
+      width: imageData.width,
+      height: imageData.height,
+      preset,
+      colors: mode === 'vectorize' ? window.ImageTracerPro.resolveOptions(preset, options).numberofcolors : 1
+    };
+    
+    // The tracer reports each quantization cycle, layer and path batch
+    const traced = await window.ImageTracerPro.trace(
+      imageData,
+      options,
+      ({ stage, percentage }) => progressModal.updateProgress(stage, percentage)
+    );
+    let svg = traced.svg;
+    
+    // Optimize path data and attributes
+    let sizeMessage = '';
+    if (exportOptions.optimize) {
+      progressModal.setStage('Optimizing SVG...', 100);
+      const exporter = new SVGExporter();
+      const before = exporter.getFileSize(svg);
+      svg = exporter.optimize(svg, { precision: exportOptions.precision });
+      const after = exporter.getFileSize(svg);
+      
+      settingsPanel.setOptimizeResult(before, after);
+      sizeMessage = ` Optimized from ${exporter.formatFileSize(before)} to ${exporter.formatFileSize(after)}.`;
+    }
+    
+    // Output size (px, mm, cm, in, pt or viewBox only)
+    svg = new SVGExporter().applySize(svg, sizing);
+    
+    progressModal.setStage('Displaying result...', 100);
     
     // Store result
     AppState.currentSVG = svg;
-    AppState.svgMode = 'vectorize';
+    AppState.svgMode = mode;
+    AppState.svgInfo = svgInfo;
+    AppState.tracedata = traced.tracedata;
+    AppState.tracerOptions = traced.options;
+    AppState.linkedImage = null;
+    settingsPanel.setLayers(new SVGExporter().getLayers(svg));
     
     // Display SVG result on canvas
     await displaySVGResult(svg);
     
-    progressModal.updateProgress('Complete!', 100);
+    // Show completion
+    progressModal.showComplete();
+    
+    // Enable download and copy buttons
+    sidebarMenu.setToolEnabled('download', true);
+    sidebarMenu.setToolEnabled('copy', true);
+    
+    // Show success message, or the tracer's warning about the result
+    setTimeout(() => {
+      if (traced.warning) {
+        ErrorHandler.showWarning(traced.warning, 6000);
+      } else {
+        ErrorHandler.showSuccess(`${kind} successful!${sizeMessage} You can download the SVG now.`, 4000);
+      }
+    }, 1000);
+    
+  } catch (error) {
+    progressModal.hide();
+    
+    // Cancelled: the source image is still on the canvas, nothing else to undo
+    if (error instanceof CancellationError) {
+      ErrorHandler.showInfo(`${kind} cancelled`);
+      return;
+    }
+    
+    throw error;
+  }
+}
+
+// Handle hybrid mode: trace the marked regions (or detected flat-color areas) and keep
+// the rest of the image embedded, masked out beneath the vectors
+async function handleHybrid() {
+  try {
+    // Regions refer to the source image, so read them before the result replaces it
+    const imageData = canvasManager.getImageData();
+    const imageCanvas = canvasManager.getImageCanvas();
+    if (!imageData || !imageCanvas) {
+      throw new ProcessingError('Cannot get image data');
+    }
+    
+    if (!window.ImageTracerPro) {
+      throw new ProcessingError('ImageTracer not loaded');
+    }
+    
+    const composer = new HybridComposer();
+    let regions = regionSelector.getRegions();
+    const detected = regions.length === 0;
+    if (detected) {
+      regions = composer.detectRegions(imageData);
+    }
+    if (regions.length === 0) {
+      ErrorHandler.showWarning('No flat-color areas found. Mark the regions to trace with the Mark regions tool.', 5000);
+      return;
+    }
+    regionSelector.disable();
+    
+    // Show progress modal; Cancel terminates the tracer worker
+    progressModal.show({
+      onCancel: () => window.ImageTracerPro.cancel()
+    });
+    
+    const options = settingsPanel.getOptions();
+    const exportOptions = settingsPanel.getExportOptions();
+    const embedOptions = settingsPanel.getEmbedOptions();
+    const preset = window.ImageTracerPro.getPreset();
+    const exporter = new SVGExporter();
+    
+    // Each region is traced on its own, in its own pixel coordinates
+    const traced = [];
+    for (let i = 0; i < regions.length; i++) {
+      const region = regions[i];
+      const result = await window.ImageTracerPro.trace(
+        composer.crop(imageData, region),
+        options,
+        // One bar for all regions; "Complete!" waits for the last one
+        ({ stage, percentage }) => progressModal.updateProgress(
+          Math.min(stage, 3),
+          (i + percentage / 100) / regions.length * 80
+        )
+      );
+      const svg = exportOptions.optimize ? exporter.optimize(result.svg, { precision: exportOptions.precision }) : result.svg;
+      traced.push({ region, svg });
+    }
+    
+    // The rest of the image, encoded with the Embedded Image settings; the traced areas are cleared to save bytes
+    progressModal.setStage('Encoding image...', 85);
+    const encodedSet = await new ImageEncoder().encodeSet(composer.cutOut(imageCanvas, regions), embedOptions);
+    const encoded = encodedSet.images[encodedSet.images.length - 1];
+    const imageElement = composer.getImageElement(encoded.dataUrl, imageData.width, imageData.height);
+    
+    // The viewBox stays in image pixels, so regions and image line up whatever the encoded size
+    const svg = composer.compose({
+      width: imageData.width,
+      height: imageData.height,
+      sizeAttributes: exporter.getSizeAttributes(encodedSet.width, encodedSet.height, settingsPanel.getSizingOptions()),
+      imageElement,
+      traced
+    });
+    
+    progressModal.setStage('Displaying result...', 100);
+    
+    // Store result
+    AppState.currentSVG = svg;
+    AppState.svgMode = 'hybrid';
+    AppState.svgInfo = {
+      width: imageData.width,
+      height: imageData.height,
+      preset,
+      colors: window.ImageTracerPro.resolveOptions(preset, options).numberofcolors
+    };
+    AppState.tracedata = null;
+    AppState.tracerOptions = null;
+    AppState.linkedImage = embedOptions.linked ? { element: imageElement, images: encodedSet.images } : null;
+    settingsPanel.clearLayers();
+    
+    // Display SVG result on canvas
+    await displaySVGResult(svg);
     
     // Show completion
     progressModal.showComplete();
     
-    // Enable download button
+    // Enable download and copy buttons
     sidebarMenu.setToolEnabled('download', true);
+    sidebarMenu.setToolEnabled('copy', true);
     
     // Show success message
+    const source = detected ? 'detected flat-color' : 'marked';
+    const plural = regions.length === 1 ? 'region' : 'regions';
     setTimeout(() => {
-      ErrorHandler.showSuccess('Vectorization successful! You can download the SVG now.', 3000);
+      ErrorHandler.showSuccess(`Hybrid SVG created: ${regions.length} ${source} ${plural} traced over the ${encoded.format.toUpperCase()} image (${exporter.formatFileSize(exporter.getFileSize(svg))}). You can download it now.`, 4000);
     }, 1000);
     
   } catch (error) {
     progressModal.hide();
+    
+    // Cancelled: the source image is still on the canvas, nothing else to undo
+    if (error instanceof CancellationError) {
+      ErrorHandler.showInfo('Hybrid tracing cancelled');
+      return;
+    }
+    
     throw error;
   }
 }
@@ -263,20 +549,164 @@ async function handleDownload() {
   
   try {
     const exporter = new SVGExporter();
+    const downloadOptions = settingsPanel.getDownloadOptions();
+    
+    // Generate filename from the filename template
+    const filename = getOutputName() + `.${downloadOptions.format}`;
+    
+    // Download; the output size settings may have changed since the SVG was created
+    const svg = exporter.applySize(AppState.currentSVG, settingsPanel.getSizingOptions());
+    if (exporter.componentFormats[downloadOptions.format]) {
+      const component = getComponentOutput(downloadOptions.format);
+      exporter.downloadFile(new Blob([component.code], { type: 'text/plain;charset=utf-8' }), component.filename);
+    } else if (downloadOptions.format === 'pdf') {
+      const pdf = await exporter.toPDF(svg, {
+        pageSize: downloadOptions.pageSize,
+        dpi: downloadOptions.dpi
+      });
+      exporter.downloadFile(pdf, filename);
+    } else if (downloadOptions.format === 'png' || downloadOptions.format === 'webp') {
+      // Re-rasterized from the vector result at the chosen scale or pixel size
+      const raster = settingsPanel.getRasterOptions();
+      const image = await exporter.rasterize(svg, raster);
+      exporter.downloadFile(image, getOutputName() + exporter.getRasterSuffix(raster) + `.${downloadOptions.format}`);
+    } else if (downloadOptions.format === 'icons') {
+      const iconOptions = settingsPanel.getIconPackOptions();
+      const pack = await exporter.toIconPack(svg, {
+        ...iconOptions,
+        name: iconOptions.name || window.filenameTemplate.baseName(AppState.fileName)
+      });
+      exporter.downloadFile(pack, `${getOutputName()}-icons.zip`);
+      ErrorHandler.showSuccess('Icon pack downloaded. Paste the tags from icons.html into your page <head>', 4000);
+    } else if (downloadOptions.format === 'eps' || downloadOptions.format === 'dxf') {
+      // EPS and DXF are written from the tracedata, so they need a vectorized result (not centerline or black and white)
+      if (!AppState.tracedata) {
+        ErrorHandler.showWarning(`${downloadOptions.format.toUpperCase()} export needs a vectorized image. Use Vectorize first.`);
+        return;
+      }
+      exporter.downloadFile(exporter.toCAD(downloadOptions.format, AppState.tracedata, {
+        ...AppState.tracerOptions,
+        units: downloadOptions.units,
+        dpi: downloadOptions.dpi,
+        title: filename
+      }), filename);
+    } else if (AppState.linkedImage) {
+      // SVG and the image files it links, with matching names
+      const name = getOutputName();
+      exporter.downloadFile(await getLinkedPackage(svg, name), `${name}.zip`);
+      ErrorHandler.showSuccess(`Downloaded ${name}.svg with its linked image files as ${name}.zip`);
+    } else {
+      exporter.download(svg, filename);
+    }
     
-    // Generate filename based on mode
-    const baseName = AppState.fileName 
-      ? AppState.fileName.replace(/\.[^/.]+$/, '') 
-      : 'image';
-    
-    const suffix = AppState.svgMode === 'embed' ? 'embedded' : 'vectorized';
-    const filename = `${baseName}-${suffix}.svg`;
+  } catch (error) {
+    if (error instanceof ExportError) {
+      ErrorHandler.showError(error.message);
+      return;
+    }
+    ErrorHandler.handle(error, 'Download');
+  }
+}
+
+// ZIP of the SVG linking its image files: name.svg, name.webp, name@2x.webp, ...
+async function getLinkedPackage(svg, name) {
+  if (!window.JSZip) {
+    throw new ExportError('JSZip library not loaded. Please reload the page.');
+  }
+  
+  const encoder = new ImageEncoder();
+  const files = AppState.linkedImage.images.map(image => ({
+    href: `${name}${image.suffix}.${encoder.getExtension(image.blob.type)}`,
+    density: image.density,
+    blob: image.blob
+  }));
+  
+  const zip = new window.JSZip();
+  zip.file(`${name}.svg`, new SVGExporter().linkImage(svg, AppState.linkedImage.element, files));
+  files.forEach(file => zip.file(file.href, file.blob));
+  return zip.generateAsync({ type: 'blob' });
+}
+
+// Output filename (without extension) from the filename template
+function getOutputName() {
+  return window.filenameTemplate.format({
+    name: window.filenameTemplate.baseName(AppState.fileName),
+    mode: { embed: 'embedded', centerline: 'centerline', bilevel: 'bilevel', hybrid: 'hybrid' }[AppState.svgMode] || 'vectorized',
+    ...AppState.svgInfo,
+    index: 1
+  });
+}
+
+// Current result as a React/Vue/Svelte component: { name, code, filename }
+function getComponentOutput(framework) {
+  const exporter = new SVGExporter();
+  const svg = exporter.applySize(AppState.currentSVG, settingsPanel.getSizingOptions());
+  const name = exporter.toComponentName(getOutputName());
+  
+  return {
+    name,
+    code: exporter.toComponent(svg, { framework, name }),
+    filename: `${name}.${exporter.getComponentExtension(framework)}`
+  };
+}
+
+// Handle "Copy as component"
+async function handleCopyComponent(framework) {
+  if (!AppState.currentSVG) {
+    ErrorHandler.showWarning('No SVG to copy');
+    return;
+  }
+  
+  try {
+    const component = getComponentOutput(framework);
+    await navigator.clipboard.writeText(component.code);
+    ErrorHandler.showSuccess(`Copied ${component.filename} to the clipboard`);
+  } catch (error) {
+    ErrorHandler.handle(error, 'Copy component');
+  }
+}
+
+// Handle Copy menu: SVG markup, data URI, CSS background or PNG
+async function handleCopy(format, scale = 1) {
+  if (!AppState.currentSVG) {
+    ErrorHandler.showWarning('No SVG to copy');
+    return;
+  }
+  
+  try {
+    const exporter = new SVGExporter();
+    const svg = exporter.applySize(AppState.currentSVG, settingsPanel.getSizingOptions());
+    
+    if (format === 'png') {
+      // The clipboard write starts right away, while the click still counts as a user gesture;
+      // the PNG is rendered meanwhile
+      const png = exporter.rasterize(svg, { scale });
+      const [blob] = await Promise.all([
+        png,
+        navigator.clipboard.write([new ClipboardItem({ 'image/png': png })])
+      ]);
+      ErrorHandler.showSuccess(`Copied PNG (${scale}x, ${exporter.formatFileSize(blob.size)}) to the clipboard`);
+      return;
+    }
     
-    // Download
-    exporter.download(AppState.currentSVG, filename);
+    const copies = {
+      svg: { text: svg, label: 'SVG markup' },
+      'data-uri': { text: exporter.toDataURL(svg), label: 'data URI' },
+      css: { text: exporter.toCSSBackground(svg), label: 'CSS background' }
+    };
+    const copy = copies[format];
+    if (!copy) {
+      throw new ExportError(`Unknown copy format "${format}"`);
+    }
     
+    await navigator.clipboard.writeText(copy.text);
+    ErrorHandler.showSuccess(`Copied ${copy.label} (${exporter.formatFileSize(exporter.getFileSize(copy.text))}) to the clipboard`);
   } catch (error) {
-    ErrorHandler.handle(error, 'Download');
+    if (error instanceof ExportError) {
+      ErrorHandler.showError(error.message);
+      return;
+    }
+    ErrorHandler.handle(error, 'Copy');
   }
 }
 
@@ -357,10 +787,22 @@ function handleClear() {
   AppState.currentSVG = null;
   AppState.fileName = null;
   AppState.svgMode = null;
+  AppState.svgInfo = null;
+  AppState.tracedata = null;
+  AppState.tracerOptions = null;
+  AppState.linkedImage = null;
+  
+  settingsPanel.clearDetected();
+  settingsPanel.clearLayers();
+  settingsPanel.setNaturalSize(0, 0);
   
   sidebarMenu.setToolEnabled('embed', false);
   sidebarMenu.setToolEnabled('vectorize', false);
+  sidebarMenu.setToolEnabled('centerline', false);
+  sidebarMenu.setToolEnabled('bilevel', false);
+  sidebarMenu.setToolEnabled('hybrid', false);
   sidebarMenu.setToolEnabled('download', false);
+  sidebarMenu.setToolEnabled('copy', false);
   
   // Disable toolbar buttons
   topToolbar.updateState(false, false, false);
@@ -496,6 +496,27 @@ class CanvasManager {
    * @returns {string|null} - Data URL or null if no image
    */
   getImageDataURL() {
+    const tempCanvas = this.getImageCanvas();
+    if (!tempCanvas) {
+      return null;
+    }
+    
+    try {
+      // Convert to data URL (PNG format for best quality)
+      const dataURL = tempCanvas.toDataURL('image/png');
+      
+      return dataURL;
+      
+    } catch (error) {
+      throw new ProcessingError('Cannot create data URL for image');
+    }
+  }
+  
+  /**
+   * Get the image at its natural size on a new canvas, e.g. for re-encoding
+   * @returns {HTMLCanvasElement|null} - Canvas or null if no image
+   */
+  getImageCanvas() {
     if (!this.currentImage) {
       return null;
     }
@@ -513,13 +534,10 @@ class CanvasManager {
       // Draw image to temporary canvas
       ctx.drawImage(imgElement, 0, 0);
       
-      // Convert to data URL (PNG format for best quality)
-      const dataURL = tempCanvas.toDataURL('image/png');
-      
-      return dataURL;
+      return tempCanvas;
       
     } catch (error) {
-      throw new ProcessingError('Cannot create data URL for image');
+      throw new ProcessingError('Cannot copy image');
     }
   }
   
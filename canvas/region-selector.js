@@ -0,0 +1,246 @@
+/**
+ * RegionSelector Class
+ * Lets the user mark rectangles on the source image (used by hybrid mode)
+ * Regions are kept in image pixels, so they follow the image when it is zoomed or panned
+ */
+class RegionSelector {
+  constructor(canvasManager) {
+    this.canvasManager = canvasManager;
+    this.regions = []; // [{ x, y, width, height }] in image pixels
+    this.active = false;
+    this.draft = null; // Region being dragged
+    this.dragStart = null;
+    this.minSize = 4; // Smaller drags are ignored (clicks)
+    
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+  
+  /**
+   * Attach canvas and document listeners
+   */
+  init() {
+    const canvas = this.canvasManager.getCanvas();
+    
+    canvas.on('mouse:down', (opt) => {
+      // Shift + drag and the middle button still pan
+      if (!this.active || opt.e.button !== 0 || opt.e.shiftKey || !this.getImage()) {
+        return;
+      }
+      this.dragStart = this.toImagePoint(opt.e);
+      this.draft = { x: this.dragStart.x, y: this.dragStart.y, width: 0, height: 0 };
+    });
+    
+    canvas.on('mouse:move', (opt) => {
+      if (!this.dragStart) {
+        return;
+      }
+      const point = this.toImagePoint(opt.e);
+      this.draft = this.clampRegion({
+        x: Math.min(point.x, this.dragStart.x),
+        y: Math.min(point.y, this.dragStart.y),
+        width: Math.abs(point.x - this.dragStart.x),
+        height: Math.abs(point.y - this.dragStart.y)
+      });
+      canvas.requestRenderAll();
+    });
+    
+    canvas.on('mouse:up', () => {
+      if (!this.dragStart) {
+        return;
+      }
+      if (this.draft && this.draft.width >= this.minSize && this.draft.height >= this.minSize) {
+        this.regions.push(this.draft);
+        this.dispatchChange();
+      }
+      this.dragStart = null;
+      this.draft = null;
+      canvas.requestRenderAll();
+    });
+    
+    canvas.on('after:render', () => this.draw());
+    
+    // A new image or an empty canvas drops the regions
+    document.addEventListener('imageLoaded', () => this.clear());
+    document.addEventListener('canvasCleared', () => {
+      this.clear();
+      this.disable();
+    });
+  }
+  
+  /**
+   * The source image, or null when the canvas shows a result (regions only apply to the source)
+   */
+  getImage() {
+    const image = this.canvasManager.getCurrentImage();
+    return image && image.type === 'image' ? image : null;
+  }
+  
+  /**
+   * Start marking regions: dragging on the image draws a rectangle instead of moving the image
+   */
+  enable() {
+    const image = this.getImage();
+    if (!image) {
+      return false;
+    }
+    
+    this.active = true;
+    image.set({ selectable: false, evented: false });
+    const canvas = this.canvasManager.getCanvas();
+    canvas.discardActiveObject();
+    canvas.defaultCursor = 'crosshair';
+    canvas.requestRenderAll();
+    document.addEventListener('keydown', this.handleKeyDown);
+    this.dispatchChange();
+    return true;
+  }
+  
+  /**
+   * Stop marking regions; the marked regions are kept
+   */
+  disable() {
+    if (!this.active) {
+      return;
+    }
+    
+    this.active = false;
+    this.dragStart = null;
+    this.draft = null;
+    const image = this.getImage();
+    if (image) {
+      image.set({ selectable: true, evented: true });
+    }
+    const canvas = this.canvasManager.getCanvas();
+    canvas.defaultCursor = 'default';
+    canvas.requestRenderAll();
+    document.removeEventListener('keydown', this.handleKeyDown);
+    this.dispatchChange();
+  }
+  
+  /**
+   * Toggle region marking
+   * @returns {boolean} - Whether marking is now active
+   */
+  toggle() {
+    if (this.active) {
+      this.disable();
+      return false;
+    }
+    return this.enable();
+  }
+  
+  /**
+   * Delete or Backspace removes the last region, Escape stops marking
+   */
+  handleKeyDown(e) {
+    if (e.target.closest('input, select, textarea')) {
+      return;
+    }
+    
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      if (this.regions.length > 0) {
+        this.regions.pop();
+        this.canvasManager.getCanvas().requestRenderAll();
+        this.dispatchChange();
+      }
+    } else if (e.key === 'Escape') {
+      this.disable();
+    }
+  }
+  
+  /**
+   * Marked regions
+   * @returns {Array<Object>} - [{ x, y, width, height }] in whole image pixels
+   */
+  getRegions() {
+    return this.regions.map(region => {
+      const x = Math.floor(region.x);
+      const y = Math.floor(region.y);
+      return {
+        x,
+        y,
+        width: Math.ceil(region.x + region.width) - x,
+        height: Math.ceil(region.y + region.height) - y
+      };
+    });
+  }
+  
+  /**
+   * Remove all regions
+   */
+  clear() {
+    this.regions = [];
+    this.draft = null;
+    this.dragStart = null;
+    this.canvasManager.getCanvas().requestRenderAll();
+    this.dispatchChange();
+  }
+  
+  /**
+   * Canvas pointer position in image pixels
+   */
+  toImagePoint(e) {
+    const image = this.getImage();
+    const pointer = this.canvasManager.getCanvas().getPointer(e);
+    const inverse = fabric.util.invertTransform(image.calcTransformMatrix());
+    const local = fabric.util.transformPoint(new fabric.Point(pointer.x, pointer.y), inverse);
+    
+    // The object matrix has its origin at the image center
+    return { x: local.x + image.width / 2, y: local.y + image.height / 2 };
+  }
+  
+  /**
+   * Limit a region to the image
+   */
+  clampRegion(region) {
+    const image = this.getImage();
+    const x = Math.max(0, region.x);
+    const y = Math.max(0, region.y);
+    return {
+      x,
+      y,
+      width: Math.max(0, Math.min(image.width, region.x + region.width) - x),
+      height: Math.max(0, Math.min(image.height, region.y + region.height) - y)
+    };
+  }
+  
+  /**
+   * Draw the regions over the image after each canvas render
+   */
+  draw() {
+    const image = this.getImage();
+    const regions = this.draft ? [...this.regions, this.draft] : this.regions;
+    if (!image || regions.length === 0) {
+      return;
+    }
+    
+    const canvas = this.canvasManager.getCanvas();
+    const ctx = canvas.getContext();
+    const scale = image.scaleX || 1;
+    
+    ctx.save();
+    ctx.transform(...canvas.viewportTransform);
+    ctx.transform(...image.calcTransformMatrix());
+    ctx.translate(-image.width / 2, -image.height / 2);
+    ctx.lineWidth = 2 / scale;
+    ctx.setLineDash([6 / scale, 4 / scale]);
+    regions.forEach(region => {
+      ctx.fillStyle = 'rgba(59, 130, 246, 0.15)';
+      ctx.fillRect(region.x, region.y, region.width, region.height);
+      ctx.strokeStyle = '#3b82f6';
+      ctx.strokeRect(region.x, region.y, region.width, region.height);
+    });
+    ctx.restore();
+  }
+  
+  /**
+   * Notify the toolbar: 'regionsChange' with { count, active }
+   */
+  dispatchChange() {
+    document.dispatchEvent(new CustomEvent('regionsChange', {
+      detail: { count: this.regions.length, active: this.active },
+      bubbles: true
+    }));
+  }
+}
@@ -9,9 +9,30 @@ class BatchConverter {
     this.view = null;
     this.images = [];
     this.selectedOption = 'embed'; // 'embed' or 'vectorize'
+    
+    // Settings for images without their own override
+    this.defaultSettings = {
+      mode: 'embed',
+      preset: 'auto', // 'auto' picks the preset from ImageTracerPro.analyzeImage()
+      numberofcolors: null, // null uses the preset's color count
+      background: 'keep' // 'keep', 'transparent' or 'white'
+    };
+    this.imageSettings = null; // BatchImageSettings dialog
+    this.outputFormat = 'svg'; // 'svg', 'pdf', 'eps', 'dxf', 'png', 'webp' or a component format, applied when the ZIP is built
+    this.outputUnits = 'px'; // Units of EPS and DXF output
+    this.rasterSizes = [{ scale: 1, width: null, height: null }]; // PNG/WebP files per image, see parseRasterSizes()
+    this.rasterBackground = null; // CSS color behind PNG/WebP images, null for transparent
+    this.extraOutputs = { sprite: false, iconFont: false }; // Combined outputs besides the per-file results
+    this.embedOptions = new ImageEncoder().validateOptions(); // Format, quality, max size and target size of embedded images
     this.isProcessing = false;
+    this.isPaused = false;
+    this.isCancelled = false;
+    this.resumeWaiters = []; // Runners waiting for resume()
     this.processedCount = 0;
+    this.runTotal = 0; // Number of images in the current run
     this.nextId = 1; // Counter cho ID
+    this.workerPool = null; // Created on first vectorize batch
+    this.embedConcurrency = 4;
   }
 
   /**
@@ -22,6 +43,7 @@ class BatchConverter {
     if (!this.view) {
       return;
     }
+    this.imageSettings = new BatchImageSettings('batchSettingsDialog');
     this.attachEventListeners();
   }
 
@@ -54,9 +76,25 @@ class BatchConverter {
       uploadZone.classList.remove('drag-over');
     });
 
-    uploadZone.addEventListener('drop', (e) => {
+    uploadZone.addEventListener('drop', async (e) => {
       e.preventDefault();
       uploadZone.classList.remove('drag-over');
+      
+      // Folders can only be read through the entry API; plain file lists flatten them away
+      const items = Array.from(e.dataTransfer.items || []);
+      if (items.length > 0 && typeof items[0].webkitGetAsEntry === 'function') {
+        const entries = items
+          .filter(item => item.kind === 'file')
+          .map(item => item.webkitGetAsEntry())
+          .filter(Boolean);
+        try {
+          this.addFiles(await this.readDroppedEntries(entries));
+        } catch (error) {
+          ErrorHandler.handle(new FileLoadError('Cannot read the dropped folder.'), 'Batch folder drop');
+        }
+        return;
+      }
+      
       this.handleFileSelect(e.dataTransfer.files);
     });
 
@@ -73,6 +111,130 @@ class BatchConverter {
 
     // Download all
     document.getElementById('batchDownload').addEventListener('click', () => this.downloadAll());
+
+    // Queue controls
+    document.getElementById('batchPause').addEventListener('click', () => {
+      if (this.isPaused) {
+        this.resume();
+      } else {
+        this.pause();
+      }
+    });
+    document.getElementById('batchCancel').addEventListener('click', () => this.cancelConversion());
+    document.getElementById('batchRetry').addEventListener('click', () => this.retryFailed());
+    
+    // Filename template (shared with the single download)
+    const filenameInput = document.getElementById('batchFilenameTemplate');
+    filenameInput.value = window.filenameTemplate.load();
+    filenameInput.addEventListener('change', () => {
+      try {
+        filenameInput.value = window.filenameTemplate.save(filenameInput.value);
+      } catch (error) {
+        ErrorHandler.handle(error, 'Filename template');
+        filenameInput.value = window.filenameTemplate.load();
+      }
+    });
+    document.addEventListener('filenameTemplateChange', (event) => {
+      filenameInput.value = event.detail.template;
+    });
+    
+    const formatSelect = document.getElementById('batchOutputFormat');
+    formatSelect.value = this.outputFormat;
+    const unitsSelect = document.getElementById('batchOutputUnits');
+    unitsSelect.value = this.outputUnits;
+    const rasterOptions = document.getElementById('batchRasterOptions');
+    formatSelect.addEventListener('change', () => {
+      this.outputFormat = formatSelect.value;
+      unitsSelect.style.display = ['eps', 'dxf'].includes(this.outputFormat) ? '' : 'none';
+      rasterOptions.style.display = ['png', 'webp'].includes(this.outputFormat) ? '' : 'none';
+    });
+    unitsSelect.addEventListener('change', () => {
+      this.outputUnits = unitsSelect.value;
+    });
+    
+    const sizesInput = document.getElementById('batchRasterSizes');
+    sizesInput.value = this.formatRasterSizes(this.rasterSizes);
+    sizesInput.addEventListener('change', () => {
+      try {
+        this.rasterSizes = this.parseRasterSizes(sizesInput.value);
+      } catch (error) {
+        ErrorHandler.handle(error, 'Image sizes');
+      }
+      sizesInput.value = this.formatRasterSizes(this.rasterSizes);
+    });
+    
+    const backgroundSelect = document.getElementById('batchRasterBackground');
+    const colorInput = document.getElementById('batchRasterColor');
+    const updateBackground = () => {
+      colorInput.disabled = backgroundSelect.value !== 'solid';
+      this.rasterBackground = backgroundSelect.value === 'solid' ? colorInput.value : null;
+    };
+    backgroundSelect.addEventListener('change', updateBackground);
+    colorInput.addEventListener('input', updateBackground);
+    
+    // Embedded image encoding: checked on change, the fields fall back to the last valid options
+    const embedFormatSelect = document.getElementById('batchEmbedFormat');
+    const embedInputs = {
+      quality: document.getElementById('batchEmbedQuality'),
+      maxSize: document.getElementById('batchEmbedMaxSize'),
+      targetSize: document.getElementById('batchEmbedTargetSize'),
+      linked: document.getElementById('batchEmbedLinked'),
+      resolutions: document.getElementById('batchEmbedResolutions')
+    };
+    const showEmbedOptions = () => {
+      embedFormatSelect.value = this.embedOptions.format;
+      embedInputs.quality.value = this.embedOptions.quality === null ? embedInputs.quality.value : this.embedOptions.quality;
+      embedInputs.maxSize.value = this.embedOptions.maxSize === null ? '' : this.embedOptions.maxSize;
+      embedInputs.targetSize.value = this.embedOptions.targetSize === null ? embedInputs.targetSize.value : this.embedOptions.targetSize;
+      embedInputs.linked.checked = this.embedOptions.linked;
+      if (this.embedOptions.linked) {
+        embedInputs.resolutions.value = new ImageEncoder().formatResolutions(this.embedOptions.resolutions);
+      }
+      embedInputs.quality.disabled = this.embedOptions.format === 'png';
+      embedInputs.targetSize.disabled = this.embedOptions.format === 'png';
+      embedInputs.resolutions.disabled = !this.embedOptions.linked;
+    };
+    const updateEmbedOptions = () => {
+      const before = JSON.stringify(this.embedOptions);
+      try {
+        this.embedOptions = new ImageEncoder().validateOptions({
+          format: embedFormatSelect.value,
+          quality: embedInputs.quality.value,
+          maxSize: embedInputs.maxSize.value,
+          targetSize: embedInputs.targetSize.value,
+          linked: embedInputs.linked.checked,
+          resolutions: embedInputs.resolutions.value
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'Embedded images');
+      }
+      showEmbedOptions();
+      
+      // Embedded images already converted with the old encoding are converted again
+      if (JSON.stringify(this.embedOptions) !== before) {
+        this.images
+          .filter(img => this.getImageSettings(img).mode === 'embed')
+          .forEach(img => this.invalidateImage(img));
+        this.updateUI();
+      }
+    };
+    embedFormatSelect.addEventListener('change', updateEmbedOptions);
+    Object.values(embedInputs).forEach(input => input.addEventListener('change', updateEmbedOptions));
+    showEmbedOptions();
+    
+    // Formats the browser cannot encode (AVIF in most browsers)
+    new ImageEncoder().disableUnsupportedOptions(embedFormatSelect);
+    
+    const spriteInput = document.getElementById('batchSprite');
+    const iconFontInput = document.getElementById('batchIconFont');
+    spriteInput.checked = this.extraOutputs.sprite;
+    iconFontInput.checked = this.extraOutputs.iconFont;
+    spriteInput.addEventListener('change', () => {
+      this.extraOutputs.sprite = spriteInput.checked;
+    });
+    iconFontInput.addEventListener('change', () => {
+      this.extraOutputs.iconFont = iconFontInput.checked;
+    });
   }
 
   /**
@@ -112,7 +274,10 @@ class BatchConverter {
       ErrorHandler.confirm(
         'Processing in progress. Are you sure you want to cancel?',
         'Confirm Cancel',
-        () => this.doHide(),
+        () => {
+          this.cancelConversion();
+          this.doHide();
+        },
         null
       );
       return;
@@ -151,13 +316,12 @@ class BatchConverter {
   reset() {
     this.images = [];
     this.processedCount = 0;
-    this.isProcessing = false;
+    this.runTotal = 0;
+    this.isPaused = false;
     this.nextId = 1; // Reset ID counter
     
     // Reset UI elements
     document.getElementById('batchProgress').style.display = 'none';
-    document.getElementById('batchDownload').style.display = 'none';
-    document.getElementById('batchStart').style.display = 'flex';
     
     this.updateUI();
   }
@@ -166,32 +330,98 @@ class BatchConverter {
    * Handle file selection
    */
   handleFileSelect(files) {
-    const fileArray = Array.from(files);
+    this.addFiles(Array.from(files).map(file => ({
+      file,
+      path: file.webkitRelativePath || file.name
+    })));
+  }
+
+  /**
+   * Read dropped FileSystemEntry objects, walking folders recursively
+   * @param {Array<FileSystemEntry>} entries - Top level entries of the drop
+   * @returns {Promise<Array<{file: File, path: string}>>} - Files with their path relative to the drop
+   */
+  async readDroppedEntries(entries) {
+    const files = [];
     
-    // Limit to 50 images
-    if (this.images.length + fileArray.length > 50) {
-      ErrorHandler.showWarning('Maximum 50 images. Please select fewer images.');
-      return;
+    const walk = async (entry) => {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        // fullPath starts with "/" (the root of the drop)
+        files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+      } else if (entry.isDirectory) {
+        for (const child of await this.readDirectory(entry)) {
+          await walk(child);
+        }
+      }
+    };
+    
+    for (const entry of entries) {
+      await walk(entry);
+    }
+    return files;
+  }
+
+  /**
+   * List all entries of a directory
+   * readEntries() returns results in chunks, so it is called until it returns nothing
+   */
+  async readDirectory(directoryEntry) {
+    const reader = directoryEntry.createReader();
+    const entries = [];
+    
+    for (;;) {
+      const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (chunk.length === 0) {
+        return entries;
+      }
+      entries.push(...chunk);
+    }
+  }
+
+  /**
+   * Check if a file is a supported image, by MIME type or extension
+   */
+  isSupportedImage(file) {
+    if (file.type) {
+      return /^image\/(jpeg|png|bmp)$/.test(file.type);
     }
+    return /\.(jpe?g|png|bmp)$/i.test(file.name);
+  }
 
+  /**
+   * Add files to the batch
+   * @param {Array<{file: File, path: string}>} files - Files with their relative path
+   */
+  addFiles(files) {
     // Filter valid images
-    const validFiles = fileArray.filter(file => {
-      return file.type.match(/^image\/(jpeg|png|bmp)$/);
-    });
+    const validFiles = files.filter(({ file }) => this.isSupportedImage(file));
 
     if (validFiles.length === 0) {
       ErrorHandler.showWarning('No valid images. Please select JPG, PNG or BMP.');
       return;
     }
+    
+    // Limit to 50 images
+    if (this.images.length + validFiles.length > 50) {
+      ErrorHandler.showWarning('Maximum 50 images. Please select fewer images.');
+      return;
+    }
 
     // Add images
-    validFiles.forEach(file => {
+    validFiles.forEach(({ file, path }) => {
       const id = this.nextId++;
       this.images.push({
         id,
         file,
+        path, // Relative path, mirrored in the ZIP
         status: 'pending', // pending, processing, completed, error
         result: null,
+        tracedata: null, // Kept for EPS/DXF output of vectorized images
+        error: null,
+        settings: null, // Per-image override of defaultSettings
+        details: null, // { width, height, preset, colors } of the last conversion
+        selected: false,
         preview: null
       });
 
@@ -221,12 +451,150 @@ class BatchConverter {
    * Select conversion option
    */
   selectOption(option) {
-    this.selectedOption = option;
+    this.setDefaultSettings({ ...this.defaultSettings, mode: option });
+    this.updateUI();
+  }
+
+  /**
+   * Change the batch defaults (conversion card or "Apply to all")
+   * Converted images that follow the defaults go back to pending when their settings change
+   */
+  setDefaultSettings(settings) {
+    const before = this.images.map(img => JSON.stringify(this.getImageSettings(img)));
+    this.defaultSettings = settings;
+    this.selectedOption = settings.mode;
     document.querySelectorAll('.batch-option-card').forEach(card => {
-      card.classList.toggle('selected', card.dataset.option === option);
+      card.classList.toggle('selected', card.dataset.option === settings.mode);
+    });
+    
+    this.images.forEach((img, index) => {
+      if (JSON.stringify(this.getImageSettings(img)) !== before[index]) {
+        this.invalidateImage(img);
+      }
     });
   }
 
+  /**
+   * Settings used to convert an image: its own override or the batch defaults
+   */
+  getImageSettings(image) {
+    return image.settings || this.defaultSettings;
+  }
+
+  /**
+   * Short description of settings for the tile
+   */
+  getSettingsSummary(settings) {
+    const parts = [settings.mode === 'vectorize' ? 'Vectorize' : 'Embed'];
+    
+    if (settings.mode === 'vectorize') {
+      parts.push(settings.preset === 'auto' ? 'Auto' : settings.preset);
+      if (settings.numberofcolors) {
+        parts.push(`${settings.numberofcolors} colors`);
+      }
+    }
+    
+    const backgrounds = { transparent: 'No background', white: 'White background' };
+    if (backgrounds[settings.background]) {
+      parts.push(backgrounds[settings.background]);
+    }
+    
+    return parts.join(' · ');
+  }
+
+  /**
+   * Open the settings dialog for one image
+   */
+  openImageSettings(id) {
+    const image = this.images.find(img => img.id === id);
+    if (!image) {
+      return;
+    }
+    if (image.status === 'processing') {
+      ErrorHandler.showWarning('This image is being converted. Pause or cancel first.');
+      return;
+    }
+    
+    const selectedCount = this.images.filter(img => img.selected || img === image).length;
+    
+    this.imageSettings.open({
+      title: image.file.name,
+      settings: this.getImageSettings(image),
+      selectedCount: this.images.some(img => img.selected) ? selectedCount : 0,
+      onApply: (settings, scope) => this.applyImageSettings(image, settings, scope)
+    });
+  }
+
+  /**
+   * Apply settings from the dialog
+   * @param {Object} image - Image the dialog was opened for
+   * @param {Object} settings - New settings (null when scope is 'reset')
+   * @param {string} scope - 'image', 'selected', 'all' or 'reset'
+   */
+  applyImageSettings(image, settings, scope) {
+    if (scope === 'all') {
+      // New batch defaults: every image, including ones added later
+      this.setDefaultSettings(settings);
+      this.images.forEach(img => this.setImageSettings(img, null));
+    } else if (scope === 'selected') {
+      this.images
+        .filter(img => img.selected || img === image)
+        .forEach(img => this.setImageSettings(img, settings));
+    } else if (scope === 'reset') {
+      this.setImageSettings(image, null);
+    } else {
+      this.setImageSettings(image, settings);
+    }
+    
+    this.updateUI();
+  }
+
+  /**
+   * Change an image's settings override
+   * A converted image whose settings change goes back to pending, so the next run converts it again
+   */
+  setImageSettings(image, settings) {
+    if (image.status === 'processing') {
+      return;
+    }
+    
+    const before = JSON.stringify(this.getImageSettings(image));
+    image.settings = settings;
+    
+    if (JSON.stringify(this.getImageSettings(image)) !== before) {
+      this.invalidateImage(image);
+    }
+  }
+
+  /**
+   * Send a converted or failed image back to pending, dropping its output
+   * Images being converted are left alone: they pick up the new settings on their next run
+   */
+  invalidateImage(image) {
+    if (image.status === 'pending' || image.status === 'processing') {
+      return;
+    }
+    
+    image.status = 'pending';
+    image.result = null;
+    image.tracedata = null;
+    image.error = null;
+  }
+
+  /**
+   * Toggle an image's selection for "Apply to selected"
+   */
+  toggleSelected(id, selected) {
+    const image = this.images.find(img => img.id === id);
+    if (image) {
+      image.selected = selected;
+      const tile = document.querySelector(`.batch-image-item[data-id="${id}"]`);
+      if (tile) {
+        tile.classList.toggle('is-selected', selected);
+      }
+    }
+  }
+
   /**
    * Clear all images
    */
@@ -235,13 +603,15 @@ class BatchConverter {
       'Are you sure you want to clear all images?',
       'Confirm Clear',
       () => {
+        if (this.isProcessing) {
+          this.cancelConversion();
+        }
+        
         this.images = [];
         this.processedCount = 0;
         
         // Reset UI elements
         document.getElementById('batchProgress').style.display = 'none';
-        document.getElementById('batchDownload').style.display = 'none';
-        document.getElementById('batchStart').style.display = 'flex';
         
         this.updateUI();
       }
@@ -252,6 +622,12 @@ class BatchConverter {
    * Remove single image
    */
   removeImage(id) {
+    const image = this.images.find(img => img.id === id);
+    if (image && image.status === 'processing') {
+      ErrorHandler.showWarning('This image is being converted. Pause or cancel first.');
+      return;
+    }
+    
     this.images = this.images.filter(img => img.id !== id);
     this.updateUI();
   }
@@ -261,25 +637,43 @@ class BatchConverter {
    */
   updateUI() {
     const hasImages = this.images.length > 0;
-    const hasCompleted = this.images.some(img => img.status === 'completed');
     
     document.getElementById('batchOptions').style.display = hasImages ? 'block' : 'none';
     document.getElementById('batchImagesList').style.display = hasImages ? 'block' : 'none';
     document.getElementById('batchImagesCount').textContent = this.images.length;
     
-    // Show Start or Download button depending on status
-    if (hasCompleted && !this.isProcessing) {
-      document.getElementById('batchStart').style.display = 'none';
-      document.getElementById('batchDownload').style.display = 'flex';
-    } else {
-      document.getElementById('batchStart').style.display = 'flex';
-      document.getElementById('batchStart').disabled = !hasImages || this.isProcessing;
-      document.getElementById('batchDownload').style.display = 'none';
-    }
-
+    this.updateButtons();
     this.renderImages();
   }
 
+  /**
+   * Show the footer buttons that apply to the current queue state
+   */
+  updateButtons() {
+    const hasPending = this.images.some(img => img.status === 'pending');
+    const hasCompleted = this.images.some(img => img.status === 'completed');
+    const hasErrors = this.images.some(img => img.status === 'error');
+    const show = (id, visible) => {
+      document.getElementById(id).style.display = visible ? 'flex' : 'none';
+    };
+    
+    // While running: Pause/Resume and Cancel only
+    show('batchPause', this.isProcessing);
+    show('batchCancel', this.isProcessing);
+    
+    // When idle: Start for pending images, Retry for failed ones, Download for finished ones
+    const startVisible = !this.isProcessing && (hasPending || !hasCompleted);
+    show('batchStart', startVisible);
+    document.getElementById('batchStart').disabled = !hasPending;
+    show('batchRetry', !this.isProcessing && hasErrors);
+    show('batchDownload', !this.isProcessing && hasCompleted);
+    
+    const pauseLabel = document.querySelector('#batchPause span');
+    const pauseIcon = document.querySelector('#batchPause img');
+    pauseLabel.textContent = this.isPaused ? 'Resume' : 'Pause';
+    pauseIcon.src = this.isPaused ? 'lucide/play.svg' : 'lucide/pause.svg';
+  }
+
   /**
    * Render images grid
    */
@@ -292,10 +686,13 @@ class BatchConverter {
     }
 
     grid.innerHTML = this.images.map(img => `
-      <div class="batch-image-item" data-id="${img.id}">
-        ${img.preview ? `<img src="${img.preview}" class="batch-image-preview" alt="${img.file.name}">` : ''}
-        <div class="batch-image-name" title="${img.file.name}">${img.file.name}</div>
-        ${img.status !== 'pending' ? `<div class="batch-image-status ${img.status}">${this.getStatusText(img.status)}</div>` : ''}
+      <div class="batch-image-item${img.status === 'error' ? ' has-error' : ''}${img.selected ? ' is-selected' : ''}" data-id="${img.id}" title="Click to change this image's settings">
+        <input type="checkbox" class="batch-image-select" data-image-id="${img.id}" ${img.selected ? 'checked' : ''} title="Select">
+        ${img.preview ? `<img src="${img.preview}" class="batch-image-preview" alt="${this.escapeHtml(img.file.name)}">` : ''}
+        <div class="batch-image-name" title="${this.escapeHtml(img.path)}">${this.escapeHtml(img.file.name)}</div>
+        <div class="batch-image-settings${img.settings ? ' custom' : ''}">${this.getSettingsSummary(this.getImageSettings(img))}</div>
+        ${img.status === 'error' ? `<div class="batch-image-error" title="${this.escapeHtml(img.error)}">${this.escapeHtml(img.error)}</div>` : ''}
+        ${img.status !== 'pending' ? `<div class="batch-image-status ${img.status}">${this.getStatusText(img)}</div>` : ''}
         <button class="batch-image-remove" data-image-id="${img.id}">
           <img src="lucide/x.svg" width="16" height="16" alt="remove">
         </button>
@@ -311,80 +708,343 @@ class BatchConverter {
         this.removeImage(imageId);
       });
     });
+    
+    // Selection checkboxes
+    grid.querySelectorAll('.batch-image-select').forEach(checkbox => {
+      checkbox.addEventListener('click', (e) => e.stopPropagation());
+      checkbox.addEventListener('change', () => {
+        this.toggleSelected(parseInt(checkbox.getAttribute('data-image-id')), checkbox.checked);
+      });
+    });
+    
+    // Open per-image settings
+    grid.querySelectorAll('.batch-image-item').forEach(tile => {
+      tile.addEventListener('click', () => this.openImageSettings(parseInt(tile.dataset.id)));
+    });
+  }
+
+  /**
+   * Update a single tile's status badge without re-rendering the grid
+   */
+  updateTile(image) {
+    const tile = document.querySelector(`.batch-image-item[data-id="${image.id}"]`);
+    if (!tile) {
+      return;
+    }
+    
+    // Error message line under the file name
+    let errorLine = tile.querySelector('.batch-image-error');
+    tile.classList.toggle('has-error', image.status === 'error');
+    if (image.status === 'error') {
+      if (!errorLine) {
+        errorLine = document.createElement('div');
+        errorLine.className = 'batch-image-error';
+        tile.querySelector('.batch-image-name').after(errorLine);
+      }
+      errorLine.textContent = image.error;
+      errorLine.title = image.error;
+    } else if (errorLine) {
+      errorLine.remove();
+    }
+    
+    let badge = tile.querySelector('.batch-image-status');
+    if (image.status === 'pending') {
+      if (badge) badge.remove();
+      return;
+    }
+    
+    if (!badge) {
+      badge = document.createElement('div');
+      (errorLine || tile.querySelector('.batch-image-name')).after(badge);
+    }
+    badge.className = `batch-image-status ${image.status}`;
+    badge.textContent = this.getStatusText(image);
   }
 
   /**
    * Get status text
    */
-  getStatusText(status) {
+  getStatusText(image) {
+    if (image.status === 'processing' && image.progress > 0) {
+      return `Processing ${Math.round(image.progress)}%`;
+    }
+    
     const texts = {
       processing: 'Processing...',
       completed: 'Completed',
       error: 'Error'
     };
-    return texts[status] || '';
+    return texts[image.status] || '';
   }
 
   /**
-   * Start conversion
+   * Start conversion of all pending images
+   * Vectorize jobs run in parallel on the worker pool, one job per worker
    */
   async startConversion() {
+    await this.runQueue(this.images.filter(img => img.status === 'pending'));
+  }
+
+  /**
+   * Re-run only the images that failed
+   */
+  async retryFailed() {
+    const failed = this.images.filter(img => img.status === 'error');
+    if (failed.length === 0 || this.isProcessing) {
+      return;
+    }
+    
+    failed.forEach(img => {
+      img.status = 'pending';
+      img.error = null;
+      this.updateTile(img);
+    });
+    
+    await this.runQueue(failed);
+  }
+
+  /**
+   * Convert a list of images with the configured concurrency
+   */
+  async runQueue(images) {
+    if (images.length === 0 || this.isProcessing) {
+      return;
+    }
+    
     this.isProcessing = true;
+    this.isPaused = false;
+    this.isCancelled = false;
     this.processedCount = 0;
+    this.runTotal = images.length;
     
+    let concurrency = this.embedConcurrency;
+    if (images.some(img => this.getImageSettings(img).mode === 'vectorize')) {
+      if (!this.workerPool && TracerWorkerClient.isSupported()) {
+        this.workerPool = new TracerWorkerPool();
+      }
+      concurrency = this.workerPool ? this.workerPool.size : 1;
+    }
+    
+    const queue = [...images];
     document.getElementById('batchProgress').style.display = 'block';
-    document.getElementById('batchStart').style.display = 'none';
+    this.updateButtons();
+    this.updateProgress();
     
-    for (let i = 0; i < this.images.length; i++) {
-      const image = this.images[i];
-      image.status = 'processing';
-      this.renderImages();
-      
-      try {
-        if (this.selectedOption === 'embed') {
-          image.result = await this.embedImage(image.file);
-        } else {
-          image.result = await this.vectorizeImage(image.file);
+    // Each runner takes the next image as soon as its previous one finishes
+    const runNext = async () => {
+      while (queue.length > 0) {
+        await this.waitWhilePaused();
+        if (this.isCancelled) {
+          return;
         }
-        image.status = 'completed';
-      } catch (error) {
-        image.status = 'error';
+        await this.convertImage(queue.shift());
       }
-      
-      this.processedCount++;
-      this.updateProgress();
-      this.renderImages();
-    }
+    };
+    
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, queue.length) }, () => runNext())
+    );
     
     this.isProcessing = false;
+    this.isPaused = false;
     document.getElementById('batchProgress').style.display = 'none';
-    document.getElementById('batchDownload').style.display = 'flex';
+    document.getElementById('batchProgress').classList.remove('paused');
+    this.updateButtons();
+    
+    const failedCount = this.images.filter(img => img.status === 'error').length;
+    if (this.isCancelled) {
+      ErrorHandler.showInfo('Batch conversion cancelled');
+    } else if (failedCount > 0) {
+      ErrorHandler.showWarning(`${failedCount} image(s) failed. Use "Retry Failed" to run them again.`);
+    }
+  }
+
+  /**
+   * Resolve once the queue is not paused (or is cancelled)
+   */
+  waitWhilePaused() {
+    if (!this.isPaused || this.isCancelled) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.resumeWaiters.push(resolve));
+  }
+
+  /**
+   * Release every runner waiting in waitWhilePaused()
+   */
+  releaseWaiters() {
+    const waiters = this.resumeWaiters;
+    this.resumeWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Pause the queue: running images finish, no new ones start
+   */
+  pause() {
+    if (!this.isProcessing || this.isPaused) {
+      return;
+    }
+    this.isPaused = true;
+    document.getElementById('batchProgress').classList.add('paused');
+    this.updateButtons();
+    this.updateProgress();
+  }
+
+  /**
+   * Resume a paused queue
+   */
+  resume() {
+    if (!this.isPaused) {
+      return;
+    }
+    this.isPaused = false;
+    document.getElementById('batchProgress').classList.remove('paused');
+    this.updateButtons();
+    this.updateProgress();
+    this.releaseWaiters();
+  }
+
+  /**
+   * Cancel the queue: stops the workers, running images go back to pending
+   */
+  cancelConversion() {
+    if (!this.isProcessing) {
+      return;
+    }
+    this.isCancelled = true;
+    this.isPaused = false;
+    
+    if (this.workerPool) {
+      this.workerPool.cancel();
+    }
+    this.releaseWaiters();
+  }
+
+  /**
+   * Convert one image and update its tile
+   */
+  async convertImage(image) {
+    image.status = 'processing';
+    image.progress = 0;
+    image.error = null;
+    this.updateTile(image);
+    
+    const settings = this.getImageSettings(image);
+    image.details = { mode: settings.mode, background: settings.background };
+    const startTime = performance.now();
+    
+    try {
+      if (settings.mode === 'embed') {
+        image.result = await this.embedImage(image.file, settings, image.details);
+        image.tracedata = null;
+      } else {
+        const traced = await this.vectorizeImage(image.file, settings, image.details, ({ percentage }) => {
+          image.progress = percentage;
+          this.updateTile(image);
+        });
+        image.result = traced.svg;
+        image.tracedata = traced.tracedata;
+      }
+      image.status = 'completed';
+    } catch (error) {
+      if (error instanceof CancellationError) {
+        // Not a failure: the image can be started again later
+        image.status = 'pending';
+        this.updateTile(image);
+        return;
+      }
+      image.status = 'error';
+      image.error = error.message || 'Conversion failed';
+    }
+    
+    image.details.duration = Math.round(performance.now() - startTime);
+    this.processedCount++;
+    this.updateProgress();
+    this.updateTile(image);
   }
 
   /**
    * Update progress
    */
   updateProgress() {
-    const percentage = Math.round((this.processedCount / this.images.length) * 100);
+    const total = this.runTotal;
+    const percentage = total > 0 ? Math.round((this.processedCount / total) * 100) : 0;
+    const running = this.images.filter(img => img.status === 'processing').length;
+    
+    let text = `Processing ${this.processedCount}/${total}...`;
+    if (this.isPaused) {
+      text = running > 0
+        ? `Pausing after ${running} running image(s)... ${this.processedCount}/${total}`
+        : `Paused at ${this.processedCount}/${total}`;
+    } else if (running > 0) {
+      text = `Processing ${this.processedCount}/${total} (${running} in progress)...`;
+    }
+    
     document.getElementById('batchProgressPercentage').textContent = `${percentage}%`;
     document.getElementById('batchProgressBar').style.width = `${percentage}%`;
-    document.getElementById('batchProgressText').textContent = `Processing ${this.processedCount}/${this.images.length}...`;
+    document.getElementById('batchProgressText').textContent = text;
+  }
+
+  /**
+   * Escape text for use in HTML
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   /**
    * Embed image (wrap in SVG)
+   * The original file is embedded unless the background has to be changed or the embed options
+   * re-encode it (another format, a maximum size or several resolutions)
+   * @param {File} file - Source image
+   * @param {Object} settings - Image settings
+   * @param {Object} details - Filled with the image width and height, the encoding as options and,
+   *   for linked images, linkedImage ({ element, images } as in ImageEncoder.encodeSet())
    */
-  async embedImage(file) {
-    return new Promise((resolve) => {
+  async embedImage(file, settings = this.defaultSettings, details = {}) {
+    const encoder = new ImageEncoder();
+    if (settings.background !== 'keep' || encoder.changesImage(this.embedOptions)) {
+      const imageData = this.applyBackground(await this.readImageData(file), settings.background);
+      details.width = imageData.width;
+      details.height = imageData.height;
+      
+      // The SVG keeps the image size (divided by the highest resolution of linked files)
+      // and holds the highest resolution; linked files replace it in the ZIP
+      const encodedSet = await encoder.encodeSet(imageData, this.embedOptions);
+      const encoded = encodedSet.images[encodedSet.images.length - 1];
+      const element = this.getImageElement(encoded.dataUrl, encodedSet.width, encodedSet.height);
+      details.options = {
+        format: encoded.format,
+        quality: encoded.quality,
+        embeddedWidth: encoded.width,
+        embeddedHeight: encoded.height,
+        targetSize: this.embedOptions.targetSize,
+        targetMet: encodedSet.images.every(image => image.targetMet),
+        linked: this.embedOptions.linked,
+        resolutions: encodedSet.images.map(image => image.density)
+      };
+      details.linkedImage = this.embedOptions.linked ? { element, images: encodedSet.images } : null;
+      return this.wrapImage(encoded.dataUrl, encodedSet.width, encodedSet.height);
+    }
+    
+    return new Promise((resolve, reject) => {
       const reader = new FileReader();
+      reader.onerror = () => reject(new FileLoadError('Cannot read file.'));
       reader.onload = (e) => {
         const img = new Image();
+        img.onerror = () => reject(new FileLoadError('Cannot decode image. File may be corrupted.'));
         img.onload = () => {
-          const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${img.width}" height="${img.height}" viewBox="0 0 ${img.width} ${img.height}">
-  <image width="${img.width}" height="${img.height}" xlink:href="${e.target.result}"/>
-</svg>`;
-          resolve(svg);
+          details.width = img.width;
+          details.height = img.height;
+          // A linked image is the original file
+          details.linkedImage = this.embedOptions.linked ? {
+            element: this.getImageElement(e.target.result, img.width, img.height),
+            images: [{ density: 1, suffix: '', blob: file }]
+          } : null;
+          resolve(this.wrapImage(e.target.result, img.width, img.height));
         };
         img.src = e.target.result;
       };
@@ -393,42 +1053,352 @@ class BatchConverter {
   }
 
   /**
-   * Vectorize image
+   * SVG document embedding an image data URL
    */
-  async vectorizeImage(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const img = new Image();
-        img.onload = () => {
-          try {
-            // Use ImageTracer
-            ImageTracer.imageToSVG(
-              img.src,
-              (svgstr) => resolve(svgstr),
-              {
-                ltres: 1,
-                qtres: 1,
-                pathomit: 8,
-                colorsampling: 2,
-                numberofcolors: 16,
-                mincolorratio: 0.02,
-                colorquantcycles: 3,
-                scale: 1,
-                strokewidth: 1,
-                linefilter: true,
-                desc: false
-              }
-            );
-          } catch (error) {
-            reject(error);
-          }
-        };
-        img.onerror = reject;
-        img.src = e.target.result;
-      };
-      reader.readAsDataURL(file);
+  wrapImage(dataUrl, width, height) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  ${this.getImageElement(dataUrl, width, height)}
+</svg>`;
+  }
+
+  /**
+   * <image> element of wrapImage()
+   */
+  getImageElement(dataUrl, width, height) {
+    return `<image width="${width}" height="${height}" xlink:href="${dataUrl}"/>`;
+  }
+
+  /**
+   * Apply background handling to ImageData (in place)
+   * - 'transparent': clears the background color, flood-filled from the image border
+   * - 'white': flattens semi-transparent pixels onto white
+   */
+  applyBackground(imageData, background) {
+    const { width, height, data } = imageData;
+    
+    if (background === 'white') {
+      for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        data[i] = Math.round(data[i] * alpha + 255 * (1 - alpha));
+        data[i + 1] = Math.round(data[i + 1] * alpha + 255 * (1 - alpha));
+        data[i + 2] = Math.round(data[i + 2] * alpha + 255 * (1 - alpha));
+        data[i + 3] = 255;
+      }
+      return imageData;
+    }
+    
+    if (background !== 'transparent') {
+      return imageData;
+    }
+    
+    // Background color: most frequent color on the border (coarse 4-bit buckets)
+    const counts = new Map();
+    const borderPixels = [];
+    for (let x = 0; x < width; x++) {
+      borderPixels.push(x, (height - 1) * width + x);
+    }
+    for (let y = 1; y < height - 1; y++) {
+      borderPixels.push(y * width, y * width + width - 1);
+    }
+    borderPixels.forEach(p => {
+      const i = p * 4;
+      const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+      counts.set(key, (counts.get(key) || 0) + 1);
     });
+    
+    let bestKey = 0;
+    let bestCount = -1;
+    counts.forEach((count, key) => {
+      if (count > bestCount) {
+        bestKey = key;
+        bestCount = count;
+      }
+    });
+    
+    // Average of the border pixels in the winning bucket
+    let r = 0, g = 0, b = 0, n = 0;
+    borderPixels.forEach(p => {
+      const i = p * 4;
+      const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+      if (key === bestKey) {
+        r += data[i];
+        g += data[i + 1];
+        b += data[i + 2];
+        n++;
+      }
+    });
+    r /= n;
+    g /= n;
+    b /= n;
+    
+    // Flood fill from the border through pixels close to the background color
+    const tolerance = 48;
+    const visited = new Uint8Array(width * height);
+    const stack = [];
+    const matches = (p) => {
+      const i = p * 4;
+      return data[i + 3] === 0 ||
+        Math.abs(data[i] - r) + Math.abs(data[i + 1] - g) + Math.abs(data[i + 2] - b) <= tolerance;
+    };
+    
+    borderPixels.forEach(p => {
+      if (!visited[p] && matches(p)) {
+        visited[p] = 1;
+        stack.push(p);
+      }
+    });
+    
+    while (stack.length > 0) {
+      const p = stack.pop();
+      data[p * 4 + 3] = 0;
+      
+      const x = p % width;
+      const neighbours = [
+        x > 0 ? p - 1 : -1,
+        x < width - 1 ? p + 1 : -1,
+        p - width,
+        p + width
+      ];
+      for (const q of neighbours) {
+        if (q >= 0 && q < width * height && !visited[q] && matches(q)) {
+          visited[q] = 1;
+          stack.push(q);
+        }
+      }
+    }
+    
+    return imageData;
+  }
+
+  /**
+   * Decode an image file into ImageData
+   */
+  async readImageData(file) {
+    const bitmap = await createImageBitmap(file);
+    
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = bitmap.width;
+      canvas.height = bitmap.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0);
+      return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  /**
+   * Vectorize image on the worker pool
+   * @param {File} file - Source image
+   * @param {Object} settings - Image settings
+   * @param {Object} details - Filled with the image size, the preset and the color count used
+   * @param {Function} onProgress - Optional, called with { stage, percentage }
+   * @returns {Promise<Object>} - { svg, tracedata }
+   */
+  async vectorizeImage(file, settings = this.defaultSettings, details = {}, onProgress = null) {
+    const imageData = await this.readImageData(file);
+    details.width = imageData.width;
+    details.height = imageData.height;
+    
+    // Preset detection looks at the image before its background is changed
+    const preset = settings.preset === 'auto'
+      ? window.ImageTracerPro.analyzeImage(imageData).preset
+      : settings.preset;
+    this.applyBackground(imageData, settings.background);
+    
+    const options = { preset, desc: false };
+    if (settings.numberofcolors) {
+      options.numberofcolors = settings.numberofcolors;
+    }
+    details.preset = preset;
+    details.options = window.ImageTracerPro.resolveOptions(preset, options);
+    details.colors = details.options.numberofcolors;
+    
+    return window.ImageTracerPro.traceWith(this.workerPool, imageData, options, onProgress);
+  }
+
+  /**
+   * Path of an image's output file inside the ZIP: its source folder plus the filename template
+   * @param {Object} image - Batch image
+   * @param {string} extension - File extension without the dot, null for none
+   */
+  getOutputPath(image, extension = 'svg') {
+    const folder = image.path.includes('/') ? image.path.slice(0, image.path.lastIndexOf('/') + 1) : '';
+    const details = image.details || {};
+    const digits = String(this.images.length).length;
+    
+    const name = window.filenameTemplate.format({
+      name: window.filenameTemplate.baseName(image.file.name),
+      mode: details.mode === 'vectorize' ? 'vectorized' : 'embedded',
+      preset: details.preset,
+      colors: details.colors,
+      width: details.width,
+      height: details.height,
+      index: String(this.images.indexOf(image) + 1).padStart(digits, '0')
+    });
+    
+    return extension ? `${folder}${name}.${extension}` : `${folder}${name}`;
+  }
+
+  /**
+   * Parse the PNG/WebP size list, e.g. "1x, 2x, 3x" for an asset set
+   * Entries: "2x" or "2" (multiplier of the image size), "512px" (width, height follows), "512x512" (exact size)
+   * @param {string} text - Comma or space separated sizes
+   * @returns {Array<Object>} - [{ scale, width, height }] as used by SVGExporter.rasterize()
+   * @throws {OptionsError} - If an entry is invalid
+   */
+  parseRasterSizes(text) {
+    const entries = (text || '').toLowerCase().split(/[\s,;]+/).filter(Boolean);
+    if (entries.length === 0) {
+      return [{ scale: 1, width: null, height: null }];
+    }
+    
+    const checkPixels = (value) => {
+      if (value < 1 || value > 16384) {
+        throw new OptionsError('Image sizes must be between 1 and 16384 px');
+      }
+      return value;
+    };
+    
+    return entries.map(entry => {
+      let match = entry.match(/^(\d+(?:\.\d+)?)x?$/);
+      if (match) {
+        const scale = Number(match[1]);
+        if (!(scale > 0 && scale <= 16)) {
+          throw new OptionsError('Multipliers must be greater than 0 and at most 16x');
+        }
+        return { scale, width: null, height: null };
+      }
+      
+      match = entry.match(/^(\d+)px$/);
+      if (match) {
+        return { scale: 1, width: checkPixels(Number(match[1])), height: null };
+      }
+      
+      match = entry.match(/^(\d+)x(\d+)$/);
+      if (match) {
+        return { scale: 1, width: checkPixels(Number(match[1])), height: checkPixels(Number(match[2])) };
+      }
+      
+      throw new OptionsError(`Unknown image size "${entry}". Use 2x, 512px or 512x512`);
+    });
+  }
+  
+  /**
+   * Text form of a size list, as accepted by parseRasterSizes()
+   */
+  formatRasterSizes(sizes) {
+    return sizes.map(size => {
+      if (size.width !== null && size.height !== null) {
+        return `${size.width}x${size.height}`;
+      }
+      return size.width !== null ? `${size.width}px` : `${size.scale}x`;
+    }).join(', ');
+  }
+
+  /**
+   * Path and component name of an image's component file inside the ZIP
+   * Component names are PascalCase and unique across the whole ZIP, so one index file can export them all
+   * @param {Object} image - Batch image
+   * @param {string} framework - Component format
+   * @param {Set<string>} usedNames - Lower-cased component names already taken
+   * @returns {Object} - { name, path }
+   */
+  getComponentPath(image, framework, usedNames) {
+    const exporter = new SVGExporter();
+    const base = this.getOutputPath(image, null);
+    const folder = base.slice(0, base.lastIndexOf('/') + 1);
+    const baseName = exporter.toComponentName(base.slice(folder.length));
+    
+    let name = baseName;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+      name = `${baseName}${n}`;
+    }
+    usedNames.add(name.toLowerCase());
+    
+    return { name, path: `${folder}${name}.${exporter.getComponentExtension(framework)}` };
+  }
+
+  /**
+   * One report row per converted or failed image
+   * @param {Map<Object, string>} outputPaths - ZIP path of each completed image
+   * @param {Map<Object, number>} outputSizes - Optional size of each output file when it is not the SVG itself
+   */
+  getReportRows(outputPaths, outputSizes = new Map()) {
+    const exporter = new SVGExporter();
+    
+    return this.images
+      .filter(img => img.status === 'completed' || img.status === 'error')
+      .map(img => {
+        const details = img.details || {};
+        const svg = img.status === 'completed' ? img.result : null;
+        
+        return {
+          source: img.path,
+          output: outputPaths.get(img) || null,
+          status: img.status,
+          inputWidth: details.width || null,
+          inputHeight: details.height || null,
+          inputBytes: img.file.size,
+          mode: details.mode || null,
+          preset: details.preset || null,
+          background: details.background || null,
+          options: details.options || null,
+          outputBytes: outputSizes.has(img) ? outputSizes.get(img) : (svg ? exporter.getFileSize(svg) : null),
+          pathCount: svg ? (svg.match(/<path\b/g) || []).length : null,
+          colorCount: svg ? this.countColors(svg) : null,
+          processingMs: details.duration === undefined ? null : details.duration,
+          error: img.error || null
+        };
+      });
+  }
+
+  /**
+   * Number of distinct fill colors in an SVG (0 for an embedded image)
+   */
+  countColors(svg) {
+    const fills = svg.match(/fill="(?!none)[^"]+"/g) || [];
+    return new Set(fills).size;
+  }
+
+  /**
+   * manifest.json content
+   */
+  buildManifest(rows) {
+    return JSON.stringify({
+      generator: 'SVGify',
+      createdAt: new Date().toISOString(),
+      filenameTemplate: window.filenameTemplate.load(),
+      total: rows.length,
+      completed: rows.filter(row => row.status === 'completed').length,
+      failed: rows.filter(row => row.status === 'error').length,
+      items: rows
+    }, null, 2);
+  }
+
+  /**
+   * report.csv content (options are written as JSON in one column)
+   */
+  buildReportCsv(rows) {
+    const columns = [
+      'source', 'output', 'status', 'inputWidth', 'inputHeight', 'inputBytes',
+      'mode', 'preset', 'background', 'options', 'outputBytes', 'pathCount',
+      'colorCount', 'processingMs', 'error'
+    ];
+    
+    const escape = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const lines = [columns.join(',')];
+    rows.forEach(row => lines.push(columns.map(column => escape(row[column])).join(',')));
+    return lines.join('\r\n') + '\r\n';
   }
 
   /**
@@ -455,11 +1425,154 @@ class BatchConverter {
       
       const zip = new window.JSZip();
       
-      // Add completed images to zip
-      completedImages.forEach(img => {
-        const fileName = img.file.name.replace(/\.[^/.]+$/, '') + '.svg';
-        zip.file(fileName, img.result);
-      });
+      // Add completed images to zip, keeping their folder structure
+      const format = this.outputFormat;
+      const exporter = new SVGExporter();
+      const encoder = new ImageEncoder();
+      const usedPaths = new Set(['manifest.json', 'report.csv']);
+      const spritePaths = ['sprite/sprite.svg', 'sprite/preview.html'];
+      const fontPaths = ['font/icons.ttf', 'font/icons.woff', 'font/icons.css', 'font/preview.html'];
+      if (this.extraOutputs.sprite) {
+        spritePaths.forEach(path => usedPaths.add(path));
+      }
+      if (this.extraOutputs.iconFont) {
+        fontPaths.forEach(path => usedPaths.add(path));
+      }
+      const outputPaths = new Map();
+      const outputSizes = new Map();
+      const isComponent = Boolean(exporter.componentFormats[format]);
+      const isRaster = format === 'png' || format === 'webp';
+      const components = [];
+      const usedNames = new Set(['index']);
+      let keptAsSvg = 0;
+      let linkedFiles = 0;
+      for (const img of completedImages) {
+        if (isComponent) {
+          const { name, path } = this.getComponentPath(img, format, usedNames);
+          const code = exporter.toComponent(img.result, { framework: format, name });
+          outputPaths.set(img, path);
+          outputSizes.set(img, exporter.getFileSize(code));
+          components.push({ name, path });
+          zip.file(path, code);
+          continue;
+        }
+        
+        // One PNG/WebP file per size; several sizes make an asset set (name@1x, name@2x, ...)
+        if (isRaster) {
+          const base = this.getOutputPath(img, null);
+          const paths = [];
+          let bytes = 0;
+          for (const size of this.rasterSizes) {
+            const suffix = exporter.getRasterSuffix(size) || (this.rasterSizes.length > 1 ? '@1x' : '');
+            const path = window.filenameTemplate.uniquePath(`${base}${suffix}.${format}`, usedPaths);
+            try {
+              const file = await exporter.rasterize(img.result, {
+                ...size,
+                type: `image/${format}`,
+                quality: format === 'webp' ? 0.9 : undefined,
+                background: this.rasterBackground
+              });
+              bytes += file.size;
+              paths.push(path);
+              zip.file(path, file);
+            } catch (error) {
+              throw new ExportError(`Cannot convert ${img.path} to ${format.toUpperCase()}: ${error.message}`);
+            }
+          }
+          outputPaths.set(img, paths.join('; '));
+          outputSizes.set(img, bytes);
+          continue;
+        }
+        
+        // EPS and DXF are written from tracedata; embedded images stay SVG
+        const isCad = format === 'eps' || format === 'dxf';
+        const extension = isCad && !img.tracedata ? 'svg' : format;
+        if (extension !== format) {
+          keptAsSvg++;
+        }
+        
+        const path = window.filenameTemplate.uniquePath(this.getOutputPath(img, extension), usedPaths);
+        outputPaths.set(img, path);
+        
+        if (extension === 'svg' && img.details.linkedImage) {
+          // Image files next to the SVG, named after it: photo.svg links photo.webp, photo@2x.webp
+          const folder = path.slice(0, path.lastIndexOf('/') + 1);
+          const stem = path.slice(folder.length).replace(/\.svg$/, '');
+          const files = img.details.linkedImage.images.map(image => {
+            const filePath = window.filenameTemplate.uniquePath(
+              `${folder}${stem}${image.suffix}.${encoder.getExtension(image.blob.type)}`,
+              usedPaths
+            );
+            return { href: filePath.slice(folder.length), density: image.density, blob: image.blob };
+          });
+          const svg = exporter.linkImage(img.result, img.details.linkedImage.element, files);
+          zip.file(path, svg);
+          files.forEach(file => zip.file(folder + file.href, file.blob));
+          outputPaths.set(img, [path, ...files.map(file => folder + file.href)].join('; '));
+          outputSizes.set(img, files.reduce((total, file) => total + file.blob.size, exporter.getFileSize(svg)));
+          linkedFiles += files.length;
+          continue;
+        }
+        
+        if (extension === 'svg') {
+          zip.file(path, img.result);
+          continue;
+        }
+        
+        try {
+          const file = extension === 'pdf'
+            ? await exporter.toPDF(img.result)
+            : exporter.toCAD(extension, img.tracedata, {
+              ...img.details.options,
+              units: this.outputUnits,
+              title: path.split('/').pop()
+            });
+          outputSizes.set(img, file.size);
+          zip.file(path, file);
+        } catch (error) {
+          throw new ExportError(`Cannot convert ${img.path} to ${extension.toUpperCase()}: ${error.message}`);
+        }
+      }
+      
+      // Barrel file exporting every component
+      if (isComponent) {
+        const index = exporter.getComponentIndex(components, format);
+        zip.file(index.filename, index.content);
+      }
+      
+      // Sprite and icon font of the whole set, ids from the file names
+      const notes = [];
+      if (this.extraOutputs.sprite || this.extraOutputs.iconFont) {
+        const ids = exporter.getIconIds(completedImages.map(img => img.file.name));
+        const icons = completedImages.map((img, i) => ({ id: ids[i], svg: img.result }));
+        
+        if (this.extraOutputs.sprite) {
+          const sprite = exporter.toSprite(icons, { title: `SVGify sprite (${icons.length} icons)` });
+          zip.file(spritePaths[0], sprite.svg);
+          zip.file(spritePaths[1], sprite.html);
+          notes.push('an SVG sprite');
+        }
+        
+        if (this.extraOutputs.iconFont) {
+          const font = await exporter.toIconFont(icons, { name: 'icons' });
+          zip.file(fontPaths[0], font.ttf);
+          zip.file(fontPaths[1], font.woff);
+          zip.file(fontPaths[2], font.css);
+          zip.file(fontPaths[3], font.html);
+          notes.push(font.skipped.length > 0
+            ? `an icon font without ${font.skipped.length} icon(s) that have no filled shapes (${font.skipped.join(', ')})`
+            : 'an icon font');
+        }
+      }
+      if (linkedFiles > 0) {
+        notes.unshift(`${linkedFiles} linked image file(s)`);
+      }
+      const extrasMessage = notes.length > 0 ? ` Also added ${notes.join(' and ')}.` : '';
+      
+      // Conversion report for auditing
+      const rows = this.getReportRows(outputPaths, outputSizes);
+      zip.file('manifest.json', this.buildManifest(rows));
+      zip.file('report.csv', this.buildReportCsv(rows));
       
       // Generate and download zip
       const content = await zip.generateAsync({ 
@@ -485,9 +1598,19 @@ class BatchConverter {
       // Free memory
       setTimeout(() => URL.revokeObjectURL(link.href), 100);
       
-      ErrorHandler.showSuccess(`Downloaded ${completedImages.length} SVG files in ${fileName}`);
+      const fileCount = isRaster ? completedImages.length * this.rasterSizes.length : completedImages.length;
+      if (keptAsSvg > 0) {
+        ErrorHandler.showWarning(`Downloaded ${completedImages.length} files in ${fileName}. ${keptAsSvg} embedded image(s) were saved as SVG: ${format.toUpperCase()} needs vectorized images.${extrasMessage}`);
+      } else {
+        const formatLabel = isComponent ? `${exporter.componentFormats[format].label} component` : format.toUpperCase();
+        ErrorHandler.showSuccess(`Downloaded ${fileCount} ${formatLabel} files in ${fileName}.${extrasMessage}`);
+      }
       
     } catch (error) {
+      if (error instanceof ExportError) {
+        ErrorHandler.showError(error.message);
+        return;
+      }
       ErrorHandler.showError('Cannot create ZIP file. Please try again.');
     }
   }
@@ -0,0 +1,137 @@
+/**
+ * BatchImageSettings Component
+ * Dialog for overriding the conversion settings of one batch image
+ * (mode, preset, color count, background), or of several at once
+ */
+class BatchImageSettings {
+  constructor(dialogId = 'batchSettingsDialog') {
+    this.dialog = document.getElementById(dialogId);
+    if (!this.dialog) {
+      throw new Error(`Dialog with id "${dialogId}" not found`);
+    }
+
+    this.titleElement = document.getElementById('batchSettingsTitle');
+    this.modeSelect = document.getElementById('batchSettingsMode');
+    this.presetSelect = document.getElementById('batchSettingsPreset');
+    this.colorsInput = document.getElementById('batchSettingsColors');
+    this.backgroundSelect = document.getElementById('batchSettingsBackground');
+    this.applySelectedButton = document.getElementById('batchSettingsApplySelected');
+    this.onApply = null;
+
+    this.attachEventListeners();
+  }
+
+  /**
+   * Fill the preset dropdown: "Auto-detect" followed by the tracer's presets
+   */
+  populatePresets() {
+    const names = window.ImageTracerPro ? window.ImageTracerPro.getPresetNames() : ['default'];
+    this.presetSelect.innerHTML = '<option value="auto">Auto-detect</option>' + names
+      .map(name => `<option value="${name}">${name}</option>`)
+      .join('');
+  }
+
+  /**
+   * Open the dialog
+   * @param {Object} options - { title, settings, selectedCount, onApply }
+   *   onApply is called with (settings, scope), scope being 'image', 'selected', 'all' or 'reset'
+   */
+  open(options = {}) {
+    const { title = 'Image settings', settings, selectedCount = 0, onApply = null } = options;
+
+    this.populatePresets();
+    this.titleElement.textContent = title;
+    this.titleElement.title = title;
+    this.setSettings(settings);
+    this.onApply = onApply;
+
+    this.applySelectedButton.textContent = `Apply to selected (${selectedCount})`;
+    this.applySelectedButton.disabled = selectedCount === 0;
+
+    this.dialog.style.display = 'flex';
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    this.dialog.style.display = 'none';
+    this.onApply = null;
+  }
+
+  /**
+   * Load settings into the fields
+   */
+  setSettings(settings) {
+    this.modeSelect.value = settings.mode;
+    this.presetSelect.value = settings.preset;
+    this.colorsInput.value = settings.numberofcolors || '';
+    this.backgroundSelect.value = settings.background;
+    this.updateFields();
+  }
+
+  /**
+   * Read settings from the fields
+   * @returns {Object} - { mode, preset, numberofcolors, background }
+   * @throws {OptionsError} - If the color count is out of range
+   */
+  getSettings() {
+    const colors = this.colorsInput.value === '' ? null : Number(this.colorsInput.value);
+    if (colors !== null && (!Number.isInteger(colors) || colors < 2 || colors > 256)) {
+      throw new OptionsError('Number of colors must be a whole number between 2 and 256');
+    }
+
+    return {
+      mode: this.modeSelect.value,
+      preset: this.presetSelect.value,
+      numberofcolors: colors,
+      background: this.backgroundSelect.value
+    };
+  }
+
+  /**
+   * Tracing fields only apply to vectorize mode
+   */
+  updateFields() {
+    const isVectorize = this.modeSelect.value === 'vectorize';
+    this.dialog.querySelectorAll('.batch-settings-vector-only').forEach(field => {
+      field.style.display = isVectorize ? 'flex' : 'none';
+    });
+  }
+
+  /**
+   * Pass the settings to the onApply callback and close
+   */
+  apply(scope) {
+    let settings = null;
+    if (scope !== 'reset') {
+      try {
+        settings = this.getSettings();
+      } catch (error) {
+        ErrorHandler.handle(error, 'Batch image settings');
+        return;
+      }
+    }
+
+    const onApply = this.onApply;
+    this.close();
+    if (onApply) {
+      onApply(settings, scope);
+    }
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.modeSelect.addEventListener('change', () => this.updateFields());
+
+    document.getElementById('batchSettingsApply').addEventListener('click', () => this.apply('image'));
+    this.applySelectedButton.addEventListener('click', () => this.apply('selected'));
+    document.getElementById('batchSettingsApplyAll').addEventListener('click', () => this.apply('all'));
+    document.getElementById('batchSettingsReset').addEventListener('click', () => this.apply('reset'));
+
+    document.getElementById('batchSettingsClose').addEventListener('click', () => this.close());
+    this.dialog.querySelector('.batch-settings-overlay').addEventListener('click', () => this.close());
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * CopyMenu Component
+ * Popup menu for copying the result to the clipboard as SVG markup, data URI, CSS or PNG
+ */
+class CopyMenu {
+  constructor() {
+    this.menu = null;
+    this.scaleSelect = null;
+    this.anchor = null;
+
+    this.formats = [
+      { id: 'svg', label: 'SVG markup', hint: '<svg> code' },
+      { id: 'data-uri', label: 'Data URI', hint: 'data:image/svg+xml;base64,...' },
+      { id: 'css', label: 'CSS background', hint: 'background-image: url(...)' },
+      { id: 'png', label: 'PNG image', hint: 'Rasterized at the chosen scale' }
+    ];
+    this.scales = [1, 2, 4];
+
+    this.handleOutsideClick = this.handleOutsideClick.bind(this);
+  }
+
+  /**
+   * Initialize the menu
+   */
+  init() {
+    this.createMenu();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Create menu HTML
+   */
+  createMenu() {
+    const items = this.formats.map((format, index) => `
+      <div class="copy-menu-row">
+        <button class="copy-menu-item" data-format="${format.id}">
+          <span class="copy-menu-key">${index + 1}</span>
+          <span class="copy-menu-text">
+            <span class="copy-menu-label">${format.label}</span>
+            <span class="copy-menu-hint">${this.escapeHtml(format.hint)}</span>
+          </span>
+        </button>
+        ${format.id === 'png' ? `
+        <select class="copy-menu-scale" id="copyMenuScale" title="PNG scale">
+          ${this.scales.map(scale => `<option value="${scale}">${scale}x</option>`).join('')}
+        </select>` : ''}
+      </div>`).join('');
+
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="copy-menu" id="copyMenu" role="menu">
+        <div class="copy-menu-title">Copy to clipboard</div>
+        ${items}
+      </div>
+    `);
+
+    this.menu = document.getElementById('copyMenu');
+    this.scaleSelect = document.getElementById('copyMenuScale');
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.menu.addEventListener('click', (e) => {
+      const item = e.target.closest('.copy-menu-item');
+      if (item) {
+        this.choose(item.getAttribute('data-format'));
+      }
+    });
+
+    this.menu.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+        return;
+      }
+
+      // 1-4 picks a format, arrows move between them
+      const index = parseInt(e.key, 10) - 1;
+      if (this.formats[index]) {
+        e.preventDefault();
+        this.choose(this.formats[index].id);
+        return;
+      }
+
+      if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && e.target !== this.scaleSelect) {
+        e.preventDefault();
+        const items = Array.from(this.menu.querySelectorAll('.copy-menu-item'));
+        const current = items.indexOf(document.activeElement);
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        items[(current + step + items.length) % items.length].focus();
+      }
+    });
+  }
+
+  /**
+   * Show the menu next to an element (the sidebar Copy button)
+   * @param {HTMLElement} anchor - Element to align with
+   */
+  open(anchor) {
+    this.anchor = anchor;
+    this.menu.classList.add('active');
+
+    const rect = anchor.getBoundingClientRect();
+    const top = Math.min(rect.top, window.innerHeight - this.menu.offsetHeight - 10);
+    this.menu.style.left = (rect.right + 10) + 'px';
+    this.menu.style.top = Math.max(10, top) + 'px';
+
+    this.menu.querySelector('.copy-menu-item').focus();
+
+    // Registered after the click that opened the menu has finished
+    setTimeout(() => {
+      document.addEventListener('mousedown', this.handleOutsideClick);
+    });
+  }
+
+  /**
+   * Hide the menu
+   */
+  close() {
+    this.menu.classList.remove('active');
+    document.removeEventListener('mousedown', this.handleOutsideClick);
+
+    if (this.anchor) {
+      this.anchor.focus();
+      this.anchor = null;
+    }
+  }
+
+  /**
+   * Toggle the menu
+   * @param {HTMLElement} anchor - Element to align with
+   */
+  toggle(anchor) {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open(anchor);
+    }
+  }
+
+  /**
+   * Whether the menu is shown
+   */
+  isOpen() {
+    return this.menu.classList.contains('active');
+  }
+
+  /**
+   * Close on clicks outside the menu
+   */
+  handleOutsideClick(e) {
+    if (!this.menu.contains(e.target) && !(this.anchor && this.anchor.contains(e.target))) {
+      this.close();
+    }
+  }
+
+  /**
+   * Close the menu and request the copy
+   * @param {string} format - 'svg', 'data-uri', 'css' or 'png'
+   */
+  choose(format) {
+    const scale = parseFloat(this.scaleSelect.value);
+    this.close();
+
+    document.dispatchEvent(new CustomEvent('copyAction', {
+      detail: { format, scale },
+      bubbles: true
+    }));
+  }
+
+  /**
+   * Escape text for HTML
+   */
+  escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
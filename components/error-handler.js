@@ -29,6 +29,20 @@ class ExportError extends Error {
   }
 }
 
+class OptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OptionsError';
+  }
+}
+
+class CancellationError extends Error {
+  constructor(message = 'Operation cancelled') {
+    super(message);
+    this.name = 'CancellationError';
+  }
+}
+
 /**
  * ErrorHandler Utility
  * Centralized error handling and user notification
@@ -50,6 +64,12 @@ class ErrorHandler {
   static handle(error, context = 'Unknown') {
     let userMessage = '';
     
+    // Cancelling is a user choice, not a failure
+    if (error instanceof CancellationError) {
+      this.showInfo(error.message);
+      return;
+    }
+    
     if (error instanceof FileLoadError) {
       userMessage = 'Cannot load file. Please try another file or check the file format.';
     } else if (error instanceof MemoryError) {
@@ -58,6 +78,8 @@ class ErrorHandler {
       userMessage = 'Processing failed. Please try again or use a different image.';
     } else if (error instanceof ExportError) {
       userMessage = 'Cannot export SVG. Please try again.';
+    } else if (error instanceof OptionsError) {
+      userMessage = `Invalid vectorization settings: ${error.message}`;
     } else {
       userMessage = `An error occurred: ${error.message || 'Unknown error'}`;
     }
@@ -209,5 +231,7 @@ if (typeof window !== 'undefined') {
   window.MemoryError = MemoryError;
   window.ProcessingError = ProcessingError;
   window.ExportError = ExportError;
+  window.OptionsError = OptionsError;
+  window.CancellationError = CancellationError;
   window.ErrorHandler = ErrorHandler;
 }
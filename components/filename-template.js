@@ -0,0 +1,139 @@
+/**
+ * FilenameTemplate
+ * Output filename template shared by the single download and the batch ZIP
+ *
+ * Tokens: {name} {mode} {preset} {colors} {width} {height} {date} {index}
+ * Example: "{name}-{mode}-{width}x{height}" -> "logo-vectorized-512x512"
+ */
+class FilenameTemplate {
+  constructor() {
+    this.storageKey = 'filenameTemplate';
+    this.defaultTemplate = '{name}-{mode}';
+    this.tokens = ['name', 'mode', 'preset', 'colors', 'width', 'height', 'date', 'index'];
+  }
+
+  /**
+   * Saved template, or the default one
+   * @returns {string}
+   */
+  load() {
+    try {
+      return localStorage.getItem(this.storageKey) || this.defaultTemplate;
+    } catch (error) {
+      return this.defaultTemplate;
+    }
+  }
+
+  /**
+   * Save the template (an empty value restores the default)
+   * @param {string} template - Template string
+   * @throws {OptionsError} - If the template contains an unknown token
+   */
+  save(template) {
+    template = (template || '').trim() || this.defaultTemplate;
+
+    const unknown = (template.match(/\{[^}]*\}/g) || [])
+      .map(token => token.slice(1, -1))
+      .filter(token => !this.tokens.includes(token));
+    if (unknown.length > 0) {
+      throw new OptionsError(`Unknown filename token {${unknown[0]}}. Use ${this.tokens.map(t => `{${t}}`).join(', ')}`);
+    }
+
+    localStorage.setItem(this.storageKey, template);
+    document.dispatchEvent(new CustomEvent('filenameTemplateChange', { detail: { template } }));
+    return template;
+  }
+
+  /**
+   * Build a filename (without extension) from the template
+   * Separators next to tokens that come out empty are dropped ("{name}-{preset}-{colors}" without
+   * a preset gives "logo-8"); token values themselves are kept as they are, apart from reserved characters
+   * @param {Object} values - Token values; missing ones are left empty
+   * @param {string} template - Template, defaults to the saved one
+   * @returns {string} - Safe filename
+   */
+  format(values, template = this.load()) {
+    // Even entries are template text, odd entries token values
+    const parts = template.split(/\{(\w+)\}/)
+      .map((part, i) => this.sanitize(i % 2 === 1 ? this.getValue(part, values) : part));
+    const leading = /^[-_ .]+/;
+    const trailing = /[-_ .]+$/;
+
+    // Template text before the first and after the last non-empty token loses its separators
+    for (let i = 0; i < parts.length; i++) {
+      if (i % 2 === 0) {
+        parts[i] = parts[i].replace(leading, '');
+      }
+      if (parts[i] !== '') {
+        break;
+      }
+    }
+    for (let i = parts.length - 1; i >= 0; i--) {
+      if (i % 2 === 0) {
+        parts[i] = parts[i].replace(trailing, '');
+      }
+      if (parts[i] !== '') {
+        break;
+      }
+    }
+
+    // An empty token between two separators leaves only the first one
+    for (let i = 1; i < parts.length; i += 2) {
+      if (parts[i] === '' && trailing.test(parts.slice(0, i).join(''))) {
+        parts[i + 1] = parts[i + 1].replace(leading, '');
+      }
+    }
+
+    // Nothing but separators (e.g. a file named "...") would make a hidden or invalid file
+    const name = parts.join('');
+    return name.replace(/[-_ .]/g, '') === '' ? 'image' : name;
+  }
+
+  /**
+   * Value of one token, as text
+   */
+  getValue(token, values) {
+    if (token === 'date' && values.date === undefined) {
+      return new Date().toISOString().slice(0, 10);
+    }
+    const value = values[token];
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  /**
+   * Make a string safe to use in a filename: path separators and reserved characters are replaced
+   */
+  sanitize(text) {
+    return text.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_');
+  }
+
+  /**
+   * Base name of a file, without folder and extension
+   */
+  baseName(fileName) {
+    return (fileName || 'image').split('/').pop().replace(/\.[^/.]+$/, '');
+  }
+
+  /**
+   * Return a path not yet in usedPaths (compared case-insensitively) and record it
+   * "a.svg", "a.svg" -> "a.svg", "a-2.svg"
+   * @param {string} path - Wanted path
+   * @param {Set<string>} usedPaths - Lower-cased paths already taken
+   * @returns {string} - Unique path
+   */
+  uniquePath(path, usedPaths) {
+    const match = path.match(/^(.*?)(\.[^/.]+)?$/);
+    const stem = match[1];
+    const extension = match[2] || '';
+
+    let candidate = path;
+    for (let n = 2; usedPaths.has(candidate.toLowerCase()); n++) {
+      candidate = `${stem}-${n}${extension}`;
+    }
+
+    usedPaths.add(candidate.toLowerCase());
+    return candidate;
+  }
+}
+
+window.filenameTemplate = new FilenameTemplate();
@@ -12,25 +12,41 @@ class ProgressModal {
     this.stageElement = document.getElementById('progressStage');
     this.barElement = document.getElementById('progressBar');
     this.percentageElement = document.getElementById('progressPercentage');
+    this.etaElement = document.getElementById('progressEta');
+    this.cancelButton = document.getElementById('progressCancel');
+    this.onCancel = null;
+    
+    if (this.cancelButton) {
+      this.cancelButton.addEventListener('click', () => this.requestCancel());
+    }
     
     this.stages = [
       'Color quantization...',
       'Separating bitmap layers...',
       'Tracing edges...',
-      'Optimizing curves...',
+      'Building SVG...',
       'Complete!'
     ];
     
     this.currentStage = 0;
     this.progress = 0;
+    this.startTime = 0;
   }
   
   /**
    * Show the progress modal
+   * @param {Object} options - Optional { onCancel } callback; shows a Cancel button when given
    */
-  show() {
+  show(options = {}) {
     this.modal.style.display = 'flex';
     this.reset();
+    this.startTime = Date.now();
+    
+    this.onCancel = options.onCancel || null;
+    if (this.cancelButton) {
+      this.cancelButton.style.display = this.onCancel ? 'flex' : 'none';
+      this.cancelButton.disabled = false;
+    }
     
     // Prevent body scroll
     document.body.style.overflow = 'hidden';
@@ -41,11 +57,28 @@ class ProgressModal {
    */
   hide() {
     this.modal.style.display = 'none';
+    this.onCancel = null;
     
     // Restore body scroll
     document.body.style.overflow = '';
   }
   
+  /**
+   * Handle Cancel button click
+   */
+  requestCancel() {
+    if (!this.onCancel) {
+      return;
+    }
+    
+    const onCancel = this.onCancel;
+    this.onCancel = null;
+    this.cancelButton.disabled = true;
+    this.setStage('Cancelling...', this.progress);
+    
+    onCancel();
+  }
+  
   /**
    * Update progress bar and stage text
    * @param {number} stage - Stage index (0-4)
@@ -69,6 +102,30 @@ class ProgressModal {
     if (this.percentageElement) {
       this.percentageElement.textContent = `${Math.round(this.progress)}%`;
     }
+    
+    this.updateEta();
+  }
+  
+  /**
+   * Estimate remaining time from elapsed time and progress so far
+   */
+  updateEta() {
+    if (!this.etaElement) {
+      return;
+    }
+    
+    const elapsed = Date.now() - this.startTime;
+    
+    // Too early (or already done) for a meaningful estimate
+    if (!this.startTime || this.progress < 3 || this.progress >= 100 || elapsed < 500) {
+      this.etaElement.textContent = '';
+      return;
+    }
+    
+    const remainingSeconds = Math.ceil((elapsed / this.progress) * (100 - this.progress) / 1000);
+    this.etaElement.textContent = remainingSeconds >= 60
+      ? `About ${Math.floor(remainingSeconds / 60)}m ${remainingSeconds % 60}s left`
+      : `About ${remainingSeconds}s left`;
   }
   
   /**
@@ -91,6 +148,9 @@ class ProgressModal {
       if (this.percentageElement) {
         this.percentageElement.textContent = `${Math.round(percentage)}%`;
       }
+      if (this.etaElement) {
+        this.etaElement.textContent = '';
+      }
     }
   }
   
@@ -109,6 +169,12 @@ class ProgressModal {
   showComplete() {
     this.updateProgress(4, 100);
     
+    // Nothing left to cancel
+    this.onCancel = null;
+    if (this.cancelButton) {
+      this.cancelButton.style.display = 'none';
+    }
+    
     // Auto-hide after a short delay
     setTimeout(() => {
       this.hide();
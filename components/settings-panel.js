@@ -0,0 +1,549 @@
+/**
+ * SettingsPanel Component
+ * Floating panel for tuning ImageTracer options per image
+ */
+class SettingsPanel {
+  constructor(panelId = 'settingsPanel') {
+    this.panel = document.getElementById(panelId);
+    if (!this.panel) {
+      throw new Error(`Panel with id "${panelId}" not found`);
+    }
+
+    this.presetSelect = document.getElementById('settingsPreset');
+    this.detectedElement = document.getElementById('settingsDetected');
+    this.detectedTextElement = document.getElementById('settingsDetectedText');
+    this.optionInputs = Array.from(this.panel.querySelectorAll('[data-option]'));
+    this.inkThresholdInput = this.panel.querySelector('[data-option="inkthreshold"]');
+    this.inkThresholdValueElement = document.getElementById('settingsInkThresholdValue');
+    this.filenameInput = document.getElementById('settingsFilenameTemplate');
+    this.optimizeInput = document.getElementById('settingsOptimize');
+    this.precisionInput = document.getElementById('settingsOptimizePrecision');
+    this.optimizeResultElement = document.getElementById('settingsOptimizeResult');
+    this.formatSelect = document.getElementById('settingsDownloadFormat');
+    this.pageSizeSelect = document.getElementById('settingsPdfPageSize');
+    this.unitsSelect = document.getElementById('settingsCadUnits');
+    this.dpiInput = document.getElementById('settingsDpi');
+    this.rasterScaleSelect = document.getElementById('settingsRasterScale');
+    this.rasterWidthInput = document.getElementById('settingsRasterWidth');
+    this.rasterHeightInput = document.getElementById('settingsRasterHeight');
+    this.rasterBackgroundSelect = document.getElementById('settingsRasterBackground');
+    this.rasterColorInput = document.getElementById('settingsRasterColor');
+    this.rasterQualityInput = document.getElementById('settingsRasterQuality');
+    this.iconNameInput = document.getElementById('settingsIconName');
+    this.iconThemeColorInput = document.getElementById('settingsIconThemeColor');
+    this.iconBackgroundInput = document.getElementById('settingsIconBackground');
+    this.embedFormatSelect = document.getElementById('settingsEmbedFormat');
+    this.embedQualityInput = document.getElementById('settingsEmbedQuality');
+    this.embedMaxSizeInput = document.getElementById('settingsEmbedMaxSize');
+    this.embedTargetSizeInput = document.getElementById('settingsEmbedTargetSize');
+    this.embedLinkedInput = document.getElementById('settingsEmbedLinked');
+    this.embedResolutionsInput = document.getElementById('settingsEmbedResolutions');
+    this.sizeUnitSelect = document.getElementById('settingsSizeUnit');
+    this.sizeWidthInput = document.getElementById('settingsSizeWidth');
+    this.sizeHeightInput = document.getElementById('settingsSizeHeight');
+    this.sizeLockInput = document.getElementById('settingsSizeLock');
+    this.responsiveInput = document.getElementById('settingsSizeResponsive');
+    this.naturalSize = null; // { width, height } in pixels of the current image
+    this.sizeUnit = this.sizeUnitSelect.value; // Unit the width/height fields are in
+    this.layersGroup = document.getElementById('settingsLayersGroup');
+    this.layersList = document.getElementById('settingsLayers');
+    this.currentPreset = 'default';
+    this.detection = null;
+  }
+
+  /**
+   * Fill the preset dropdown from the tracer's preset list
+   */
+  populatePresets() {
+    const names = window.ImageTracerPro ? window.ImageTracerPro.getPresetNames() : ['default'];
+    this.presetSelect.innerHTML = names
+      .map(name => `<option value="${name}">${name}</option>`)
+      .join('');
+  }
+
+  /**
+   * Select a preset: makes it the tracer's sticky preset and loads its values into the inputs
+   * @param {string} presetName - Preset name
+   */
+  applyPreset(presetName) {
+    if (!window.ImageTracerPro || !window.ImageTracerPro.isReady) {
+      return;
+    }
+
+    window.ImageTracerPro.setPreset(presetName);
+    const values = window.ImageTracerPro.resolveOptions(presetName);
+    this.currentPreset = presetName;
+    this.presetSelect.value = presetName;
+    this.updateDetected();
+
+    this.optionInputs.forEach(input => {
+      const value = values[input.dataset.option];
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(value);
+      } else {
+        // Options the preset leaves unset go back to the input's own default (empty, or Auto for sliders)
+        input.value = value === undefined ? input.defaultValue : value;
+      }
+    });
+    this.updateInkThreshold();
+  }
+
+  /**
+   * Show the ink threshold slider's value, 0 being automatic
+   */
+  updateInkThreshold() {
+    const value = Number(this.inkThresholdInput.value);
+    this.inkThresholdValueElement.textContent = value === 0 ? 'Auto' : String(value);
+  }
+
+  /**
+   * Show the result of automatic image analysis and switch to its preset
+   * @param {Object} detection - Result of ImageTracerPro.analyzeImage()
+   */
+  setDetected(detection) {
+    this.detection = detection;
+    this.applyPreset(detection.preset);
+  }
+
+  /**
+   * Clear the detected image type (e.g. when the canvas is cleared)
+   */
+  clearDetected() {
+    this.detection = null;
+    this.updateDetected();
+    this.optimizeResultElement.style.display = 'none';
+  }
+
+  /**
+   * Refresh the "Detected: ..." line, flagging a manual override
+   */
+  updateDetected() {
+    if (!this.detection) {
+      this.detectedElement.style.display = 'none';
+      return;
+    }
+
+    const overridden = this.currentPreset !== this.detection.preset;
+    this.detectedTextElement.textContent = overridden
+      ? `Detected: ${this.detection.label} (overridden)`
+      : `Detected: ${this.detection.label}`;
+    this.detectedElement.classList.toggle('overridden', overridden);
+    this.detectedElement.style.display = 'flex';
+  }
+
+  /**
+   * Read the current option values from the inputs
+   * The preset itself is not included: it is already set on the tracer by applyPreset()
+   * @returns {Object} - ImageTracer option overrides
+   */
+  getOptions() {
+    const options = {};
+
+    this.optionInputs.forEach(input => {
+      const key = input.dataset.option;
+      if (input.type === 'checkbox') {
+        options[key] = input.checked;
+      } else if (input.value !== '') {
+        options[key] = Number(input.value);
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Read the SVG optimizer settings
+   * @returns {Object} - { optimize, precision }
+   */
+  getExportOptions() {
+    return {
+      optimize: this.optimizeInput.checked,
+      precision: Number(this.precisionInput.value || 2)
+    };
+  }
+
+  /**
+   * Read the download settings
+   * @returns {Object} - { format: 'svg'|'pdf'|'eps'|'dxf'|'png'|'webp'|'icons'|'react'|'react-ts'|'vue'|'svelte', pageSize, units, dpi }
+   * @throws {OptionsError} - If the DPI is out of range
+   */
+  getDownloadOptions() {
+    return {
+      format: this.formatSelect.value,
+      pageSize: this.pageSizeSelect.value,
+      units: this.unitsSelect.value,
+      dpi: this.getDpi()
+    };
+  }
+
+  /**
+   * Read the PNG/WebP settings, as used by SVGExporter.rasterize()
+   * @returns {Object} - { type, scale, width, height, background, quality }
+   * @throws {OptionsError} - If the exact size or the quality is invalid
+   */
+  getRasterOptions() {
+    const format = this.formatSelect.value === 'webp' ? 'webp' : 'png';
+    const exact = this.rasterScaleSelect.value === 'exact';
+
+    const readPixels = (input, label) => {
+      if (input.value === '') {
+        return null;
+      }
+      const value = Number(input.value);
+      if (!Number.isInteger(value) || value < 1 || value > 16384) {
+        throw new OptionsError(`${label} must be a whole number of pixels between 1 and 16384`);
+      }
+      return value;
+    };
+    const width = exact ? readPixels(this.rasterWidthInput, 'Width') : null;
+    const height = exact ? readPixels(this.rasterHeightInput, 'Height') : null;
+    if (exact && width === null && height === null) {
+      throw new OptionsError('Enter a width and/or a height for the exact size');
+    }
+
+    const quality = Number(this.rasterQualityInput.value || 90);
+    if (!Number.isFinite(quality) || quality < 1 || quality > 100) {
+      throw new OptionsError('Quality must be between 1 and 100');
+    }
+
+    return {
+      type: `image/${format}`,
+      scale: exact ? 1 : Number(this.rasterScaleSelect.value),
+      width,
+      height,
+      background: this.rasterBackgroundSelect.value === 'solid' ? this.rasterColorInput.value : null,
+      quality: format === 'webp' ? quality / 100 : undefined
+    };
+  }
+
+  /**
+   * Read the icon pack settings, as used by SVGExporter.toIconPack()
+   * @returns {Object} - { name, themeColor, background }, name being '' when not set
+   */
+  getIconPackOptions() {
+    return {
+      name: this.iconNameInput.value.trim(),
+      themeColor: this.iconThemeColorInput.value,
+      background: this.iconBackgroundInput.value
+    };
+  }
+
+  /**
+   * Read the embedded image settings, as used by ImageEncoder.encode()
+   * @returns {Object} - { format, quality, maxSize, targetSize, linked, resolutions }
+   * @throws {OptionsError} - If a value is out of range
+   */
+  getEmbedOptions() {
+    return new ImageEncoder().validateOptions({
+      format: this.embedFormatSelect.value,
+      quality: this.embedQualityInput.value,
+      maxSize: this.embedMaxSizeInput.value,
+      targetSize: this.embedTargetSizeInput.value,
+      linked: this.embedLinkedInput.checked,
+      resolutions: this.embedResolutionsInput.value
+    });
+  }
+
+  /**
+   * DPI shared by the output size and the PDF/EPS/DXF downloads
+   * @throws {OptionsError} - If the DPI is out of range
+   */
+  getDpi() {
+    const dpi = Number(this.dpiInput.value || 96);
+    if (!Number.isFinite(dpi) || dpi < 1 || dpi > 2400) {
+      throw new OptionsError('DPI must be between 1 and 2400');
+    }
+    return dpi;
+  }
+
+  /**
+   * Read the output size settings, as used by SVGExporter.getOutputSize()
+   * @returns {Object} - { unit, dpi, width, height, lockAspect, responsive }
+   * @throws {OptionsError} - If the DPI or a dimension is invalid
+   */
+  getSizingOptions() {
+    const readDimension = (input, label) => {
+      if (input.value === '') {
+        return null;
+      }
+      const value = Number(input.value);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new OptionsError(`${label} must be a positive number`);
+      }
+      return value;
+    };
+
+    return {
+      unit: this.sizeUnitSelect.value,
+      dpi: this.getDpi(),
+      width: readDimension(this.sizeWidthInput, 'Width'),
+      height: readDimension(this.sizeHeightInput, 'Height'),
+      lockAspect: this.sizeLockInput.checked,
+      responsive: this.responsiveInput.checked
+    };
+  }
+
+  /**
+   * Remember the pixel size of the current image, used to keep width and height in proportion
+   */
+  setNaturalSize(width, height) {
+    this.naturalSize = width > 0 && height > 0 ? { width, height } : null;
+  }
+
+  /**
+   * With the aspect ratio locked, fill the other dimension from the one just edited
+   * @param {string} changed - 'width' or 'height'
+   */
+  syncSizeFields(changed) {
+    if (!this.sizeLockInput.checked || !this.naturalSize) {
+      return;
+    }
+
+    const ratio = this.naturalSize.height / this.naturalSize.width;
+    const round = (n) => String(Math.round(n * 1000) / 1000);
+    const source = changed === 'width' ? this.sizeWidthInput : this.sizeHeightInput;
+    const target = changed === 'width' ? this.sizeHeightInput : this.sizeWidthInput;
+    const value = Number(source.value);
+
+    if (source.value === '' || !(value > 0)) {
+      target.value = '';
+    } else {
+      target.value = round(changed === 'width' ? value * ratio : value / ratio);
+    }
+  }
+
+  /**
+   * Convert the entered width/height to the newly selected unit
+   */
+  convertSizeFields() {
+    const from = this.sizeUnit;
+    const to = this.sizeUnitSelect.value;
+    this.sizeUnit = to;
+
+    let dpi;
+    try {
+      dpi = this.getDpi();
+    } catch (error) {
+      dpi = 96;
+    }
+
+    const exporter = new SVGExporter();
+    const toPixels = (value) => from === 'px' ? value : value / exporter.unitsPerInch[from] * dpi;
+    const fromPixels = (px) => to === 'px' ? px : px / dpi * exporter.unitsPerInch[to];
+
+    [this.sizeWidthInput, this.sizeHeightInput].forEach(input => {
+      if (input.value !== '' && Number(input.value) > 0) {
+        input.value = String(Math.round(fromPixels(toPixels(Number(input.value))) * 1000) / 1000);
+      }
+    });
+  }
+
+  /**
+   * Size fields do not apply to a responsive SVG
+   */
+  updateSizeFields() {
+    const responsive = this.responsiveInput.checked;
+    this.sizeUnitSelect.disabled = responsive;
+    this.panel.querySelectorAll('.settings-size-field input').forEach(input => {
+      input.disabled = responsive;
+    });
+  }
+
+  /**
+   * Show the download fields of the selected format (data-formats lists the formats a field applies to)
+   */
+  updateDownloadFields() {
+    const format = this.formatSelect.value;
+    this.panel.querySelectorAll('[data-formats]').forEach(field => {
+      field.style.display = field.dataset.formats.split(' ').includes(format) ? '' : 'none';
+    });
+
+    // Pixel size fields only apply to "Exact size"
+    if (this.rasterScaleSelect.value !== 'exact') {
+      this.panel.querySelectorAll('.settings-raster-size').forEach(field => {
+        field.style.display = 'none';
+      });
+    }
+    this.rasterColorInput.disabled = this.rasterBackgroundSelect.value !== 'solid';
+  }
+
+  /**
+   * Quality and target size only apply to the lossy embed formats, resolutions to linked images
+   */
+  updateEmbedFields() {
+    const lossy = this.embedFormatSelect.value !== 'png';
+    this.panel.querySelectorAll('.settings-embed-lossy').forEach(field => {
+      field.style.display = lossy ? '' : 'none';
+    });
+    this.panel.querySelectorAll('.settings-embed-linked').forEach(field => {
+      field.style.display = this.embedLinkedInput.checked ? '' : 'none';
+    });
+  }
+
+  /**
+   * Show the size of the last result before and after optimization
+   * @param {number} before - Bytes before
+   * @param {number} after - Bytes after
+   */
+  setOptimizeResult(before, after) {
+    const exporter = new SVGExporter();
+    const saved = before > 0 ? Math.round((1 - after / before) * 100) : 0;
+    this.optimizeResultElement.textContent =
+      `Last result: ${exporter.formatFileSize(before)} → ${exporter.formatFileSize(after)} (-${saved}%)`;
+    this.optimizeResultElement.style.display = 'block';
+  }
+
+  /**
+   * List the color layers of the current result with editable names
+   * Renaming dispatches a 'layerRename' event with { index, name }
+   * @param {Array<Object>} layers - From SVGExporter.getLayers()
+   */
+  setLayers(layers) {
+    if (layers.length === 0) {
+      this.clearLayers();
+      return;
+    }
+
+    this.layersList.innerHTML = '';
+    layers.forEach(layer => {
+      const row = document.createElement('label');
+      row.className = 'settings-layer';
+
+      const swatch = document.createElement('span');
+      swatch.className = 'settings-layer-swatch';
+      swatch.style.background = layer.color;
+      swatch.title = layer.color;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = layer.name;
+      input.placeholder = `layer-${layer.index}`;
+      input.addEventListener('change', () => {
+        document.dispatchEvent(new CustomEvent('layerRename', {
+          detail: { index: layer.index, name: input.value.trim() }
+        }));
+      });
+
+      row.append(swatch, input);
+      this.layersList.appendChild(row);
+    });
+
+    this.layersGroup.style.display = 'block';
+  }
+
+  /**
+   * Hide the layer list
+   */
+  clearLayers() {
+    this.layersList.innerHTML = '';
+    this.layersGroup.style.display = 'none';
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.presetSelect.addEventListener('change', () => {
+      this.applyPreset(this.presetSelect.value);
+    });
+
+    document.getElementById('settingsReset').addEventListener('click', () => {
+      this.applyPreset(this.currentPreset);
+    });
+
+    document.getElementById('settingsDetectedUse').addEventListener('click', () => {
+      if (this.detection) {
+        this.applyPreset(this.detection.preset);
+      }
+    });
+
+    document.getElementById('settingsPanelClose').addEventListener('click', () => this.hide());
+
+    this.inkThresholdInput.addEventListener('input', () => this.updateInkThreshold());
+
+    this.formatSelect.addEventListener('change', () => this.updateDownloadFields());
+    this.rasterScaleSelect.addEventListener('change', () => this.updateDownloadFields());
+    this.rasterBackgroundSelect.addEventListener('change', () => this.updateDownloadFields());
+    document.getElementById('settingsCopyComponent').addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('componentCopy', {
+        detail: { framework: this.formatSelect.value }
+      }));
+    });
+
+    this.embedFormatSelect.addEventListener('change', () => this.updateEmbedFields());
+    this.embedLinkedInput.addEventListener('change', () => this.updateEmbedFields());
+    this.embedResolutionsInput.addEventListener('change', () => {
+      try {
+        const encoder = new ImageEncoder();
+        this.embedResolutionsInput.value = encoder.formatResolutions(encoder.parseResolutions(this.embedResolutionsInput.value));
+      } catch (error) {
+        ErrorHandler.handle(error, 'Resolutions');
+      }
+    });
+
+    // Output size
+    this.sizeUnitSelect.addEventListener('change', () => this.convertSizeFields());
+    this.sizeWidthInput.addEventListener('input', () => this.syncSizeFields('width'));
+    this.sizeHeightInput.addEventListener('input', () => this.syncSizeFields('height'));
+    this.sizeLockInput.addEventListener('change', () => this.syncSizeFields('width'));
+    this.responsiveInput.addEventListener('change', () => this.updateSizeFields());
+
+    // Filename template is shared with the batch converter
+    this.filenameInput.addEventListener('change', () => {
+      try {
+        this.filenameInput.value = window.filenameTemplate.save(this.filenameInput.value);
+      } catch (error) {
+        ErrorHandler.handle(error, 'Filename template');
+        this.filenameInput.value = window.filenameTemplate.load();
+      }
+    });
+    document.addEventListener('filenameTemplateChange', (event) => {
+      this.filenameInput.value = event.detail.template;
+    });
+  }
+
+  /**
+   * Show the panel
+   */
+  show() {
+    this.panel.style.display = 'flex';
+  }
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    this.panel.style.display = 'none';
+  }
+
+  /**
+   * Toggle panel visibility
+   */
+  toggle() {
+    if (this.isVisible()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Check if the panel is visible
+   */
+  isVisible() {
+    return this.panel.style.display !== 'none';
+  }
+
+  /**
+   * Initialize the panel
+   */
+  init() {
+    this.populatePresets();
+    this.applyPreset('default');
+    this.filenameInput.value = window.filenameTemplate.load();
+    this.updateDownloadFields();
+    this.updateEmbedFields();
+    new ImageEncoder().disableUnsupportedOptions(this.embedFormatSelect); // AVIF in most browsers
+    this.attachEventListeners();
+  }
+}
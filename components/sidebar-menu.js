@@ -24,6 +24,27 @@ class SidebarMenu {
         action: 'vectorize',
         tooltip: 'Automatically convert image to SVG vector'
       },
+      { 
+        id: 'centerline', 
+        icon: 'spline', 
+        label: 'Centerline', 
+        action: 'centerline',
+        tooltip: 'Trace line art along the middle of its lines (single strokes)'
+      },
+      { 
+        id: 'bilevel', 
+        icon: 'contrast', 
+        label: 'Black & White', 
+        action: 'bilevel',
+        tooltip: 'Trace in black and white into smooth Bézier outlines'
+      },
+      { 
+        id: 'hybrid', 
+        icon: 'layers', 
+        label: 'Hybrid', 
+        action: 'hybrid',
+        tooltip: 'Trace marked or flat-color regions over the embedded image'
+      },
       { 
         id: 'download', 
         icon: 'download', 
@@ -31,6 +52,13 @@ class SidebarMenu {
         action: 'download',
         tooltip: 'Download vectorized SVG file'
       },
+      { 
+        id: 'copy', 
+        icon: 'copy', 
+        label: 'Copy', 
+        action: 'copy',
+        tooltip: 'Copy as SVG markup, data URI, CSS or PNG (Ctrl+Alt+C)'
+      },
       { 
         id: 'clear', 
         icon: 'trash-2', 
@@ -104,7 +132,10 @@ class SidebarMenu {
     
     const tooltips = {
       embed: 'Embed PNG image into SVG (fast, preserves original quality). Suitable when you want to quickly get an SVG file.',
-      vectorize: 'Convert to true vector (editable, infinitely scalable). Suitable for logos, icons, and graphics that need editing.'
+      vectorize: 'Convert to true vector (editable, infinitely scalable). Suitable for logos, icons, and graphics that need editing.',
+      centerline: 'Trace the middle of each line as a single stroke with its estimated width, instead of two outlines around it. Suitable for line art, handwriting, signatures, plotters and CAD.',
+      bilevel: 'Trace in one color like Potrace: the image is split into black and white (automatically, or with the Ink threshold slider in Settings) and the outlines become smooth Bézier curves with sharp corners kept. Suitable for logos, stamps, scans and signatures.',
+      hybrid: 'Trace only the regions you mark with the toolbar\'s Mark regions tool (or flat-color areas found automatically) and keep the rest as the embedded image. Suitable for photos with logos or text.'
     };
     
     const text = tooltips[infoType];
@@ -174,9 +205,13 @@ class SidebarMenu {
     this.render();
     this.attachEventListeners();
     
-    // Initially disable embed, vectorize and download tools
+    // Initially disable embed, vectorize, centerline, black & white, hybrid, download and copy tools
     this.setToolEnabled('embed', false);
     this.setToolEnabled('vectorize', false);
+    this.setToolEnabled('centerline', false);
+    this.setToolEnabled('bilevel', false);
+    this.setToolEnabled('hybrid', false);
     this.setToolEnabled('download', false);
+    this.setToolEnabled('copy', false);
   }
 }
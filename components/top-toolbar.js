@@ -40,6 +40,19 @@ class TopToolbar {
         icon: 'maximize', 
         tooltip: 'Fit to Screen',
         enabled: false
+      },
+      { 
+        id: 'regions', 
+        icon: 'square-dashed', 
+        tooltip: 'Mark regions for hybrid mode',
+        enabled: false
+      },
+      { type: 'separator' },
+      { 
+        id: 'settings', 
+        icon: 'settings', 
+        tooltip: 'Vectorization Settings',
+        enabled: true
       }
     ];
     
@@ -101,14 +114,16 @@ class TopToolbar {
       redoBtn.disabled = !this.state.canRedo;
     }
     
-    // Update zoom buttons based on whether image is loaded
+    // Update zoom and region buttons based on whether image is loaded
     const zoomInBtn = document.getElementById('toolbar-zoom-in');
     const zoomOutBtn = document.getElementById('toolbar-zoom-out');
     const fitScreenBtn = document.getElementById('toolbar-fit-screen');
+    const regionsBtn = document.getElementById('toolbar-regions');
     
     if (zoomInBtn) zoomInBtn.disabled = !this.state.hasImage;
     if (zoomOutBtn) zoomOutBtn.disabled = !this.state.hasImage;
     if (fitScreenBtn) fitScreenBtn.disabled = !this.state.hasImage;
+    if (regionsBtn) regionsBtn.disabled = !this.state.hasImage;
   }
   
   /**
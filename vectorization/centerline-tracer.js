@@ -0,0 +1,608 @@
+/**
+ * CenterlineTracer Class
+ * Traces line art along the middle of its lines: one stroked path per pen line instead of
+ * the two filled outlines ImageTracer draws around it (for plotters, signatures and CAD)
+ *
+ * binarize -> skeletonize -> skeleton graph walk -> stroke widths from the ink around each stroke -> simplify -> SVG
+ */
+class CenterlineTracer extends ThresholdTracer {
+  /**
+   * @param {Function} onProgress - Called with { stage, percentage }
+   */
+  constructor(onProgress = null) {
+    super(onProgress);
+
+    // Neighbor offsets around a pixel, clockwise from north (P2..P9 in Zhang-Suen terms)
+    this.neighborX = [0, 1, 1, 1, 0, -1, -1, -1];
+    this.neighborY = [-1, -1, 0, 1, 1, 1, 0, -1];
+
+    // Neighbors of the pixel being tested, reused by getNeighbors()
+    this.neighbors = new Uint8Array(8);
+
+    // Ink farther than this from the background is a filled area, not a line (lines up to ~16 px wide)
+    this.thickDistance = 8;
+  }
+
+  /**
+   * Trace ImageData into stroked centerline paths
+   * Uses inkthreshold (0 or unset = automatic), strokecurves, ltres (simplification tolerance),
+   * pathomit (shortest kept stroke), scale, roundcoords, viewbox and layered
+   * @param {Object} imgd - { width, height, data } RGBA pixels
+   * @param {Object} options - Complete tracer options
+   * @returns {Object} - { svg, tracedata, warning }; tracedata is always null (EPS/DXF need outlines),
+   *   warning is set when most of the ink is filled areas rather than lines
+   */
+  imagedataToResult(imgd, options) {
+    const { width, height } = imgd;
+
+    // 1. Binarize; light lines on a dark background work too
+    const { ink, color } = this.binarize(imgd, options.inkthreshold || 0, true);
+    this.report(this.STAGE_QUANTIZE, 10);
+
+    // 2. Distance of every ink pixel to the background: filled areas thin into a mesh of stray lines
+    const distances = this.distanceTransform(ink, width, height);
+    let inkCount = 0;
+    let thickCount = 0;
+    for (let i = 0; i < ink.length; i++) {
+      if (ink[i]) {
+        inkCount++;
+        if (distances[i] > this.thickDistance) {
+          thickCount++;
+        }
+      }
+    }
+    const warning = thickCount > inkCount / 2
+      ? 'Most of the ink is filled areas rather than lines. Vectorize or Black & White trace those better.'
+      : null;
+    this.report(this.STAGE_LAYERING, 20);
+
+    // 3. One pixel wide skeleton
+    const skeleton = this.skeletonize(ink, width, height, (done) => {
+      this.report(this.STAGE_LAYERING, 20 + 40 * done);
+    });
+
+    // 4. Skeleton -> polylines, with the stroke width of each
+    const strokes = this.traceSkeleton(skeleton, ink, width, height, options.pathomit || 0);
+    this.report(this.STAGE_TRACING, 90);
+
+    // 5. SVG
+    const svg = this.getStrokesSvg(strokes, color, width, height, options);
+    this.report(this.STAGE_RENDERING, 95);
+
+    this.report(this.STAGE_COMPLETE, 100);
+    return { svg, tracedata: null, warning };
+  }
+
+  /**
+   * Euclidean distance from every ink pixel to the nearest background pixel
+   * (outside the image counts as background); two passes of the 1D transform by Felzenszwalb and Huttenlocher
+   * @returns {Float32Array} - Distances, 0 on background
+   */
+  distanceTransform(ink, width, height) {
+    const infinity = 1e20;
+    const paddedWidth = width + 2;
+    const paddedHeight = height + 2;
+    const grid = new Float64Array(paddedWidth * paddedHeight);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        grid[(y + 1) * paddedWidth + x + 1] = ink[y * width + x] ? infinity : 0;
+      }
+    }
+
+    const size = Math.max(paddedWidth, paddedHeight);
+    const f = new Float64Array(size);
+    const d = new Float64Array(size);
+    const v = new Int32Array(size);
+    const z = new Float64Array(size + 1);
+
+    const transform = (n) => {
+      let k = 0;
+      v[0] = 0;
+      z[0] = -infinity;
+      z[1] = infinity;
+      for (let q = 1; q < n; q++) {
+        let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+          k--;
+          s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = infinity;
+      }
+      k = 0;
+      for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) {
+          k++;
+        }
+        d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+      }
+    };
+
+    for (let x = 0; x < paddedWidth; x++) {
+      for (let y = 0; y < paddedHeight; y++) {
+        f[y] = grid[y * paddedWidth + x];
+      }
+      transform(paddedHeight);
+      for (let y = 0; y < paddedHeight; y++) {
+        grid[y * paddedWidth + x] = d[y];
+      }
+    }
+    for (let y = 0; y < paddedHeight; y++) {
+      for (let x = 0; x < paddedWidth; x++) {
+        f[x] = grid[y * paddedWidth + x];
+      }
+      transform(paddedWidth);
+      for (let x = 0; x < paddedWidth; x++) {
+        grid[y * paddedWidth + x] = d[x];
+      }
+    }
+
+    const distances = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        distances[y * width + x] = Math.sqrt(grid[(y + 1) * paddedWidth + x + 1]);
+      }
+    }
+    return distances;
+  }
+
+  /**
+   * Thin ink to one-pixel-wide lines (Zhang-Suen), then remove the staircase pixels
+   * it leaves on diagonals so every line pixel has exactly two neighbors
+   * Only border pixels are tested; a pixel that failed both sub-iterations is tested again
+   * only after one of its neighbors is removed, so filled areas are not rescanned on every pass
+   * @param {Function} onPass - Called with the share of ink removed so far (0-1)
+   * @returns {Uint8Array} - Skeleton (1 = line)
+   */
+  skeletonize(ink, width, height, onPass = null) {
+    const skeleton = Uint8Array.from(ink);
+    const failed = new Uint8Array(skeleton.length); // Bit per sub-iteration the pixel failed since its last change
+    const queued = new Uint8Array(skeleton.length);
+    let inkCount = 0;
+    let candidates = [];
+    for (let i = 0; i < skeleton.length; i++) {
+      if (skeleton[i]) {
+        inkCount++;
+        if (this.countNeighbors(this.getNeighbors(skeleton, width, height, i)) < 8) {
+          candidates.push(i);
+          queued[i] = 1;
+        }
+      }
+    }
+    const initial = Math.max(1, inkCount);
+    let remaining = inkCount;
+
+    let step = 0;
+    let idleSteps = 0;
+    while (candidates.length > 0 && idleSteps < 2) {
+      const removed = [];
+      candidates.forEach(i => {
+        if (this.isThinnable(skeleton, width, height, i, step)) {
+          removed.push(i);
+        } else {
+          failed[i] |= 1 << step;
+        }
+      });
+
+      // Removed together, as Zhang-Suen tests all pixels on the same image
+      removed.forEach(i => {
+        skeleton[i] = 0;
+      });
+      const next = candidates.filter(i => {
+        queued[i] = skeleton[i] && failed[i] !== 3 ? 1 : 0;
+        return queued[i] === 1;
+      });
+      removed.forEach(i => {
+        const x = i % width;
+        const y = (i - x) / width;
+        for (let k = 0; k < 8; k++) {
+          const nx = x + this.neighborX[k];
+          const ny = y + this.neighborY[k];
+          const n = ny * width + nx;
+          if (nx >= 0 && ny >= 0 && nx < width && ny < height && skeleton[n]) {
+            failed[n] = 0;
+            if (!queued[n]) {
+              queued[n] = 1;
+              next.push(n);
+            }
+          }
+        }
+      });
+      candidates = next;
+
+      remaining -= removed.length;
+      idleSteps = removed.length > 0 ? 0 : idleSteps + 1;
+      if (onPass && step === 1) {
+        onPass(1 - remaining / initial);
+      }
+      step = 1 - step;
+    }
+
+    for (let i = 0; i < skeleton.length; i++) {
+      if (skeleton[i] && this.isRedundant(skeleton, width, height, i)) {
+        skeleton[i] = 0;
+      }
+    }
+
+    return skeleton;
+  }
+
+  /**
+   * Neighbors of a pixel as 0/1, clockwise from north (outside the image is 0)
+   * @returns {Uint8Array} - this.neighbors, overwritten by the next call
+   */
+  getNeighbors(image, width, height, index) {
+    const x = index % width;
+    const y = (index - x) / width;
+    const neighbors = this.neighbors;
+    for (let k = 0; k < 8; k++) {
+      const nx = x + this.neighborX[k];
+      const ny = y + this.neighborY[k];
+      neighbors[k] = nx >= 0 && ny >= 0 && nx < width && ny < height ? image[ny * width + nx] : 0;
+    }
+    return neighbors;
+  }
+
+  /**
+   * Number of set neighbors
+   */
+  countNeighbors(neighbors) {
+    let count = 0;
+    for (let k = 0; k < 8; k++) {
+      count += neighbors[k];
+    }
+    return count;
+  }
+
+  /**
+   * Zhang-Suen removal test for one of its two sub-iterations
+   */
+  isThinnable(image, width, height, index, step) {
+    const p = this.getNeighbors(image, width, height, index);
+    const count = this.countNeighbors(p);
+    if (count < 2 || count > 6) {
+      return false;
+    }
+
+    let transitions = 0;
+    for (let k = 0; k < 8; k++) {
+      if (!p[k] && p[(k + 1) % 8]) {
+        transitions++;
+      }
+    }
+    if (transitions !== 1) {
+      return false;
+    }
+
+    // p[0] = N, p[2] = E, p[4] = S, p[6] = W
+    return step === 0
+      ? !(p[0] && p[2] && p[4]) && !(p[2] && p[4] && p[6])
+      : !(p[0] && p[2] && p[6]) && !(p[0] && p[4] && p[6]);
+  }
+
+  /**
+   * A line pixel is redundant when its neighbors stay connected without it
+   * (and it is not a line end)
+   */
+  isRedundant(image, width, height, index) {
+    const p = this.getNeighbors(image, width, height, index);
+    const count = this.countNeighbors(p);
+    if (count < 2) {
+      return false;
+    }
+
+    // Neighbors are adjacent when next to each other around the ring,
+    // or when both are edge neighbors meeting at a corner (N-E, E-S, S-W, W-N)
+    const seen = new Array(8).fill(false);
+    let groups = 0;
+    for (let start = 0; start < 8; start++) {
+      if (!p[start] || seen[start]) {
+        continue;
+      }
+      groups++;
+      const stack = [start];
+      seen[start] = true;
+      while (stack.length > 0) {
+        const k = stack.pop();
+        const adjacent = [(k + 1) % 8, (k + 7) % 8];
+        if (k % 2 === 0) {
+          adjacent.push((k + 2) % 8, (k + 6) % 8);
+        }
+        adjacent.forEach(j => {
+          if (p[j] && !seen[j]) {
+            seen[j] = true;
+            stack.push(j);
+          }
+        });
+      }
+    }
+    return groups === 1;
+  }
+
+  /**
+   * Walk the skeleton into polylines between line ends and junctions, plus closed loops and dots
+   * @param {Uint8Array} ink - Binarized image, for the stroke widths
+   * @param {number} minLength - Strokes shorter than this (length plus width, in pixels) are dropped
+   * @returns {Array<Object>} - [{ points: [{ x, y }], closed, width }] in pixel coordinates
+   */
+  traceSkeleton(skeleton, ink, width, height, minLength) {
+    const neighborCount = new Uint8Array(skeleton.length);
+    const neighborsOf = (index) => {
+      const x = index % width;
+      const y = (index - x) / width;
+      const result = [];
+      for (let k = 0; k < 8; k++) {
+        const nx = x + this.neighborX[k];
+        const ny = y + this.neighborY[k];
+        if (nx >= 0 && ny >= 0 && nx < width && ny < height && skeleton[ny * width + nx]) {
+          result.push(ny * width + nx);
+        }
+      }
+      return result;
+    };
+    for (let i = 0; i < skeleton.length; i++) {
+      if (skeleton[i]) {
+        neighborCount[i] = neighborsOf(i).length;
+      }
+    }
+
+    const isNode = (index) => neighborCount[index] !== 2;
+    const visited = new Uint8Array(skeleton.length);
+    const walkedSteps = new Set();
+    const stepKey = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`);
+    const polylines = [];
+
+    // Follow line pixels from a start pixel through its neighbor until a node (or back to the start)
+    const walk = (start, next) => {
+      const pixels = [start, next];
+      walkedSteps.add(stepKey(start, next));
+      let previous = start;
+      let current = next;
+      while (!isNode(current) && current !== start) {
+        visited[current] = 1;
+        const following = neighborsOf(current).find(n => n !== previous && !walkedSteps.has(stepKey(current, n)));
+        if (following === undefined) {
+          break;
+        }
+        walkedSteps.add(stepKey(current, following));
+        pixels.push(following);
+        previous = current;
+        current = following;
+      }
+      return pixels;
+    };
+
+    // Lines from ends and junctions
+    for (let i = 0; i < skeleton.length; i++) {
+      if (!skeleton[i] || !isNode(i)) {
+        continue;
+      }
+      visited[i] = 1;
+      if (neighborCount[i] === 0) {
+        polylines.push({ pixels: [i], closed: false });
+        continue;
+      }
+      neighborsOf(i).forEach(n => {
+        if (walkedSteps.has(stepKey(i, n)) || (!isNode(n) && visited[n])) {
+          return;
+        }
+        polylines.push({ pixels: walk(i, n), closed: false });
+      });
+    }
+
+    // What is left are closed loops without junctions
+    for (let i = 0; i < skeleton.length; i++) {
+      if (!skeleton[i] || visited[i]) {
+        continue;
+      }
+      visited[i] = 1;
+      const pixels = walk(i, neighborsOf(i)[0]);
+      polylines.push({ pixels, closed: pixels[pixels.length - 1] === i });
+    }
+
+    const toPoint = (index) => {
+      const x = index % width;
+      return { x: x + 0.5, y: (index - x) / width + 0.5 };
+    };
+
+    const inkCounts = this.countInk(polylines, ink, width, height);
+
+    const strokes = polylines
+      .map((polyline, index) => {
+        const points = polyline.pixels.map(toPoint);
+        if (polyline.closed) {
+          points.pop();
+        }
+        let length = 0;
+        for (let k = 1; k < points.length; k++) {
+          length += Math.hypot(points[k].x - points[k - 1].x, points[k].y - points[k - 1].y);
+        }
+        const ends = polyline.closed ? [] : [polyline.pixels[0], polyline.pixels[polyline.pixels.length - 1]];
+        const last = points[points.length - 1];
+        const perimeter = polyline.closed ? length + Math.hypot(points[0].x - last.x, points[0].y - last.y) : length;
+        return {
+          points,
+          closed: polyline.closed,
+          width: this.estimateWidth(inkCounts[index], perimeter, ends.filter(i => neighborCount[i] < 2).length),
+          length,
+          junctions: ends.filter(i => neighborCount[i] > 2)
+        };
+      });
+
+    // Widest stroke at each junction: the width a short branch or link there is hidden in
+    const junctionWidths = new Map();
+    strokes.forEach(stroke => {
+      stroke.junctions.forEach(i => {
+        junctionWidths.set(i, Math.max(junctionWidths.get(i) || 0, stroke.width));
+      });
+    });
+
+    return strokes
+      .filter(stroke => {
+        // Thinning leaves short branches from the corners of thick lines to the line ends,
+        // and short links between the pixels of a junction, all hidden within the line width
+        if (stroke.junctions.length > 0) {
+          return stroke.length > Math.max(...stroke.junctions.map(i => junctionWidths.get(i)));
+        }
+        return stroke.length + stroke.width >= minLength;
+      })
+      .map(({ points, closed, width: strokeWidth }) => ({ points, closed, width: strokeWidth }));
+  }
+
+  /**
+   * Number of ink pixels belonging to each polyline: every ink pixel goes to the polyline
+   * whose skeleton it is closest to (breadth-first from all skeleton pixels at once)
+   * @returns {Array<number>} - Ink pixels per polyline
+   */
+  countInk(polylines, ink, width, height) {
+    const owner = new Int32Array(ink.length).fill(-1);
+    const queue = new Int32Array(ink.length);
+    const counts = new Array(polylines.length).fill(0);
+    let tail = 0;
+    polylines.forEach((polyline, index) => {
+      polyline.pixels.forEach(i => {
+        if (owner[i] === -1) {
+          owner[i] = index;
+          queue[tail++] = i;
+          counts[index]++;
+        }
+      });
+    });
+
+    for (let head = 0; head < tail; head++) {
+      const i = queue[head];
+      const x = i % width;
+      const y = (i - x) / width;
+      for (let k = 0; k < 8; k++) {
+        const nx = x + this.neighborX[k];
+        const ny = y + this.neighborY[k];
+        const n = ny * width + nx;
+        if (nx >= 0 && ny >= 0 && nx < width && ny < height && ink[n] && owner[n] === -1) {
+          owner[n] = owner[i];
+          queue[tail++] = n;
+          counts[owner[i]]++;
+        }
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Stroke width as the ink area of the stroke over its length; thinning stops about half the
+   * width short of a free line end, so each free end adds a width-by-half-width cap to the area:
+   * area = width * length + freeEnds * width² / 2
+   * @param {number} area - Ink pixels of the stroke (countInk)
+   * @param {number} length - Skeleton length in pixels (perimeter for closed loops)
+   * @param {number} freeEnds - Line ends not at a junction (0-2)
+   */
+  estimateWidth(area, length, freeEnds) {
+    const strokeWidth = freeEnds > 0
+      ? (Math.sqrt(length * length + 2 * freeEnds * area) - length) / freeEnds
+      : area / Math.max(1, length);
+    return Math.max(1, Math.round(strokeWidth * 2) / 2);
+  }
+
+  /**
+   * Fewer points within a tolerance (Ramer-Douglas-Peucker); closed loops are split at the
+   * point farthest from their start so both halves keep their shape
+   */
+  simplify(points, tolerance, closed) {
+    if (points.length < 3) {
+      return points;
+    }
+
+    if (closed) {
+      let farthest = 0;
+      let farthestDistance = -1;
+      points.forEach((point, k) => {
+        const distance = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+        if (distance > farthestDistance) {
+          farthestDistance = distance;
+          farthest = k;
+        }
+      });
+      const first = this.simplify(points.slice(0, farthest + 1), tolerance, false);
+      const second = this.simplify([...points.slice(farthest), points[0]], tolerance, false);
+      return [...first, ...second.slice(1, -1)];
+    }
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+      const [start, end] = stack.pop();
+      const a = points[start];
+      const b = points[end];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      let farthest = -1;
+      let farthestDistance = tolerance;
+      for (let k = start + 1; k < end; k++) {
+        const p = points[k];
+        const distance = length === 0
+          ? Math.hypot(p.x - a.x, p.y - a.y)
+          : Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length;
+        if (distance > farthestDistance) {
+          farthestDistance = distance;
+          farthest = k;
+        }
+      }
+      if (farthest !== -1) {
+        keep[farthest] = 1;
+        stack.push([start, farthest], [farthest, end]);
+      }
+    }
+    return points.filter((point, k) => keep[k]);
+  }
+
+  /**
+   * Path data of a stroke: straight segments, or a smooth curve through the points
+   * (Catmull-Rom spline written as cubic Béziers)
+   */
+  getPathData(points, closed, curves, format) {
+    const point = (p) => `${format(p.x)} ${format(p.y)}`;
+    if (points.length === 1) {
+      return `M ${point(points[0])} L ${point(points[0])}`;
+    }
+
+    if (!curves || points.length < 3) {
+      return `M ${point(points[0])} ` + points.slice(1).map(p => `L ${point(p)}`).join(' ') + (closed ? ' Z' : '');
+    }
+
+    const count = points.length;
+    const at = (k) => closed ? points[(k + count) % count] : points[Math.min(count - 1, Math.max(0, k))];
+    const segments = closed ? count : count - 1;
+    let d = `M ${point(points[0])}`;
+    for (let k = 0; k < segments; k++) {
+      const p0 = at(k - 1);
+      const p1 = at(k);
+      const p2 = at(k + 1);
+      const p3 = at(k + 2);
+      const c1 = { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 };
+      const c2 = { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 };
+      d += ` C ${point(c1)} ${point(c2)} ${point(p2)}`;
+    }
+    return d + (closed ? ' Z' : '');
+  }
+
+  /**
+   * Render the strokes as stroked paths in the ink color
+   */
+  getStrokesSvg(strokes, color, width, height, options) {
+    const format = this.getFormatter(options);
+    const tolerance = options.ltres === undefined ? 1 : options.ltres;
+    const rgb = this.getColorString(color);
+
+    let paths = '';
+    strokes.forEach(stroke => {
+      const points = this.simplify(stroke.points, tolerance, stroke.closed);
+      const d = this.getPathData(points, stroke.closed, Boolean(options.strokecurves), format);
+      paths += `<path fill="none" stroke="${rgb}" stroke-width="${format(stroke.width)}" ` +
+        `stroke-linecap="round" stroke-linejoin="round" d="${d}" />`;
+    });
+
+    return this.getSvgString(paths, color, width, height, options, 'Centerline tracing');
+  }
+}
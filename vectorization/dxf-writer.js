@@ -0,0 +1,252 @@
+/**
+ * DXFWriter Class
+ * Writes ImageTracer tracedata as an AutoCAD DXF (R2000) drawing for laser cutters, CNC and CAD
+ * Every traced contour (outline or hole) becomes one closed entity on the layer of its palette color:
+ * an LWPOLYLINE when it only has straight segments, otherwise a quadratic SPLINE
+ */
+class DXFWriter extends TracedataWriter {
+  constructor() {
+    super();
+
+    // $INSUNITS values
+    this.insertionUnits = { px: 0, mm: 4, in: 1 };
+
+    // AutoCAD Color Index of the basic colors, for software that ignores true color
+    this.aciColors = [
+      { aci: 1, r: 255, g: 0, b: 0 },
+      { aci: 2, r: 255, g: 255, b: 0 },
+      { aci: 3, r: 0, g: 255, b: 0 },
+      { aci: 4, r: 0, g: 255, b: 255 },
+      { aci: 5, r: 0, g: 0, b: 255 },
+      { aci: 6, r: 255, g: 0, b: 255 },
+      { aci: 7, r: 0, g: 0, b: 0 },
+      { aci: 7, r: 255, g: 255, b: 255 },
+      { aci: 8, r: 128, g: 128, b: 128 }
+    ];
+  }
+
+  /**
+   * Build the DXF file
+   * @param {Object} tracedata - ImageTracer tracedata
+   * @param {Object} options - Traced options ({ scale, linefilter }) plus:
+   * @param {string} options.units - 'px' (unitless, one unit per pixel), 'mm' or 'in'
+   * @param {number} options.dpi - Pixels per inch for mm and in (default 96)
+   * @returns {string} - DXF content
+   */
+  write(tracedata, options = {}) {
+    options = this.resolveOptions(options);
+
+    // DXF's y axis points up
+    const k = this.getUnitScale(options);
+    const width = tracedata.width * k;
+    const height = tracedata.height * k;
+    const point = ([x, y]) => [x * k, height - y * k];
+
+    // Handles of the fixed R2000 structure: tables, model/paper space and the root dictionary
+    this.nextHandle = 1;
+    const ids = {};
+    ['vportTable', 'ltypeTable', 'layerTable', 'styleTable', 'viewTable', 'ucsTable', 'appidTable',
+      'dimstyleTable', 'blockRecordTable', 'modelSpace', 'paperSpace', 'rootDictionary', 'groupDictionary']
+      .forEach(name => {
+        ids[name] = this.handle();
+      });
+
+    const shapes = this.getShapes(tracedata, options);
+
+    // One layer per palette color that has shapes
+    const layers = new Map();
+    shapes.forEach(shape => {
+      const hex = this.toHex(shape.color);
+      if (!layers.has(hex)) {
+        layers.set(hex, { name: `COLOR_${hex.slice(1).toUpperCase()}`, color: shape.color });
+      }
+    });
+
+    const entities = [];
+    shapes.forEach(shape => {
+      const layer = layers.get(this.toHex(shape.color));
+      shape.contours.forEach(contour => {
+        entities.push(contour.segments.every(segment => segment.type === 'L')
+          ? this.polylineEntity(contour, layer, point, ids.modelSpace)
+          : this.splineEntity(contour, layer, point, ids.modelSpace));
+      });
+    });
+
+    const record = (type, owner, subclass, pairs) => this.pairs([
+      [0, type], [type === 'DIMSTYLE' ? 105 : 5, this.handle()], [330, owner],
+      [100, 'AcDbSymbolTableRecord'], [100, subclass], ...pairs
+    ]);
+
+    const linetypes = [['ByBlock', ''], ['ByLayer', ''], ['Continuous', 'Solid line']]
+      .map(([name, description]) => record('LTYPE', ids.ltypeTable, 'AcDbLinetypeTableRecord', [
+        [2, name], [70, 0], [3, description], [72, 65], [73, 0], [40, 0]
+      ]));
+
+    const layerRecords = [{ name: '0', color: { r: 0, g: 0, b: 0 } }, ...layers.values()]
+      .map(layer => record('LAYER', ids.layerTable, 'AcDbLayerTableRecord', [
+        [2, layer.name], [70, 0], [62, this.toAci(layer.color)], [420, this.toTrueColor(layer.color)], [6, 'Continuous']
+      ]));
+
+    const blockRecords = ['*Model_Space', '*Paper_Space'].map((name, i) => this.pairs([
+      [0, 'BLOCK_RECORD'], [5, i === 0 ? ids.modelSpace : ids.paperSpace], [330, ids.blockRecordTable],
+      [100, 'AcDbSymbolTableRecord'], [100, 'AcDbBlockTableRecord'], [2, name]
+    ]));
+
+    const blocks = ['*Model_Space', '*Paper_Space'].map((name, i) => {
+      const owner = i === 0 ? ids.modelSpace : ids.paperSpace;
+      const space = i === 0 ? [] : [[67, 1]];
+      return this.pairs([
+        [0, 'BLOCK'], [5, this.handle()], [330, owner], [100, 'AcDbEntity'], ...space, [8, '0'],
+        [100, 'AcDbBlockBegin'], [2, name], [70, 0], [10, 0], [20, 0], [30, 0], [3, name], [1, ''],
+        [0, 'ENDBLK'], [5, this.handle()], [330, owner], [100, 'AcDbEntity'], ...space, [8, '0'],
+        [100, 'AcDbBlockEnd']
+      ]);
+    });
+
+    const tables = [
+      this.table('VPORT', ids.vportTable, []),
+      this.table('LTYPE', ids.ltypeTable, linetypes),
+      this.table('LAYER', ids.layerTable, layerRecords),
+      this.table('STYLE', ids.styleTable, [record('STYLE', ids.styleTable, 'AcDbTextStyleTableRecord', [
+        [2, 'Standard'], [70, 0], [40, 0], [41, 1], [50, 0], [71, 0], [42, 2.5], [3, 'txt'], [4, '']
+      ])]),
+      this.table('VIEW', ids.viewTable, []),
+      this.table('UCS', ids.ucsTable, []),
+      this.table('APPID', ids.appidTable, [record('APPID', ids.appidTable, 'AcDbRegAppTableRecord', [
+        [2, 'ACAD'], [70, 0]
+      ])]),
+      this.table('DIMSTYLE', ids.dimstyleTable, [record('DIMSTYLE', ids.dimstyleTable, 'AcDbDimStyleTableRecord', [
+        [2, 'Standard'], [70, 0]
+      ])], [[100, 'AcDbDimStyleTable'], [71, 0]]),
+      this.table('BLOCK_RECORD', ids.blockRecordTable, blockRecords)
+    ];
+
+    const objects = this.pairs([
+      [0, 'SECTION'], [2, 'OBJECTS'],
+      [0, 'DICTIONARY'], [5, ids.rootDictionary], [330, 0], [100, 'AcDbDictionary'], [281, 1],
+      [3, 'ACAD_GROUP'], [350, ids.groupDictionary],
+      [0, 'DICTIONARY'], [5, ids.groupDictionary], [330, ids.rootDictionary], [100, 'AcDbDictionary'], [281, 1],
+      [0, 'ENDSEC']
+    ]);
+
+    // Written last: $HANDSEED must be above every handle used
+    const header = this.pairs([
+      [0, 'SECTION'], [2, 'HEADER'],
+      [9, '$ACADVER'], [1, 'AC1015'],
+      [9, '$DWGCODEPAGE'], [3, 'ANSI_1252'],
+      [9, '$INSUNITS'], [70, this.insertionUnits[options.units]],
+      [9, '$EXTMIN'], [10, 0], [20, 0], [30, 0],
+      [9, '$EXTMAX'], [10, this.num(width)], [20, this.num(height)], [30, 0],
+      [9, '$HANDSEED'], [5, this.nextHandle.toString(16).toUpperCase()],
+      [0, 'ENDSEC'],
+      [0, 'SECTION'], [2, 'CLASSES'], [0, 'ENDSEC']
+    ]);
+
+    return header +
+      this.pairs([[0, 'SECTION'], [2, 'TABLES']]) + tables.join('') + this.pairs([[0, 'ENDSEC']]) +
+      this.pairs([[0, 'SECTION'], [2, 'BLOCKS']]) + blocks.join('') + this.pairs([[0, 'ENDSEC']]) +
+      this.pairs([[0, 'SECTION'], [2, 'ENTITIES']]) + entities.join('') + this.pairs([[0, 'ENDSEC']]) +
+      objects + this.pairs([[0, 'EOF']]);
+  }
+
+  /**
+   * Symbol table with its records
+   * @param {Array<Array>} extra - Group codes after the table's own (the DIMSTYLE table's subclass)
+   */
+  table(name, handle, records, extra = []) {
+    return this.pairs([
+      [0, 'TABLE'], [2, name], [5, handle], [330, 0], [100, 'AcDbSymbolTable'], [70, records.length], ...extra
+    ]) + records.join('') + this.pairs([[0, 'ENDTAB']]);
+  }
+
+  /**
+   * Closed LWPOLYLINE through the contour's points
+   */
+  polylineEntity(contour, layer, point, owner) {
+    // The last segment ends at the start point; the closed flag draws that edge
+    const vertices = [contour.start, ...contour.segments.slice(0, -1).map(segment => segment.to)];
+    const pairs = [
+      [0, 'LWPOLYLINE'], [5, this.handle()], [330, owner], [100, 'AcDbEntity'], [8, layer.name],
+      [100, 'AcDbPolyline'], [90, vertices.length], [70, 1]
+    ];
+
+    vertices.forEach(vertex => {
+      const [x, y] = point(vertex);
+      pairs.push([10, this.num(x)], [20, this.num(y)]);
+    });
+
+    return this.pairs(pairs);
+  }
+
+  /**
+   * Quadratic SPLINE made of the contour's segments (lines become straight quadratic pieces)
+   * Every knot between two pieces is doubled, so the spline passes through each segment end exactly
+   */
+  splineEntity(contour, layer, point, owner) {
+    const controlPoints = [contour.start];
+    contour.segments.forEach((segment, i) => {
+      const from = i === 0 ? contour.start : contour.segments[i - 1].to;
+      const control = segment.type === 'Q'
+        ? segment.control
+        : [(from[0] + segment.to[0]) / 2, (from[1] + segment.to[1]) / 2];
+      controlPoints.push(control, segment.to);
+    });
+
+    const count = contour.segments.length;
+    const knots = [0, 0, 0];
+    for (let i = 1; i < count; i++) {
+      knots.push(i, i);
+    }
+    knots.push(count, count, count);
+
+    const pairs = [
+      [0, 'SPLINE'], [5, this.handle()], [330, owner], [100, 'AcDbEntity'], [8, layer.name],
+      [100, 'AcDbSpline'], [210, 0], [220, 0], [230, 1],
+      [70, 8], [71, 2], [72, knots.length], [73, controlPoints.length], [74, 0]
+    ];
+    knots.forEach(knot => pairs.push([40, knot]));
+    controlPoints.forEach(controlPoint => {
+      const [x, y] = point(controlPoint);
+      pairs.push([10, this.num(x)], [20, this.num(y)], [30, 0]);
+    });
+
+    return this.pairs(pairs);
+  }
+
+  /**
+   * Group code / value lines
+   */
+  pairs(list) {
+    return list.map(([code, value]) => `${String(code).padStart(3, ' ')}\n${value}\n`).join('');
+  }
+
+  /**
+   * Next object handle (hexadecimal)
+   */
+  handle() {
+    return (this.nextHandle++).toString(16).toUpperCase();
+  }
+
+  /**
+   * Nearest basic AutoCAD Color Index
+   */
+  toAci(color) {
+    let best = this.aciColors[0];
+    let bestDistance = Infinity;
+    this.aciColors.forEach(candidate => {
+      const distance = (candidate.r - color.r) ** 2 + (candidate.g - color.g) ** 2 + (candidate.b - color.b) ** 2;
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return best.aci;
+  }
+
+  /**
+   * 24-bit true color value (group code 420)
+   */
+  toTrueColor(color) {
+    return (color.r << 16) | (color.g << 8) | color.b;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * EPSWriter Class
+ * Writes ImageTracer tracedata as an Encapsulated PostScript file (EPSF 3.0) for print workflows
+ * Quadratic segments become cubic curveto; colors are opaque (PostScript has no transparency)
+ */
+class EPSWriter extends TracedataWriter {
+  /**
+   * Build the EPS file
+   * @param {Object} tracedata - ImageTracer tracedata
+   * @param {Object} options - Traced options ({ scale, linefilter, strokewidth }) plus:
+   * @param {string} options.units - 'px' (one point per pixel), 'mm' or 'in' (physical size at options.dpi)
+   * @param {number} options.dpi - Pixels per inch for mm and in (default 96)
+   * @param {string} options.title - Optional document title
+   * @returns {string} - EPS content
+   */
+  write(tracedata, options = {}) {
+    options = this.resolveOptions(options);
+
+    // PostScript units are points: mm and in both mean "physical size at the given DPI"
+    const k = options.units === 'px' ? options.scale : options.scale * 72 / options.dpi;
+    const width = tracedata.width * k;
+    const height = tracedata.height * k;
+    const point = ([x, y]) => `${this.num(x * k)} ${this.num(height - y * k)}`;
+    const title = (options.title || 'Vectorized Image').replace(/[()\\\r\n]/g, '');
+
+    const lines = [
+      '%!PS-Adobe-3.0 EPSF-3.0',
+      '%%Creator: SVGify',
+      `%%Title: (${title})`,
+      `%%CreationDate: (${new Date().toISOString()})`,
+      `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+      `%%HiResBoundingBox: 0 0 ${this.num(width)} ${this.num(height)}`,
+      '%%LanguageLevel: 2',
+      '%%Pages: 1',
+      '%%EndComments',
+      '%%BeginProlog',
+      '/m { moveto } bind def',
+      '/l { lineto } bind def',
+      '/c { curveto } bind def',
+      '/h { closepath } bind def',
+      '/rgb { setrgbcolor } bind def',
+      '/f { fill } bind def',
+      '/fs { gsave fill grestore stroke } bind def',
+      '%%EndProlog',
+      '%%Page: 1 1',
+      'save',
+      '1 setlinejoin 1 setlinecap'
+    ];
+
+    // ImageTracer strokes every path in its own color, strokewidth SVG units wide
+    const paint = options.strokewidth > 0 ? 'fs' : 'f';
+    if (options.strokewidth > 0) {
+      lines.push(`${this.num(options.strokewidth * k / options.scale)} setlinewidth`);
+    }
+
+    let currentColor = null;
+    this.getShapes(tracedata, options).forEach(shape => {
+      const color = this.toHex(shape.color);
+      if (color !== currentColor) {
+        const { r, g, b } = shape.color;
+        lines.push(`${this.num(r / 255)} ${this.num(g / 255)} ${this.num(b / 255)} rgb`);
+        currentColor = color;
+      }
+
+      lines.push('newpath');
+      shape.contours.forEach(contour => {
+        let current = contour.start;
+        lines.push(`${point(current)} m`);
+
+        contour.segments.forEach(segment => {
+          if (segment.type === 'Q') {
+            // Quadratic to cubic: control points 2/3 of the way towards the quadratic one
+            const [cx, cy] = segment.control;
+            const c1 = [current[0] + 2 / 3 * (cx - current[0]), current[1] + 2 / 3 * (cy - current[1])];
+            const c2 = [segment.to[0] + 2 / 3 * (cx - segment.to[0]), segment.to[1] + 2 / 3 * (cy - segment.to[1])];
+            lines.push(`${point(c1)} ${point(c2)} ${point(segment.to)} c`);
+          } else {
+            lines.push(`${point(segment.to)} l`);
+          }
+          current = segment.to;
+        });
+
+        lines.push('h');
+      });
+      lines.push(paint);
+    });
+
+    lines.push('restore', 'showpage', '%%Trailer', '%%EOF');
+    return lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,759 @@
+/**
+ * FontWriter Class
+ * Builds a TrueType icon font (plus WOFF) from SVG icons, one glyph per icon in the Private Use Area,
+ * with a CSS class map and a preview page
+ * Glyphs are single-color: filled shapes are merged, light (near-white) fills are treated as
+ * background and left out, strokes and embedded images cannot be used
+ */
+class FontWriter {
+  /**
+   * @param {SVGExporter} exporter - Flattens the icons into paths
+   */
+  constructor(exporter) {
+    this.exporter = exporter;
+
+    this.unitsPerEm = 1000;
+    this.ascent = 850;
+    this.descent = 150;
+    this.firstCodePoint = 0xE000; // Private Use Area
+
+    // Fills with every channel at least this light are background
+    this.lightThreshold = 240;
+
+    // Largest distance (font units) between a cubic curve and its quadratic approximation
+    this.tolerance = 1;
+  }
+
+  /**
+   * Build the font
+   * @param {Array<Object>} icons - [{ id, svg }], ids from SVGExporter.getIconIds()
+   * @param {Object} options - { name } of the font family, its files and CSS classes (default 'icons')
+   * @returns {Promise<Object>} - { ttf: Blob, woff: Blob, css, html, glyphs: [{ id, codePoint }],
+   *   skipped: ids without filled shapes }
+   * @throws {ExportError} - If no icon has a usable shape
+   */
+  async write(icons, options = {}) {
+    const name = this.getClassPrefix(options.name || 'icons');
+
+    const glyphs = [];
+    const skipped = [];
+    icons.forEach(icon => {
+      const glyph = this.getGlyph(icon.svg);
+      if (glyph.contours.length === 0) {
+        skipped.push(icon.id);
+        return;
+      }
+      glyphs.push({ ...glyph, id: icon.id, codePoint: this.firstCodePoint + glyphs.length });
+    });
+
+    if (glyphs.length === 0) {
+      throw new ExportError('None of the icons has filled shapes for an icon font. Vectorize them first');
+    }
+
+    const ttf = this.toTTF(glyphs, name);
+    const woff = await this.toWOFF(ttf);
+    const glyphMap = glyphs.map(glyph => ({ id: glyph.id, codePoint: glyph.codePoint }));
+
+    return {
+      ttf: new Blob([ttf], { type: 'font/ttf' }),
+      woff: new Blob([woff], { type: 'font/woff' }),
+      css: this.getCSS(glyphMap, name),
+      html: this.getPreview(glyphMap, name),
+      glyphs: glyphMap,
+      skipped
+    };
+  }
+
+  /**
+   * Outline of one icon in font units
+   * @returns {Object} - { advanceWidth, contours: [[{ x, y, onCurve }]] }
+   */
+  getGlyph(svgContent) {
+    const drawing = this.exporter.getDrawing(svgContent);
+    const k = this.unitsPerEm / drawing.height;
+    const point = ([x, y]) => [x * k, this.ascent - y * k];
+    const contours = [];
+
+    drawing.items.forEach(item => {
+      if (item.type !== 'path' || !item.fill || item.fillOpacity <= 0 || this.isLight(item.fill)) {
+        return;
+      }
+
+      let contour = null;
+      let current = null;
+      const finish = () => {
+        if (contour) {
+          const points = this.cleanContour(contour);
+          if (points.length >= 3) {
+            contours.push(points);
+          }
+        }
+        contour = null;
+      };
+
+      item.segments.forEach(({ command, values }) => {
+        if (command === 'M') {
+          finish();
+          current = point(values);
+          contour = [{ x: current[0], y: current[1], onCurve: true }];
+        } else if (command === 'L' && contour) {
+          current = point(values);
+          contour.push({ x: current[0], y: current[1], onCurve: true });
+        } else if (command === 'C' && contour) {
+          const c1 = point(values.slice(0, 2));
+          const c2 = point(values.slice(2, 4));
+          const end = point(values.slice(4, 6));
+          this.cubicToQuadratics(current, c1, c2, end, 0).forEach(([control, to]) => {
+            contour.push({ x: control[0], y: control[1], onCurve: false });
+            contour.push({ x: to[0], y: to[1], onCurve: true });
+          });
+          current = end;
+        } else if (command === 'Z') {
+          finish();
+        }
+      });
+      finish();
+    });
+
+    return { advanceWidth: Math.round(drawing.width * k), contours };
+  }
+
+  /**
+   * Whether a fill counts as background
+   */
+  isLight(color) {
+    return color.r >= this.lightThreshold && color.g >= this.lightThreshold && color.b >= this.lightThreshold;
+  }
+
+  /**
+   * Round a contour to whole units, without repeated points or the closing point
+   */
+  cleanContour(points) {
+    const rounded = points.map(p => ({ x: Math.round(p.x), y: Math.round(p.y), onCurve: p.onCurve }));
+    const result = rounded.filter((p, i) => {
+      const previous = rounded[i - 1];
+      return !(previous && previous.onCurve && p.onCurve && previous.x === p.x && previous.y === p.y);
+    });
+
+    // TrueType contours close themselves
+    const first = result[0];
+    const last = result[result.length - 1];
+    if (result.length > 1 && last.onCurve && last.x === first.x && last.y === first.y) {
+      result.pop();
+    }
+    return result;
+  }
+
+  /**
+   * Approximate a cubic Bezier curve with quadratic ones, splitting it in halves until close enough
+   * @returns {Array<Array>} - [[control, to]]
+   */
+  cubicToQuadratics(p0, c1, c2, p3, depth) {
+    // Largest distance between the cubic and the quadratic with control (3(c1 + c2) - p0 - p3) / 4
+    const error = Math.sqrt(3) / 36 * Math.hypot(
+      p3[0] - 3 * c2[0] + 3 * c1[0] - p0[0],
+      p3[1] - 3 * c2[1] + 3 * c1[1] - p0[1]
+    );
+    if (error <= this.tolerance || depth >= 6) {
+      const control = [
+        (3 * (c1[0] + c2[0]) - p0[0] - p3[0]) / 4,
+        (3 * (c1[1] + c2[1]) - p0[1] - p3[1]) / 4
+      ];
+      return [[control, p3]];
+    }
+
+    const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const a = mid(p0, c1);
+    const b = mid(c1, c2);
+    const c = mid(c2, p3);
+    const ab = mid(a, b);
+    const bc = mid(b, c);
+    const center = mid(ab, bc);
+    return [
+      ...this.cubicToQuadratics(p0, a, ab, center, depth + 1),
+      ...this.cubicToQuadratics(center, bc, c, p3, depth + 1)
+    ];
+  }
+
+  /**
+   * TrueType file: an empty .notdef glyph followed by the icons
+   * @returns {Uint8Array}
+   */
+  toTTF(glyphs, name) {
+    const all = [{ advanceWidth: this.unitsPerEm, contours: [] }, ...glyphs];
+
+    const boxes = all.map(glyph => this.getBoundingBox(glyph.contours));
+    const inked = boxes.filter(Boolean);
+    const fontBox = {
+      xMin: Math.min(...inked.map(box => box.xMin)),
+      yMin: Math.min(...inked.map(box => box.yMin)),
+      xMax: Math.max(...inked.map(box => box.xMax)),
+      yMax: Math.max(...inked.map(box => box.yMax))
+    };
+
+    // glyf and loca
+    const glyphData = all.map((glyph, i) => this.glyphTable(glyph.contours, boxes[i]));
+    const loca = new ByteWriter();
+    let offset = 0;
+    glyphData.forEach(data => {
+      loca.uint32(offset);
+      offset += data.length;
+    });
+    loca.uint32(offset);
+    const glyf = new ByteWriter();
+    glyphData.forEach(data => glyf.bytes(data));
+
+    // hmtx
+    const hmtx = new ByteWriter();
+    all.forEach((glyph, i) => {
+      hmtx.uint16(glyph.advanceWidth);
+      hmtx.int16(boxes[i] ? boxes[i].xMin : 0);
+    });
+
+    const advanceWidthMax = Math.max(...all.map(glyph => glyph.advanceWidth));
+    const maxPoints = Math.max(...all.map(glyph => glyph.contours.reduce((sum, contour) => sum + contour.length, 0)));
+    const maxContours = Math.max(...all.map(glyph => glyph.contours.length));
+
+    const head = new ByteWriter();
+    head.uint32(0x00010000);
+    head.uint32(0x00010000); // Font revision 1.0
+    head.uint32(0); // checkSumAdjustment, set below
+    head.uint32(0x5F0F3CF5);
+    head.uint16(0x000B); // Baseline at y=0, left sidebearing at x=0, integer scaling
+    head.uint16(this.unitsPerEm);
+    const seconds = Math.floor(Date.now() / 1000) + 2082844800; // Since 1904
+    head.uint32(0);
+    head.uint32(seconds);
+    head.uint32(0);
+    head.uint32(seconds);
+    head.int16(fontBox.xMin);
+    head.int16(fontBox.yMin);
+    head.int16(fontBox.xMax);
+    head.int16(fontBox.yMax);
+    head.uint16(0); // macStyle
+    head.uint16(8); // lowestRecPPEM
+    head.int16(2); // fontDirectionHint
+    head.int16(1); // indexToLocFormat: 32-bit offsets
+    head.int16(0);
+
+    const hhea = new ByteWriter();
+    hhea.uint32(0x00010000);
+    hhea.int16(this.ascent);
+    hhea.int16(-this.descent);
+    hhea.int16(0);
+    hhea.uint16(advanceWidthMax);
+    hhea.int16(Math.min(...inked.map(box => box.xMin)));
+    hhea.int16(Math.min(...all.map((glyph, i) => boxes[i] ? glyph.advanceWidth - boxes[i].xMax : glyph.advanceWidth)));
+    hhea.int16(fontBox.xMax);
+    hhea.int16(1); // Caret slope rise
+    hhea.int16(0); // Caret slope run
+    hhea.int16(0);
+    for (let i = 0; i < 4; i++) {
+      hhea.int16(0);
+    }
+    hhea.int16(0);
+    hhea.uint16(all.length);
+
+    const maxp = new ByteWriter();
+    maxp.uint32(0x00010000);
+    maxp.uint16(all.length);
+    maxp.uint16(maxPoints);
+    maxp.uint16(maxContours);
+    maxp.uint16(0);
+    maxp.uint16(0);
+    maxp.uint16(2); // maxZones
+    for (let i = 0; i < 8; i++) {
+      maxp.uint16(0);
+    }
+
+    const firstCode = glyphs[0].codePoint;
+    const lastCode = glyphs[glyphs.length - 1].codePoint;
+    const os2 = new ByteWriter();
+    os2.uint16(4);
+    os2.int16(Math.round(all.reduce((sum, glyph) => sum + glyph.advanceWidth, 0) / all.length));
+    os2.uint16(400); // Regular
+    os2.uint16(5); // Medium width
+    os2.uint16(0); // Installable embedding
+    [650, 600, 0, 75, 650, 600, 0, 350, 50, 250].forEach(value => os2.int16(value)); // Sub/superscript, strikeout
+    os2.int16(0);
+    for (let i = 0; i < 10; i++) {
+      os2.uint8(0); // PANOSE
+    }
+    os2.uint32(0);
+    os2.uint32(0x10000000); // Private Use Area (bit 60)
+    os2.uint32(0);
+    os2.uint32(0);
+    os2.ascii('SVGF');
+    os2.uint16(0x0040); // Regular
+    os2.uint16(firstCode);
+    os2.uint16(lastCode);
+    os2.int16(this.ascent);
+    os2.int16(-this.descent);
+    os2.int16(0);
+    os2.uint16(Math.max(this.ascent, fontBox.yMax));
+    os2.uint16(Math.max(this.descent, -fontBox.yMin));
+    os2.uint32(1); // Latin 1 code page
+    os2.uint32(0);
+    os2.int16(0);
+    os2.int16(0);
+    os2.uint16(0);
+    os2.uint16(32);
+    os2.uint16(1);
+
+    const post = new ByteWriter();
+    post.uint32(0x00030000); // No glyph names
+    post.uint32(0);
+    post.int16(-75);
+    post.int16(50);
+    for (let i = 0; i < 5; i++) {
+      post.uint32(0);
+    }
+
+    const tables = {
+      'OS/2': os2.toBytes(),
+      cmap: this.cmapTable(glyphs),
+      glyf: glyf.toBytes(),
+      head: head.toBytes(),
+      hhea: hhea.toBytes(),
+      hmtx: hmtx.toBytes(),
+      loca: loca.toBytes(),
+      maxp: maxp.toBytes(),
+      name: this.nameTable(name),
+      post: post.toBytes()
+    };
+
+    return this.assemble(tables);
+  }
+
+  /**
+   * Bounding box of a glyph's points, null when it has none
+   */
+  getBoundingBox(contours) {
+    let box = null;
+    contours.forEach(contour => contour.forEach(p => {
+      if (!box) {
+        box = { xMin: p.x, yMin: p.y, xMax: p.x, yMax: p.y };
+        return;
+      }
+      box.xMin = Math.min(box.xMin, p.x);
+      box.yMin = Math.min(box.yMin, p.y);
+      box.xMax = Math.max(box.xMax, p.x);
+      box.yMax = Math.max(box.yMax, p.y);
+    }));
+    return box;
+  }
+
+  /**
+   * Simple glyph description (uncompressed flags, 16-bit coordinate deltas), padded to 4 bytes
+   */
+  glyphTable(contours, box) {
+    if (contours.length === 0) {
+      return new Uint8Array(0);
+    }
+
+    const data = new ByteWriter();
+    data.int16(contours.length);
+    data.int16(box.xMin);
+    data.int16(box.yMin);
+    data.int16(box.xMax);
+    data.int16(box.yMax);
+
+    let end = -1;
+    contours.forEach(contour => {
+      end += contour.length;
+      data.uint16(end);
+    });
+    data.uint16(0); // No instructions
+
+    const points = contours.flat();
+    points.forEach(p => data.uint8(p.onCurve ? 1 : 0));
+    let previous = 0;
+    points.forEach(p => {
+      data.int16(p.x - previous);
+      previous = p.x;
+    });
+    previous = 0;
+    points.forEach(p => {
+      data.int16(p.y - previous);
+      previous = p.y;
+    });
+
+    data.pad();
+    return data.toBytes();
+  }
+
+  /**
+   * cmap with one format 4 subtable (Unicode BMP), for the Unicode and Windows platforms
+   */
+  cmapTable(glyphs) {
+    // Runs of consecutive code points mapped to consecutive glyphs share one segment
+    const segments = [];
+    glyphs.forEach((glyph, i) => {
+      const glyphId = i + 1;
+      const last = segments[segments.length - 1];
+      if (last && glyph.codePoint === last.end + 1 && glyphId - glyph.codePoint === last.delta) {
+        last.end = glyph.codePoint;
+      } else {
+        segments.push({ start: glyph.codePoint, end: glyph.codePoint, delta: glyphId - glyph.codePoint });
+      }
+    });
+    segments.push({ start: 0xFFFF, end: 0xFFFF, delta: 1 });
+
+    const segCount = segments.length;
+    const entrySelector = Math.floor(Math.log2(segCount));
+    const searchRange = 2 * 2 ** entrySelector;
+
+    const subtable = new ByteWriter();
+    subtable.uint16(4);
+    subtable.uint16(16 + 8 * segCount);
+    subtable.uint16(0);
+    subtable.uint16(segCount * 2);
+    subtable.uint16(searchRange);
+    subtable.uint16(entrySelector);
+    subtable.uint16(segCount * 2 - searchRange);
+    segments.forEach(segment => subtable.uint16(segment.end));
+    subtable.uint16(0);
+    segments.forEach(segment => subtable.uint16(segment.start));
+    segments.forEach(segment => subtable.uint16((segment.delta + 65536) % 65536));
+    segments.forEach(() => subtable.uint16(0));
+
+    const cmap = new ByteWriter();
+    cmap.uint16(0);
+    cmap.uint16(2);
+    cmap.uint16(0); // Unicode
+    cmap.uint16(3); // BMP
+    cmap.uint32(20);
+    cmap.uint16(3); // Windows
+    cmap.uint16(1); // Unicode BMP
+    cmap.uint32(20);
+    cmap.bytes(subtable.toBytes());
+    return cmap.toBytes();
+  }
+
+  /**
+   * name table with the family name (Windows platform, UTF-16BE)
+   */
+  nameTable(family) {
+    const postScriptName = family.replace(/[^A-Za-z0-9-]/g, '').slice(0, 63) || 'icons';
+    const names = [
+      [1, family],
+      [2, 'Regular'],
+      [3, `SVGify:${postScriptName}`],
+      [4, family],
+      [5, 'Version 1.0'],
+      [6, postScriptName]
+    ];
+
+    const strings = new ByteWriter();
+    const records = new ByteWriter();
+    names.forEach(([nameId, value]) => {
+      const start = strings.length;
+      for (const char of value) {
+        const code = char.codePointAt(0);
+        if (code > 0xFFFF) {
+          const high = 0xD800 + ((code - 0x10000) >> 10);
+          const low = 0xDC00 + ((code - 0x10000) & 0x3FF);
+          strings.uint16(high);
+          strings.uint16(low);
+        } else {
+          strings.uint16(code);
+        }
+      }
+      records.uint16(3);
+      records.uint16(1);
+      records.uint16(0x0409); // English (US)
+      records.uint16(nameId);
+      records.uint16(strings.length - start);
+      records.uint16(start);
+    });
+
+    const table = new ByteWriter();
+    table.uint16(0);
+    table.uint16(names.length);
+    table.uint16(6 + 12 * names.length);
+    table.bytes(records.toBytes());
+    table.bytes(strings.toBytes());
+    return table.toBytes();
+  }
+
+  /**
+   * sfnt file: table directory, 4-byte aligned tables and head.checkSumAdjustment
+   */
+  assemble(tables) {
+    const tags = Object.keys(tables).sort();
+    const entrySelector = Math.floor(Math.log2(tags.length));
+    const searchRange = 16 * 2 ** entrySelector;
+
+    const font = new ByteWriter();
+    font.uint32(0x00010000);
+    font.uint16(tags.length);
+    font.uint16(searchRange);
+    font.uint16(entrySelector);
+    font.uint16(tags.length * 16 - searchRange);
+
+    let offset = 12 + 16 * tags.length;
+    tags.forEach(tag => {
+      const data = tables[tag];
+      font.ascii(tag);
+      font.uint32(this.checksum(data));
+      font.uint32(offset);
+      font.uint32(data.length);
+      offset += Math.ceil(data.length / 4) * 4;
+    });
+
+    tags.forEach(tag => {
+      font.bytes(tables[tag]);
+      font.pad();
+    });
+
+    const bytes = font.toBytes();
+    const headOffset = 12 + 16 * tags.length +
+      tags.slice(0, tags.indexOf('head')).reduce((sum, tag) => sum + Math.ceil(tables[tag].length / 4) * 4, 0);
+    new DataView(bytes.buffer).setUint32(headOffset + 8, (0xB1B0AFBA - this.checksum(bytes)) >>> 0);
+    return bytes;
+  }
+
+  /**
+   * Sum of the big-endian 32-bit words of a table
+   */
+  checksum(bytes) {
+    const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+    padded.set(bytes);
+    const view = new DataView(padded.buffer);
+    let sum = 0;
+    for (let i = 0; i < padded.length; i += 4) {
+      sum = (sum + view.getUint32(i)) >>> 0;
+    }
+    return sum;
+  }
+
+  /**
+   * WOFF 1.0 file: every sfnt table zlib-compressed when that makes it smaller
+   * (WOFF2 would need a Brotli encoder, which browsers do not provide)
+   * @returns {Promise<Uint8Array>}
+   */
+  async toWOFF(ttf) {
+    const view = new DataView(ttf.buffer, ttf.byteOffset, ttf.byteLength);
+    const numTables = view.getUint16(4);
+
+    const tables = [];
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + 16 * i;
+      const offset = view.getUint32(record + 8);
+      const length = view.getUint32(record + 12);
+      const data = ttf.subarray(offset, offset + length);
+      const compressed = await this.deflate(data);
+      tables.push({
+        tag: view.getUint32(record),
+        checksum: view.getUint32(record + 4),
+        origLength: length,
+        data: compressed && compressed.length < length ? compressed : data
+      });
+    }
+
+    const woff = new ByteWriter();
+    let offset = 44 + 20 * numTables;
+    const directory = tables.map(table => {
+      const entry = { ...table, offset };
+      offset += Math.ceil(table.data.length / 4) * 4;
+      return entry;
+    });
+
+    woff.ascii('wOFF');
+    woff.uint32(0x00010000);
+    woff.uint32(offset);
+    woff.uint16(numTables);
+    woff.uint16(0);
+    woff.uint32(ttf.length);
+    woff.uint16(1);
+    woff.uint16(0);
+    for (let i = 0; i < 5; i++) {
+      woff.uint32(0); // No metadata or private data
+    }
+
+    directory.forEach(table => {
+      woff.uint32(table.tag);
+      woff.uint32(table.offset);
+      woff.uint32(table.data.length);
+      woff.uint32(table.origLength);
+      woff.uint32(table.checksum);
+    });
+    directory.forEach(table => {
+      woff.bytes(table.data);
+      woff.pad();
+    });
+
+    return woff.toBytes();
+  }
+
+  /**
+   * zlib-compress bytes, or null without CompressionStream
+   */
+  async deflate(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+      return null;
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * @font-face rule and one class per icon
+   */
+  getCSS(glyphs, name) {
+    const prefix = this.getClassPrefix(name);
+    const rules = glyphs.map(glyph =>
+      `.${prefix}-${glyph.id}::before {\n  content: "\\${glyph.codePoint.toString(16)}";\n}`
+    );
+
+    return `@font-face {
+  font-family: "${name}";
+  src: url("${name}.woff") format("woff"),
+       url("${name}.ttf") format("truetype");
+  font-weight: normal;
+  font-style: normal;
+  font-display: block;
+}
+
+.${prefix} {
+  display: inline-block;
+  font-family: "${name}" !important;
+  font-style: normal;
+  font-weight: normal;
+  font-variant: normal;
+  line-height: 1;
+  text-transform: none;
+  speak: never;
+  -webkit-font-smoothing: antialiased;
+  -moz-osx-font-smoothing: grayscale;
+}
+
+${rules.join('\n\n')}
+`;
+  }
+
+  /**
+   * Font name usable as file name and CSS class, e.g. "my-icons" for "My Icons"
+   */
+  getClassPrefix(name) {
+    return name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'icon';
+  }
+
+  /**
+   * Page showing every glyph with its class
+   */
+  getPreview(glyphs, name) {
+    const prefix = this.getClassPrefix(name);
+    const cards = glyphs.map(glyph => `    <div class="card">
+      <i class="${prefix} ${prefix}-${glyph.id}"></i>
+      <div class="id">${prefix}-${glyph.id}</div>
+      <code>&lt;i class="${prefix} ${prefix}-${glyph.id}"&gt;&lt;/i&gt;</code>
+      <code>U+${glyph.codePoint.toString(16).toUpperCase()}</code>
+    </div>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${name} icon font</title>
+  <link rel="stylesheet" href="${name}.css">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 32px; color: #111827; }
+    p { color: #6b7280; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; }
+    .card { border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px; text-align: center; }
+    .card i { font-size: 48px; }
+    .id { margin: 8px 0; font-weight: 600; }
+    code { display: block; font-size: 11px; color: #6b7280; word-break: break-all; user-select: all; }
+  </style>
+</head>
+<body>
+  <h1>${name} icon font</h1>
+  <p>${glyphs.length} icons. Include ${name}.css, then use &lt;i class="${prefix} ${prefix}-id"&gt;&lt;/i&gt;. Icons take the text color and size.</p>
+  <div class="grid">
+${cards}
+  </div>
+</body>
+</html>
+`;
+  }
+}
+
+/**
+ * Growable big-endian byte buffer for FontWriter
+ */
+class ByteWriter {
+  constructor() {
+    this.buffer = new Uint8Array(1024);
+    this.view = new DataView(this.buffer.buffer);
+    this.length = 0;
+  }
+
+  /**
+   * Grow the buffer to fit count more bytes
+   */
+  reserve(count) {
+    if (this.length + count <= this.buffer.length) {
+      return;
+    }
+    const grown = new Uint8Array(Math.max(this.buffer.length * 2, this.length + count));
+    grown.set(this.buffer);
+    this.buffer = grown;
+    this.view = new DataView(grown.buffer);
+  }
+
+  /**
+   * Append numbers, text or bytes
+   */
+  uint8(value) {
+    this.reserve(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  uint16(value) {
+    this.reserve(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  int16(value) {
+    this.reserve(2);
+    this.view.setInt16(this.length, value);
+    this.length += 2;
+  }
+
+  uint32(value) {
+    this.reserve(4);
+    this.view.setUint32(this.length, value >>> 0);
+    this.length += 4;
+  }
+
+  ascii(text) {
+    for (let i = 0; i < text.length; i++) {
+      this.uint8(text.charCodeAt(i));
+    }
+  }
+
+  bytes(data) {
+    this.reserve(data.length);
+    this.buffer.set(data, this.length);
+    this.length += data.length;
+  }
+
+  /**
+   * Zero-pad to a multiple of 4 bytes
+   */
+  pad() {
+    while (this.length % 4 !== 0) {
+      this.uint8(0);
+    }
+  }
+
+  /**
+   * Written bytes
+   */
+  toBytes() {
+    return this.buffer.slice(0, this.length);
+  }
+}
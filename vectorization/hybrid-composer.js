@@ -0,0 +1,273 @@
+/**
+ * HybridComposer Class
+ * Builds hybrid SVGs: traced vector regions over the embedded image, which is masked out beneath them
+ */
+class HybridComposer {
+  /**
+   * @param {SVGExporter} exporter - Parses the traced region SVGs
+   */
+  constructor(exporter = new SVGExporter()) {
+    this.exporter = exporter;
+
+    // Automatic detection: cells whose luminance standard deviation is at most flatThreshold are flat;
+    // groups of at least minCells flat cells (grown by one cell to take in their edges) become regions
+    this.cellSize = 16;
+    this.flatThreshold = 10;
+    this.minCells = 6;
+
+    // The image stays this many pixels under the edge of each region, so no seam shows between the layers
+    this.seamInset = 1;
+
+    this.clipId = 'svgify-hybrid-vectors';
+    this.maskId = 'svgify-hybrid-image';
+  }
+
+  /**
+   * Find flat-color areas (logos, text, flat backgrounds) to trace
+   * @param {ImageData} imageData - Source image
+   * @returns {Array<Object>} - Regions [{ x, y, width, height }] in pixels, non-overlapping
+   */
+  detectRegions(imageData) {
+    const { width, height, data } = imageData;
+    const cell = this.cellSize;
+    const cols = Math.ceil(width / cell);
+    const rows = Math.ceil(height / cell);
+
+    const flat = new Uint8Array(cols * rows);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+        const yEnd = Math.min(height, (row + 1) * cell);
+        const xEnd = Math.min(width, (col + 1) * cell);
+        for (let y = row * cell; y < yEnd; y++) {
+          for (let x = col * cell; x < xEnd; x++) {
+            const i = (y * width + x) * 4;
+            const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            sum += luminance;
+            sumSquares += luminance * luminance;
+            count++;
+          }
+        }
+        const mean = sum / count;
+        const deviation = Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+        flat[row * cols + col] = deviation <= this.flatThreshold ? 1 : 0;
+      }
+    }
+
+    // Grow by one cell: the outlines of a flat shape are not flat themselves
+    const grown = new Uint8Array(cols * rows);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const index = row * cols + col;
+        grown[index] = flat[index] ||
+          (col > 0 && flat[index - 1]) || (col < cols - 1 && flat[index + 1]) ||
+          (row > 0 && flat[index - cols]) || (row < rows - 1 && flat[index + cols]) ? 1 : 0;
+      }
+    }
+
+    // Bounding box of each group of connected cells
+    const seen = new Uint8Array(cols * rows);
+    const boxes = [];
+    for (let start = 0; start < grown.length; start++) {
+      if (!grown[start] || seen[start]) {
+        continue;
+      }
+      const stack = [start];
+      seen[start] = 1;
+      let size = 0;
+      let minCol = cols;
+      let minRow = rows;
+      let maxCol = 0;
+      let maxRow = 0;
+      while (stack.length > 0) {
+        const index = stack.pop();
+        const col = index % cols;
+        const row = (index - col) / cols;
+        size++;
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+        const neighbors = [
+          col > 0 ? index - 1 : -1,
+          col < cols - 1 ? index + 1 : -1,
+          row > 0 ? index - cols : -1,
+          row < rows - 1 ? index + cols : -1
+        ];
+        neighbors.forEach(neighbor => {
+          if (neighbor >= 0 && grown[neighbor] && !seen[neighbor]) {
+            seen[neighbor] = 1;
+            stack.push(neighbor);
+          }
+        });
+      }
+      if (size >= this.minCells) {
+        boxes.push({
+          x: minCol * cell,
+          y: minRow * cell,
+          width: Math.min(width, (maxCol + 1) * cell) - minCol * cell,
+          height: Math.min(height, (maxRow + 1) * cell) - minRow * cell
+        });
+      }
+    }
+
+    return this.mergeRegions(boxes);
+  }
+
+  /**
+   * Merge overlapping regions into their bounding box until none overlap
+   * @param {Array<Object>} regions - [{ x, y, width, height }]
+   * @returns {Array<Object>}
+   */
+  mergeRegions(regions) {
+    const merged = regions.map(region => ({ ...region }));
+    const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width &&
+      a.y < b.y + b.height && b.y < a.y + a.height;
+
+    for (let i = 0; i < merged.length; i++) {
+      for (let j = i + 1; j < merged.length; j++) {
+        if (!overlaps(merged[i], merged[j])) {
+          continue;
+        }
+        const a = merged[i];
+        const b = merged[j];
+        const x = Math.min(a.x, b.x);
+        const y = Math.min(a.y, b.y);
+        merged[i] = {
+          x,
+          y,
+          width: Math.max(a.x + a.width, b.x + b.width) - x,
+          height: Math.max(a.y + a.height, b.y + b.height) - y
+        };
+        merged.splice(j, 1);
+        j = i; // The grown region may now overlap earlier ones
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Copy the pixels of a region
+   * @param {ImageData} imageData - Source image
+   * @param {Object} region - { x, y, width, height } in pixels
+   * @returns {ImageData}
+   */
+  crop(imageData, region) {
+    const crop = new ImageData(region.width, region.height);
+    for (let y = 0; y < region.height; y++) {
+      const from = ((region.y + y) * imageData.width + region.x) * 4;
+      crop.data.set(imageData.data.subarray(from, from + region.width * 4), y * region.width * 4);
+    }
+    return crop;
+  }
+
+  /**
+   * Copy of the image with the regions cleared (inset by seamInset), which keeps the embedded image small
+   * @param {HTMLCanvasElement} canvas - Source image
+   * @param {Array<Object>} regions - Regions in pixels
+   * @returns {HTMLCanvasElement}
+   */
+  cutOut(canvas, regions) {
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    const ctx = copy.getContext('2d');
+    ctx.drawImage(canvas, 0, 0);
+    this.getInsetRegions(regions).forEach(region => {
+      ctx.clearRect(region.x, region.y, region.width, region.height);
+    });
+    return copy;
+  }
+
+  /**
+   * Regions shrunk by seamInset on each side (empty ones dropped)
+   */
+  getInsetRegions(regions) {
+    const inset = this.seamInset;
+    return regions
+      .map(region => ({
+        x: region.x + inset,
+        y: region.y + inset,
+        width: region.width - inset * 2,
+        height: region.height - inset * 2
+      }))
+      .filter(region => region.width > 0 && region.height > 0);
+  }
+
+  /**
+   * <image> element of the raster layer, masked out beneath the regions
+   */
+  getImageElement(dataUrl, width, height) {
+    return `<image width="${width}" height="${height}" mask="url(#${this.maskId})" xlink:href="${dataUrl}"/>`;
+  }
+
+  /**
+   * Assemble the hybrid SVG
+   * @param {Object} parts - Pieces of the SVG
+   * @param {number} parts.width - Image width in pixels (the viewBox)
+   * @param {number} parts.height - Image height in pixels
+   * @param {string} parts.sizeAttributes - From SVGExporter.getSizeAttributes()
+   * @param {string} parts.imageElement - From getImageElement()
+   * @param {Array<Object>} parts.traced - [{ region, svg }], svg being the traced region
+   * @returns {string} - SVG document
+   */
+  compose(parts) {
+    const { width, height, sizeAttributes, imageElement, traced } = parts;
+    const regions = traced.map(item => item.region);
+    const rect = (region, fill = '') =>
+      `<rect x="${region.x}" y="${region.y}" width="${region.width}" height="${region.height}"${fill}/>`;
+
+    const clipRects = regions.map(region => `      ${rect(region)}`).join('\n');
+    const maskRects = this.getInsetRegions(regions).map(region => `      ${rect(region, ' fill="#000"')}`).join('\n');
+    const vectors = traced.map((item, index) =>
+      `    <g transform="translate(${item.region.x} ${item.region.y})">${this.getRegionMarkup(item.svg, index)}</g>`
+    ).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"
+     ${sizeAttributes}viewBox="0 0 ${width} ${height}">
+  <title>Hybrid Image</title>
+  <defs>
+    <clipPath id="${this.clipId}">
+${clipRects}
+    </clipPath>
+    <mask id="${this.maskId}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">
+      <rect width="${width}" height="${height}" fill="#fff"/>
+${maskRects}
+    </mask>
+  </defs>
+  ${imageElement}
+  <g clip-path="url(#${this.clipId})">
+${vectors}
+  </g>
+</svg>`;
+  }
+
+  /**
+   * Content of a traced region SVG, ready to sit next to the other regions:
+   * CSS classes inlined and ids prefixed, so nothing clashes between regions
+   */
+  getRegionMarkup(svgContent, index) {
+    const tokens = this.exporter.inlineClasses(this.exporter.stripMetadata(this.exporter.tokenizeSvg(svgContent)));
+
+    const rootIndex = tokens.findIndex(token => token.type === 'open' && token.name === 'svg');
+    let closeIndex = tokens.length - 1;
+    while (closeIndex > rootIndex && !(tokens[closeIndex].type === 'close' && tokens[closeIndex].name === 'svg')) {
+      closeIndex--;
+    }
+
+    return tokens.slice(rootIndex + 1, closeIndex)
+      .filter(token => !(token.type === 'text' && (token.text.trim() === '' || token.text.startsWith('<'))))
+      .map(token => {
+        if (token.type === 'open') {
+          token.attributes = token.attributes.map(([name, value]) =>
+            name === 'id' ? [name, `region-${index + 1}-${value}`] : [name, value]
+          );
+        }
+        return this.exporter.serializeToken(token);
+      })
+      .join('');
+  }
+}
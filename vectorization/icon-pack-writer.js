@@ -0,0 +1,140 @@
+/**
+ * IconPackWriter Class
+ * Builds a favicon and app icon set from an SVG: favicon.svg, a multi-size favicon.ico,
+ * apple-touch-icon.png, Android/PWA icons, site.webmanifest and the HTML <link> tags, as one ZIP
+ */
+class IconPackWriter {
+  /**
+   * @param {SVGExporter} exporter - Renders the PNG icons
+   */
+  constructor(exporter) {
+    this.exporter = exporter;
+
+    // Sizes stored in favicon.ico
+    this.icoSizes = [16, 32, 48];
+
+    // PNG icons: { path, size, background (solid icon background), padding, manifest (purpose in site.webmanifest) }
+    // Apple shows transparent pixels as black; maskable icons keep the logo in the 80% safe zone
+    this.pngIcons = [
+      { path: 'apple-touch-icon.png', size: 180, background: true, padding: 0 },
+      { path: 'android-chrome-192x192.png', size: 192, background: false, padding: 0, manifest: 'any' },
+      { path: 'android-chrome-512x512.png', size: 512, background: false, padding: 0, manifest: 'any' },
+      { path: 'maskable-icon-512x512.png', size: 512, background: true, padding: 0.1, manifest: 'maskable' }
+    ];
+  }
+
+  /**
+   * Build the icon pack
+   * @param {string} svgContent - SVG content (the logo)
+   * @param {Object} options - Pack options
+   * @param {string} options.name - App name for site.webmanifest
+   * @param {string} options.themeColor - Browser UI color (default '#ffffff')
+   * @param {string} options.background - Background of the opaque icons and the splash screen (default '#ffffff')
+   * @returns {Promise<Blob>} - ZIP file
+   * @throws {ExportError} - If JSZip is missing or an icon cannot be rendered
+   */
+  async write(svgContent, options = {}) {
+    const { name = 'App', themeColor = '#ffffff', background = '#ffffff' } = options;
+
+    if (!window.JSZip) {
+      throw new ExportError('JSZip library not loaded. Please reload the page.');
+    }
+
+    const zip = new window.JSZip();
+
+    // The SVG favicon scales itself: keep only its viewBox
+    zip.file('favicon.svg', this.exporter.applySize(svgContent, { responsive: true }));
+
+    const icoImages = [];
+    for (const size of this.icoSizes) {
+      const png = await this.renderSquare(svgContent, size, null, 0);
+      icoImages.push({ size, data: new Uint8Array(await png.arrayBuffer()) });
+    }
+    zip.file('favicon.ico', this.toIco(icoImages));
+
+    for (const icon of this.pngIcons) {
+      zip.file(icon.path, await this.renderSquare(svgContent, icon.size, icon.background ? background : null, icon.padding));
+    }
+
+    zip.file('site.webmanifest', this.getManifest(name, themeColor, background));
+    zip.file('icons.html', this.getLinkTags(themeColor));
+
+    return zip.generateAsync({
+      type: 'blob',
+      compression: 'DEFLATE',
+      compressionOptions: {
+        level: 6
+      }
+    });
+  }
+
+  /**
+   * Square PNG of the drawing, centered
+   */
+  renderSquare(svgContent, size, background, padding) {
+    return this.exporter.rasterize(svgContent, { width: size, height: size, background, padding });
+  }
+
+  /**
+   * ICO file holding PNG images (supported by every browser and Windows Vista and later)
+   * @param {Array<Object>} images - [{ size, data }] with data the PNG bytes
+   * @returns {Blob} - image/x-icon
+   */
+  toIco(images) {
+    const header = new DataView(new ArrayBuffer(6 + 16 * images.length));
+    header.setUint16(0, 0, true); // Reserved
+    header.setUint16(2, 1, true); // 1 = icon
+    header.setUint16(4, images.length, true);
+
+    let offset = header.byteLength;
+    images.forEach((image, i) => {
+      const entry = 6 + 16 * i;
+      // Sizes of 256 and more are written as 0
+      header.setUint8(entry, image.size >= 256 ? 0 : image.size);
+      header.setUint8(entry + 1, image.size >= 256 ? 0 : image.size);
+      header.setUint8(entry + 2, 0); // No palette
+      header.setUint8(entry + 3, 0); // Reserved
+      header.setUint16(entry + 4, 1, true); // Color planes
+      header.setUint16(entry + 6, 32, true); // Bits per pixel
+      header.setUint32(entry + 8, image.data.length, true);
+      header.setUint32(entry + 12, offset, true);
+      offset += image.data.length;
+    });
+
+    return new Blob([header.buffer, ...images.map(image => image.data)], { type: 'image/x-icon' });
+  }
+
+  /**
+   * site.webmanifest content
+   */
+  getManifest(name, themeColor, background) {
+    return JSON.stringify({
+      name,
+      short_name: name.length > 12 ? name.slice(0, 12).trim() : name,
+      icons: this.pngIcons
+        .filter(icon => icon.manifest)
+        .map(icon => ({
+          src: `/${icon.path}`,
+          sizes: `${icon.size}x${icon.size}`,
+          type: 'image/png',
+          purpose: icon.manifest
+        })),
+      theme_color: themeColor,
+      background_color: background,
+      display: 'standalone'
+    }, null, 2) + '\n';
+  }
+
+  /**
+   * <link> and <meta> tags for the page <head>
+   */
+  getLinkTags(themeColor) {
+    return [
+      '<link rel="icon" href="/favicon.ico" sizes="any">',
+      '<link rel="icon" href="/favicon.svg" type="image/svg+xml">',
+      '<link rel="apple-touch-icon" href="/apple-touch-icon.png">',
+      '<link rel="manifest" href="/site.webmanifest">',
+      `<meta name="theme-color" content="${themeColor}">`
+    ].join('\n') + '\n';
+  }
+}
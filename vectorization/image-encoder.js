@@ -0,0 +1,369 @@
+/**
+ * ImageEncoder Class
+ * Re-encodes images for embedding in an SVG as PNG, JPEG, WebP or AVIF, optionally downscaled
+ * with Pica and with the quality searched to fit a target size
+ */
+class ImageEncoder {
+  constructor() {
+    this.types = {
+      png: 'image/png',
+      jpeg: 'image/jpeg',
+      webp: 'image/webp',
+      avif: 'image/avif'
+    };
+    this.defaults = { format: 'png', quality: 85, maxSize: null, targetSize: null, linked: false, resolutions: [1] };
+    this.maxDimension = 16384;
+    this.maxDensity = 8;
+
+    // Target size search: qualities between minQuality and the chosen quality, halved each step
+    this.minQuality = 5;
+    this.searchSteps = 7;
+
+    this.resizer = null; // Pica instance, created on the first resize
+  }
+
+  /**
+   * Whether the browser can encode a format (canvas.toBlob falls back to PNG for unknown types)
+   * @param {string} format - 'png', 'jpeg', 'webp' or 'avif'
+   * @returns {Promise<boolean>}
+   */
+  async isSupported(format) {
+    const type = this.types[format];
+    if (!type) {
+      return false;
+    }
+    if (!ImageEncoder.support.has(format)) {
+      const canvas = document.createElement('canvas');
+      canvas.width = 1;
+      canvas.height = 1;
+      ImageEncoder.support.set(format, new Promise(resolve => {
+        canvas.toBlob(blob => resolve(Boolean(blob) && blob.type === type), type);
+      }));
+    }
+    return ImageEncoder.support.get(format);
+  }
+
+  /**
+   * Disable and label the options of a format <select> that the browser cannot encode
+   * @param {HTMLSelectElement} select - Options valued 'png', 'jpeg', 'webp' or 'avif'
+   */
+  async disableUnsupportedOptions(select) {
+    for (const option of Array.from(select.options)) {
+      if (!(await this.isSupported(option.value))) {
+        option.disabled = true;
+        option.textContent += ' (not supported)';
+      }
+    }
+  }
+
+  /**
+   * Check and complete embed options
+   * @param {Object} options - { format, quality (1-100), maxSize (px, longest side), targetSize (KB),
+   *   linked (image saved as separate files), resolutions (densities of the linked files, array or "1x, 2x") },
+   *   empty values use the defaults
+   * @returns {Object} - Options with the defaults filled in; quality and targetSize are null for PNG,
+   *   resolutions is [1] unless linked
+   * @throws {OptionsError} - If an option is out of range
+   */
+  validateOptions(options = {}) {
+    const format = options.format || this.defaults.format;
+    if (!this.types[format]) {
+      throw new OptionsError(`Unknown embed format "${format}"`);
+    }
+
+    const isSet = (value) => value !== null && value !== undefined && value !== '';
+    const quality = isSet(options.quality) ? Number(options.quality) : this.defaults.quality;
+    if (!Number.isFinite(quality) || quality < 1 || quality > 100) {
+      throw new OptionsError('Embed quality must be between 1 and 100');
+    }
+
+    const maxSize = isSet(options.maxSize) ? Number(options.maxSize) : null;
+    if (maxSize !== null && (!Number.isInteger(maxSize) || maxSize < 1 || maxSize > this.maxDimension)) {
+      throw new OptionsError(`Maximum size must be a whole number of pixels between 1 and ${this.maxDimension}`);
+    }
+
+    const targetSize = isSet(options.targetSize) ? Number(options.targetSize) : null;
+    if (targetSize !== null && (!Number.isFinite(targetSize) || targetSize <= 0)) {
+      throw new OptionsError('Target size must be a positive number of KB');
+    }
+
+    const linked = Boolean(options.linked);
+    const resolutions = typeof options.resolutions === 'string'
+      ? this.parseResolutions(options.resolutions)
+      : this.parseResolutions(this.formatResolutions(options.resolutions || this.defaults.resolutions));
+
+    const lossy = format !== 'png';
+    return {
+      format,
+      quality: lossy ? quality : null,
+      maxSize,
+      targetSize: lossy ? targetSize : null,
+      linked,
+      resolutions: linked ? resolutions : [1]
+    };
+  }
+
+  /**
+   * Parse a list of densities such as "1x, 2x" (the x is optional)
+   * @param {string} text - Comma or space separated densities
+   * @returns {Array<number>} - Sorted densities without duplicates, [1] when empty
+   * @throws {OptionsError} - If an entry is not a density between 0 and maxDensity
+   */
+  parseResolutions(text) {
+    const entries = String(text).split(/[\s,]+/).filter(Boolean);
+    if (entries.length === 0) {
+      return [1];
+    }
+
+    const densities = entries.map(entry => {
+      const match = entry.match(/^(\d+(?:\.\d+)?|\.\d+)x?$/i);
+      const density = match ? Number(match[1]) : NaN;
+      if (!(density > 0 && density <= this.maxDensity)) {
+        throw new OptionsError(`"${entry}" is not a resolution: use densities such as 1x, 1.5x or 2x, up to ${this.maxDensity}x`);
+      }
+      return density;
+    });
+    return Array.from(new Set(densities)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Densities as text, e.g. "1x, 2x"
+   */
+  formatResolutions(resolutions) {
+    return resolutions.map(density => `${density}x`).join(', ');
+  }
+
+  /**
+   * File extension of an image MIME type
+   */
+  getExtension(type) {
+    const extensions = { 'image/jpeg': 'jpg', 'image/svg+xml': 'svg' };
+    return extensions[type] || type.replace(/^image\//, '');
+  }
+
+  /**
+   * Whether the options change the image, i.e. anything other than a single full-size PNG
+   * @param {Object} options - Embed options
+   */
+  changesImage(options = {}) {
+    const { format, maxSize, resolutions } = this.validateOptions(options);
+    return format !== 'png' || maxSize !== null || resolutions.length > 1 || resolutions[0] !== 1;
+  }
+
+  /**
+   * Encode an image as a data URL
+   * @param {ImageData|HTMLCanvasElement|CanvasImageSource} source - Image to encode
+   * @param {Object} options - Embed options, see validateOptions()
+   * @returns {Promise<Object>} - { dataUrl, blob, format, quality, width, height, bytes, targetMet },
+   *   width and height being the encoded (possibly downscaled) pixel size
+   * @throws {OptionsError} - If an option is invalid or the browser cannot encode the format
+   */
+  async encode(source, options = {}) {
+    const { format, quality, maxSize, targetSize, linked } = this.validateOptions(options);
+    const type = this.types[format];
+    // The target is the size in the SVG: the base64 data URL, or the file for a linked image
+    const getSize = (blob) => linked ? blob.size : this.getDataURLSize(blob);
+    if (!(await this.isSupported(format))) {
+      throw new OptionsError(`This browser cannot encode ${format.toUpperCase()} images`);
+    }
+
+    let canvas = this.toCanvas(source);
+    if (maxSize !== null && Math.max(canvas.width, canvas.height) > maxSize) {
+      canvas = await this.resize(canvas, maxSize);
+    }
+
+    // JPEG has no alpha channel: transparent pixels would turn black
+    if (format === 'jpeg') {
+      canvas = this.flatten(canvas);
+    }
+
+    let result;
+    if (targetSize !== null) {
+      result = await this.searchQuality(canvas, type, quality, targetSize * 1024, getSize);
+    } else {
+      result = {
+        blob: await this.toBlob(canvas, type, quality === null ? undefined : quality / 100),
+        quality
+      };
+    }
+
+    const dataUrl = await this.toDataURL(result.blob);
+    return {
+      dataUrl,
+      blob: result.blob,
+      format,
+      quality: result.quality,
+      width: canvas.width,
+      height: canvas.height,
+      bytes: result.blob.size,
+      targetMet: targetSize === null || getSize(result.blob) <= targetSize * 1024
+    };
+  }
+
+  /**
+   * Encode an image once per density of the options
+   * The highest density is the source image (limited to maxSize); the display size is the source
+   * size divided by that density, e.g. a 1024 px image as "1x, 2x" is shown at 512 px
+   * @param {ImageData|HTMLCanvasElement|CanvasImageSource} source - Image to encode
+   * @param {Object} options - Embed options, see validateOptions()
+   * @returns {Promise<Object>} - { width, height, images }, images being encode() results with
+   *   their density and file name suffix ('' for 1x, else '@2x'), lowest density first
+   * @throws {OptionsError} - If an option is invalid or the browser cannot encode the format
+   */
+  async encodeSet(source, options = {}) {
+    const validated = this.validateOptions(options);
+    const canvas = this.toCanvas(source);
+    const longest = Math.max(canvas.width, canvas.height);
+    const highest = validated.resolutions[validated.resolutions.length - 1];
+    const largest = validated.maxSize === null ? longest : Math.min(longest, validated.maxSize);
+
+    const images = [];
+    for (const density of validated.resolutions) {
+      const size = Math.max(1, Math.round(largest * density / highest));
+      const encoded = await this.encode(canvas, { ...validated, maxSize: size });
+      images.push({ ...encoded, density, suffix: density === 1 ? '' : `@${density}x` });
+    }
+
+    return {
+      width: Math.max(1, Math.round(canvas.width / highest)),
+      height: Math.max(1, Math.round(canvas.height / highest)),
+      images
+    };
+  }
+
+  /**
+   * Highest quality whose encoding fits the target, measured with getSize(blob)
+   * If even the lowest quality is too large, that encoding is returned and the caller reports the miss
+   * @returns {Promise<Object>} - { blob, quality }
+   */
+  async searchQuality(canvas, type, maxQuality, targetBytes, getSize) {
+    const fits = (blob) => getSize(blob) <= targetBytes;
+
+    const first = await this.toBlob(canvas, type, maxQuality / 100);
+    if (fits(first)) {
+      return { blob: first, quality: maxQuality };
+    }
+
+    let best = null;
+    let lowest = null;
+    let low = this.minQuality;
+    let high = maxQuality - 1;
+    for (let step = 0; step < this.searchSteps && low <= high; step++) {
+      const quality = Math.round((low + high) / 2);
+      const blob = await this.toBlob(canvas, type, quality / 100);
+      if (fits(blob)) {
+        best = { blob, quality };
+        low = quality + 1;
+      } else {
+        if (quality === this.minQuality) {
+          lowest = { blob, quality };
+        }
+        high = quality - 1;
+      }
+    }
+
+    if (best) {
+      return best;
+    }
+    return lowest || { blob: await this.toBlob(canvas, type, this.minQuality / 100), quality: this.minQuality };
+  }
+
+  /**
+   * Length of the base64 data URL of a blob, which is what the SVG holds
+   */
+  getDataURLSize(blob) {
+    return `data:${blob.type};base64,`.length + Math.ceil(blob.size / 3) * 4;
+  }
+
+  /**
+   * Downscale so that the longest side is maxSize, with Pica's high quality filter
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async resize(canvas, maxSize) {
+    const scale = maxSize / Math.max(canvas.width, canvas.height);
+    const target = document.createElement('canvas');
+    target.width = Math.max(1, Math.round(canvas.width * scale));
+    target.height = Math.max(1, Math.round(canvas.height * scale));
+
+    if (!window.pica) {
+      // Fallback: browser smoothing
+      const ctx = target.getContext('2d');
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(canvas, 0, 0, target.width, target.height);
+      return target;
+    }
+
+    if (!this.resizer) {
+      // No web workers: Pica creates them from blob: URLs, which the extension CSP blocks
+      this.resizer = window.pica({ features: ['js', 'wasm'] });
+    }
+    return this.resizer.resize(canvas, target);
+  }
+
+  /**
+   * Canvas holding the source image (a canvas is used as is)
+   */
+  toCanvas(source) {
+    if (source instanceof HTMLCanvasElement) {
+      return source;
+    }
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    if (source instanceof ImageData) {
+      canvas.width = source.width;
+      canvas.height = source.height;
+      ctx.putImageData(source, 0, 0);
+    } else {
+      canvas.width = source.naturalWidth || source.width;
+      canvas.height = source.naturalHeight || source.height;
+      ctx.drawImage(source, 0, 0);
+    }
+    return canvas;
+  }
+
+  /**
+   * Copy of the canvas on a white background
+   */
+  flatten(canvas) {
+    const flat = document.createElement('canvas');
+    flat.width = canvas.width;
+    flat.height = canvas.height;
+    const ctx = flat.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, flat.width, flat.height);
+    ctx.drawImage(canvas, 0, 0);
+    return flat;
+  }
+
+  /**
+   * canvas.toBlob as a promise
+   * @throws {ProcessingError} - If the canvas cannot be encoded
+   */
+  toBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new ProcessingError('Cannot encode image'));
+        }
+      }, type, quality);
+    });
+  }
+
+  /**
+   * Read a blob as a data URL
+   */
+  toDataURL(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new ProcessingError('Cannot read encoded image'));
+      reader.readAsDataURL(blob);
+    });
+  }
+}
+
+// Encoder support per format, shared by all instances: { format: Promise<boolean> }
+ImageEncoder.support = new Map();
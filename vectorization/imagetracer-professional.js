@@ -1,64 +1,435 @@
 /**
- * ImageTracer Professional - Simple wrapper
- * Calls ImageTracer with default configuration
+ * ImageTracer Professional - Configurable wrapper
+ * Resolves a named preset plus user overrides into a validated
+ * ImageTracer option object and traces with it
  */
 
 class ImageTracerProfessional {
   constructor() {
     this.isReady = false;
+    this.preset = 'default';
+    this.workerClient = TracerWorkerClient.isSupported() ? new TracerWorkerClient() : null;
+
+    // Every option understood by libs/imagetracer.js, with validation rules
+    this.optionSchema = {
+      // Tracing
+      ltres: { type: 'number', min: 0, max: 100 },
+      qtres: { type: 'number', min: 0, max: 100 },
+      pathomit: { type: 'integer', min: 0, max: 10000 },
+      rightangleenhance: { type: 'boolean' },
+
+      // Color quantization
+      colorsampling: { type: 'integer', min: 0, max: 2 },
+      numberofcolors: { type: 'integer', min: 2, max: 256 },
+      mincolorratio: { type: 'number', min: 0, max: 1 },
+      colorquantcycles: { type: 'integer', min: 1, max: 20 },
+
+      // Layering method
+      layering: { type: 'integer', min: 0, max: 1 },
+
+      // SVG rendering
+      strokewidth: { type: 'number', min: 0, max: 100 },
+      linefilter: { type: 'boolean' },
+      scale: { type: 'number', min: 0.01, max: 100 },
+      roundcoords: { type: 'integer', min: -1, max: 10 },
+      viewbox: { type: 'boolean' },
+      desc: { type: 'boolean' },
+      lcpr: { type: 'number', min: 0, max: 100 },
+      qcpr: { type: 'number', min: 0, max: 100 },
+
+      // One <g id="layer-N"> per palette color (TracerPipeline.getLayeredSvgString)
+      layered: { type: 'boolean' },
+
+      // Centerline tracing (CenterlineTracer): stroked paths along the middle of the lines
+      centerline: { type: 'boolean' },
+      inkthreshold: { type: 'integer', min: 0, max: 255 },
+      strokecurves: { type: 'boolean' },
+
+      // Black-and-white tracing (PotraceTracer): filled Bézier outlines; shares inkthreshold
+      bilevel: { type: 'boolean' },
+      turdsize: { type: 'integer', min: 0, max: 10000 },
+      alphamax: { type: 'number', min: 0, max: 1.3334 },
+      opttolerance: { type: 'number', min: 0, max: 5 },
+
+      // Blur
+      blurradius: { type: 'integer', min: 0, max: 5 },
+      blurdelta: { type: 'number', min: 0, max: 1024 },
+
+      // Custom palette
+      pal: { type: 'palette' }
+    };
+
+    // Presets tuned for the image types detected by analyzeImage()
+    this.presets = {
+      'logo': { numberofcolors: 8, colorquantcycles: 5, mincolorratio: 0.01, pathomit: 8, roundcoords: 2 },
+      'lineart': { colorsampling: 0, numberofcolors: 2, colorquantcycles: 1, pathomit: 4, ltres: 0.5, qtres: 0.5,
+        rightangleenhance: false, blurradius: 1, blurdelta: 64 },
+      'photo': { numberofcolors: 32, mincolorratio: 0.001, pathomit: 16, ltres: 2, qtres: 2, linefilter: true,
+        blurradius: 3, blurdelta: 32 },
+      'pixelart': { numberofcolors: 64, colorquantcycles: 1, pathomit: 0, ltres: 0.5, qtres: 0.01,
+        rightangleenhance: true, roundcoords: 0 },
+      'grayscalescan': { colorsampling: 0, colorquantcycles: 1, numberofcolors: 7, pathomit: 12, linefilter: true,
+        blurradius: 2, blurdelta: 32 }
+    };
+
+    // Image types returned by analyzeImage() and the preset used for each
+    this.imageTypes = {
+      logo: { label: 'Logo', preset: 'logo' },
+      lineart: { label: 'Line art', preset: 'lineart' },
+      photo: { label: 'Photo', preset: 'photo' },
+      pixelart: { label: 'Pixel art', preset: 'pixelart' },
+      scan: { label: 'Grayscale scan', preset: 'grayscalescan' }
+    };
+
     this.checkAvailability();
   }
-  
+
   checkAvailability() {
     if (window.ImageTracer) {
       this.isReady = true;
+
+      // Register our presets next to the built-in ones
+      for (const [name, preset] of Object.entries(this.presets)) {
+        if (!ImageTracer.optionpresets[name]) {
+          ImageTracer.optionpresets[name] = preset;
+        }
+      }
+    }
+  }
+
+  /**
+   * Get names of all available presets
+   * @returns {Array<string>} - Preset names
+   */
+  getPresetNames() {
+    return this.isReady ? Object.keys(ImageTracer.optionpresets) : ['default'];
+  }
+
+  /**
+   * Validate user supplied options against the option schema
+   * @param {Object} options - Partial ImageTracer options
+   * @returns {Object} - Validated copy of the options
+   * @throws {OptionsError} - If an option is unknown or out of range
+   */
+  validateOptions(options = {}) {
+    const validated = {};
+
+    for (const [key, value] of Object.entries(options)) {
+      const rule = this.optionSchema[key];
+      if (!rule) {
+        throw new OptionsError(`Unknown option "${key}"`);
+      }
+
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+          throw new OptionsError(`"${key}" must be true or false`);
+        }
+      } else if (rule.type === 'palette') {
+        const isColor = (c) => c && ['r', 'g', 'b', 'a'].every(ch => Number.isInteger(c[ch]) && c[ch] >= 0 && c[ch] <= 255);
+        if (!Array.isArray(value) || value.length === 0 || !value.every(isColor)) {
+          throw new OptionsError(`"${key}" must be a list of {r, g, b, a} colors (0-255)`);
+        }
+      } else {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          throw new OptionsError(`"${key}" must be a number`);
+        }
+        if (rule.type === 'integer' && !Number.isInteger(value)) {
+          throw new OptionsError(`"${key}" must be a whole number`);
+        }
+        if (value < rule.min || value > rule.max) {
+          throw new OptionsError(`"${key}" must be between ${rule.min} and ${rule.max}`);
+        }
+      }
+
+      validated[key] = value;
+    }
+
+    return validated;
+  }
+
+  /**
+   * Merge overrides over a named preset (which is itself merged over 'default')
+   * @param {string} presetName - Name of an ImageTracer preset
+   * @param {Object} overrides - Partial ImageTracer options
+   * @returns {Object} - Complete ImageTracer option object
+   */
+  resolveOptions(presetName = this.preset, overrides = {}) {
+    const presets = ImageTracer.optionpresets;
+    if (!presets[presetName]) {
+      throw new OptionsError(`Unknown preset "${presetName}"`);
     }
+
+    return {
+      ...presets['default'],
+      ...presets[presetName],
+      ...this.validateOptions(overrides)
+    };
   }
 
   /**
-   * Vectorize - Simple, no additional processing
+   * Vectorize ImageData in the tracer worker (main thread if workers are unavailable)
+   * The pixel buffer is transferred to the worker, so imageData must not be reused
+   * @param {ImageData} imageData - Source pixels
+   * @param {Object} options - Option overrides, plus an optional preset name ({ preset })
+   *   that replaces the one chosen with setPreset() for this call only
+   * @param {Function} onProgress - Optional, called with { stage, percentage } as tracing advances
+   * @returns {Promise<string>} - SVG string
    */
-  async vectorize(imageData) {
+  async vectorize(imageData, options = {}, onProgress = null) {
+    return this.vectorizeWith(this.workerClient, imageData, options, onProgress);
+  }
+
+  /**
+   * Vectorize ImageData on a specific runner, e.g. a TracerWorkerPool for batches
+   * @param {TracerWorkerClient|TracerWorkerPool|null} runner - Anything with run(); null traces on the main thread
+   * @param {ImageData} imageData - Source pixels
+   * @param {Object} options - Option overrides and optional { preset }
+   * @param {Function} onProgress - Optional progress callback
+   * @returns {Promise<string>} - SVG string
+   */
+  async vectorizeWith(runner, imageData, options = {}, onProgress = null) {
+    return (await this.runTrace(runner, imageData, options, onProgress, false)).svg;
+  }
+
+  /**
+   * Like vectorize(), but also returns the tracedata and the options it was traced with,
+   * as needed by EPSWriter and DXFWriter
+   * @returns {Promise<Object>} - { svg, tracedata, options, warning }; warning is a message for the user or null
+   */
+  async trace(imageData, options = {}, onProgress = null) {
+    return this.runTrace(this.workerClient, imageData, options, onProgress, true);
+  }
+
+  /**
+   * Like vectorizeWith(), but also returns the tracedata and the options it was traced with
+   * @returns {Promise<Object>} - { svg, tracedata, options, warning }
+   */
+  async traceWith(runner, imageData, options = {}, onProgress = null) {
+    return this.runTrace(runner, imageData, options, onProgress, true);
+  }
+
+  /**
+   * Trace on a runner (or on the main thread when runner is null)
+   */
+  async runTrace(runner, imageData, options, onProgress, keepTracedata) {
     if (!this.isReady) {
       throw new Error('ImageTracer not available');
     }
-    
-    // Create canvas from imageData
-    const canvas = document.createElement('canvas');
-    canvas.width = imageData.width;
-    canvas.height = imageData.height;
-    const ctx = canvas.getContext('2d');
-    ctx.putImageData(imageData, 0, 0);
-    
-    // Default configuration
-    const options = {
-      numberofcolors: 16
+
+    const { preset, ...overrides } = options;
+    const tracerOptions = this.resolveOptions(preset || this.preset, overrides);
+
+    const result = runner
+      ? await runner.run(imageData, tracerOptions, onProgress, keepTracedata)
+      : this.getPipeline(tracerOptions, onProgress).imagedataToResult(imageData, tracerOptions);
+
+    return {
+      svg: result.svg,
+      tracedata: keepTracedata ? result.tracedata : null,
+      options: tracerOptions,
+      warning: result.warning || null
     };
-    
-    // Vectorize with ImageTracer
-    const svg = await new Promise((resolve, reject) => {
-      try {
-        ImageTracer.imageToSVG(
-          canvas.toDataURL(),
-          (svgString) => {
-            resolve(svgString);
-          },
-          options
-        );
-      } catch (error) {
-        reject(error);
+  }
+
+  /**
+   * Outline tracing, or centerline or black-and-white tracing when options.centerline or
+   * options.bilevel is set (as in tracer-worker.js)
+   */
+  getPipeline(tracerOptions, onProgress) {
+    if (tracerOptions.centerline) {
+      return new CenterlineTracer(onProgress);
+    }
+    return tracerOptions.bilevel
+      ? new PotraceTracer(onProgress)
+      : new TracerPipeline(ImageTracer, onProgress);
+  }
+
+  /**
+   * Cancel running vectorizations by terminating the worker
+   * Pending vectorize() calls reject with CancellationError
+   */
+  cancel() {
+    if (this.workerClient) {
+      this.workerClient.cancel();
+    }
+  }
+
+  /**
+   * Measure image statistics used for preset selection
+   * @param {ImageData} imageData - Source pixels
+   * @returns {Object} - Metrics; ratios are in the 0-1 range
+   */
+  measureImage(imageData) {
+    const { width, height, data } = imageData;
+
+    // Sample on a grid so large images stay fast (~250k pixels max)
+    const step = Math.max(1, Math.ceil(Math.sqrt((width * height) / 250000)));
+
+    const exactColors = new Set();
+    const coarseColors = new Set();
+    const maxTrackedColors = 4096;
+
+    let sampled = 0;
+    let transparent = 0;
+    let gray = 0;
+    let bilevel = 0;
+    let edges = 0;
+    let gradients = 0;
+    let smoothGradients = 0;
+    let equalNeighbors = 0;
+    let neighborPairs = 0;
+
+    const luminance = (idx) => 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+
+    for (let y = 0; y < height; y += step) {
+      for (let x = 0; x < width; x += step) {
+        const idx = (y * width + x) * 4;
+        const r = data[idx];
+        const g = data[idx + 1];
+        const b = data[idx + 2];
+        const a = data[idx + 3];
+        sampled++;
+
+        if (a < 250) {
+          transparent++;
+          if (a < 10) {
+            continue; // Fully transparent pixels carry no color information
+          }
+        }
+
+        if (exactColors.size < maxTrackedColors) {
+          exactColors.add((r << 24 | g << 16 | b << 8 | a) >>> 0);
+        }
+        if (coarseColors.size < maxTrackedColors) {
+          coarseColors.add((r >> 3) << 10 | (g >> 3) << 5 | (b >> 3));
+        }
+
+        if (Math.max(Math.abs(r - g), Math.abs(g - b), Math.abs(r - b)) < 12) {
+          gray++;
+        }
+
+        const lum = luminance(idx);
+        if (lum < 64 || lum > 192) {
+          bilevel++;
+        }
+
+        // Gradient against the right and bottom neighbors
+        if (x + 1 < width && y + 1 < height) {
+          const right = idx + 4;
+          const bottom = idx + width * 4;
+          const gradient = Math.abs(lum - luminance(right)) + Math.abs(lum - luminance(bottom));
+
+          if (gradient > 48) {
+            edges++;
+          }
+          if (gradient > 0) {
+            gradients++;
+            if (gradient <= 24) {
+              smoothGradients++;
+            }
+          }
+
+          neighborPairs++;
+          if (data[idx] === data[right] && data[idx + 1] === data[right + 1] &&
+              data[idx + 2] === data[right + 2] && data[idx + 3] === data[right + 3]) {
+            equalNeighbors++;
+          }
+        }
+      }
+    }
+
+    const opaque = Math.max(1, sampled - transparent);
+
+    // Upscaled pixel art is made of runs whose lengths share a common block size
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const rowStep = Math.max(1, Math.floor(height / 32));
+    let blockSize = 0;
+
+    for (let y = 0; y < height && blockSize !== 1; y += rowStep) {
+      let runLength = 1;
+      for (let x = 1; x < width; x++) {
+        const idx = (y * width + x) * 4;
+        const prev = idx - 4;
+        if (data[idx] === data[prev] && data[idx + 1] === data[prev + 1] &&
+            data[idx + 2] === data[prev + 2] && data[idx + 3] === data[prev + 3]) {
+          runLength++;
+        } else {
+          blockSize = gcd(runLength, blockSize);
+          runLength = 1;
+        }
       }
-    });
-    
-    return svg;
+    }
+
+    return {
+      width,
+      height,
+      distinctColors: exactColors.size,
+      coarseColors: coarseColors.size,
+      alphaCoverage: transparent / Math.max(1, sampled),
+      grayscaleRatio: gray / opaque,
+      bilevelRatio: bilevel / opaque,
+      edgeDensity: edges / Math.max(1, neighborPairs),
+      gradientSmoothness: gradients > 0 ? smoothGradients / gradients : 0,
+      equalNeighborRatio: neighborPairs > 0 ? equalNeighbors / neighborPairs : 0,
+      blockSize: blockSize || 1
+    };
   }
-  
+
+  /**
+   * Classify an image and pick a matching preset
+   * @param {ImageData} imageData - Source pixels
+   * @returns {Object} - { type, label, preset, metrics }
+   */
   analyzeImage(imageData) {
-    return 'default';
+    const metrics = this.measureImage(imageData);
+    let type;
+
+    const isSmall = Math.max(metrics.width, metrics.height) <= 256;
+
+    if (metrics.distinctColors <= 64 && metrics.gradientSmoothness < 0.2 &&
+        (metrics.blockSize >= 2 || (isSmall && metrics.equalNeighborRatio > 0.5))) {
+      // Few exact colors, hard steps between them and either a pixel grid or a tiny canvas
+      type = 'pixelart';
+    } else if (metrics.grayscaleRatio > 0.95 && metrics.bilevelRatio > 0.9) {
+      // Ink on paper: nearly everything is close to black or white
+      type = 'lineart';
+    } else if (metrics.grayscaleRatio > 0.95) {
+      type = 'scan';
+    } else if (metrics.coarseColors <= 512 || (metrics.alphaCoverage > 0.05 && metrics.gradientSmoothness < 0.5)) {
+      type = 'logo';
+    } else {
+      type = 'photo';
+    }
+
+    return {
+      type,
+      label: this.imageTypes[type].label,
+      preset: this.imageTypes[type].preset,
+      metrics
+    };
   }
-  
+
+  /**
+   * Set the preset used by later vectorize() calls
+   * @param {string} preset - Preset name
+   * @throws {OptionsError} - If the preset does not exist
+   */
   setPreset(preset) {
-    // Use default configuration
+    if (this.isReady && !ImageTracer.optionpresets[preset]) {
+      throw new OptionsError(`Unknown preset "${preset}"`);
+    }
+    this.preset = preset;
+  }
+
+  /**
+   * Get the preset used by vectorize() when none is given
+   */
+  getPreset() {
+    return this.preset;
   }
 }
 
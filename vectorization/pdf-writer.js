@@ -0,0 +1,322 @@
+/**
+ * PDFWriter Class
+ * Writes a single-page vector PDF from a drawing made by SVGExporter.getDrawing()
+ * Runs fully offline: paths become PDF path operators, embedded images become image XObjects
+ */
+class PDFWriter {
+  constructor() {
+    // Page sizes in points (1 pt = 1/72 in), portrait
+    this.pageSizes = {
+      a4: [595.28, 841.89],
+      a3: [841.89, 1190.55],
+      letter: [612, 792],
+      legal: [612, 1008]
+    };
+  }
+
+  /**
+   * Build the PDF
+   * @param {Object} drawing - From SVGExporter.getDrawing()
+   * @param {Object} options - Page options
+   * @param {string} options.pageSize - 'fit' (page = drawing size) or a key of this.pageSizes
+   * @param {number} options.dpi - Pixels per inch used to convert SVG pixels to points (default 96);
+   *   ignored when the SVG size is in physical units (drawing.physical)
+   * @param {number} options.margin - Page margin in points for fixed page sizes (default 36)
+   * @returns {Promise<Blob>} - application/pdf
+   */
+  async write(drawing, options = {}) {
+    const { pageSize = 'fit', dpi = 96, margin = 36 } = options;
+
+    if (!Number.isFinite(dpi) || dpi <= 0) {
+      throw new ExportError('DPI must be a positive number');
+    }
+    if (pageSize !== 'fit' && !this.pageSizes[pageSize]) {
+      throw new ExportError(`Unknown page size "${pageSize}"`);
+    }
+
+    // Natural size of the drawing in points
+    const pointsPerPixel = drawing.physical ? 72 / 96 : 72 / dpi;
+    const drawingWidth = drawing.width * pointsPerPixel;
+    const drawingHeight = drawing.height * pointsPerPixel;
+
+    let pageWidth = drawingWidth;
+    let pageHeight = drawingHeight;
+    let scale = pointsPerPixel;
+    let offsetX = 0;
+    let offsetY = 0;
+
+    if (pageSize !== 'fit') {
+      // Same orientation as the drawing; scaled down only if it does not fit
+      [pageWidth, pageHeight] = this.pageSizes[pageSize];
+      if (drawingWidth > drawingHeight) {
+        [pageWidth, pageHeight] = [pageHeight, pageWidth];
+      }
+      const fit = Math.min(1, (pageWidth - 2 * margin) / drawingWidth, (pageHeight - 2 * margin) / drawingHeight);
+      scale *= fit;
+      offsetX = (pageWidth - drawingWidth * fit) / 2;
+      offsetY = (pageHeight - drawingHeight * fit) / 2;
+    }
+
+    this.graphicStates = new Map();
+    this.images = [];
+
+    // SVG user space (y down) to PDF page space (y up)
+    let content = `q ${this.num(scale)} 0 0 ${this.num(-scale)} ${this.num(offsetX)} ${this.num(pageHeight - offsetY)} cm\n`;
+    for (const item of drawing.items) {
+      content += item.type === 'image'
+        ? await this.imageOperators(item)
+        : this.pathOperators(item);
+    }
+    content += 'Q\n';
+
+    return this.assemble(content, pageWidth, pageHeight);
+  }
+
+  /**
+   * Content stream operators for one path
+   */
+  pathOperators(item) {
+    let ops = 'q\n';
+
+    const state = this.graphicState(item.fill ? item.fillOpacity : 1, item.stroke ? item.strokeOpacity : 1);
+    if (state) {
+      ops += `/${state} gs\n`;
+    }
+    if (item.fill) {
+      ops += `${this.color(item.fill)} rg\n`;
+    }
+    if (item.stroke) {
+      ops += `${this.color(item.stroke)} RG ${this.num(item.strokeWidth)} w\n`;
+    }
+
+    for (const { command, values } of item.segments) {
+      const v = values.map(n => this.num(n)).join(' ');
+      if (command === 'M') {
+        ops += `${v} m\n`;
+      } else if (command === 'L') {
+        ops += `${v} l\n`;
+      } else if (command === 'C') {
+        ops += `${v} c\n`;
+      } else if (command === 'Z') {
+        ops += 'h\n';
+      }
+    }
+
+    const evenOdd = item.fillRule === 'evenodd' ? '*' : '';
+    if (item.fill && item.stroke) {
+      ops += `B${evenOdd}\n`;
+    } else if (item.fill) {
+      ops += `f${evenOdd}\n`;
+    } else {
+      ops += 'S\n';
+    }
+
+    return ops + 'Q\n';
+  }
+
+  /**
+   * Content stream operators for one embedded image
+   */
+  async imageOperators(item) {
+    const image = await this.addImage(item.href);
+    const m = item.matrix.map(n => this.num(n)).join(' ');
+    const state = this.graphicState(item.opacity, 1);
+
+    // The image is drawn in the unit square, its first row at the top
+    return `q ${m} cm ${state ? `/${state} gs ` : ''}` +
+      `${this.num(item.width)} 0 0 ${this.num(-item.height)} ${this.num(item.x)} ${this.num(item.y + item.height)} cm ` +
+      `/${image} Do Q\n`;
+  }
+
+  /**
+   * Name of an ExtGState for the given opacities, or null when fully opaque
+   */
+  graphicState(fillOpacity, strokeOpacity) {
+    if (fillOpacity >= 1 && strokeOpacity >= 1) {
+      return null;
+    }
+
+    const key = `${this.num(fillOpacity)} ${this.num(strokeOpacity)}`;
+    if (!this.graphicStates.has(key)) {
+      this.graphicStates.set(key, {
+        name: `GS${this.graphicStates.size}`,
+        fillOpacity: Math.max(0, fillOpacity),
+        strokeOpacity: Math.max(0, strokeOpacity)
+      });
+    }
+    return this.graphicStates.get(key).name;
+  }
+
+  /**
+   * Decode an image data URL into an image XObject
+   * JPEG data is passed through (DCTDecode); other formats are stored as RGB plus an alpha soft mask
+   * @returns {Promise<string>} - XObject name
+   * @throws {ExportError} - If the image is not embedded (e.g. a linked file), as it cannot be loaded offline
+   */
+  async addImage(href) {
+    if (!href.startsWith('data:image/')) {
+      const name = href.length > 60 ? `${href.slice(0, 57)}...` : href;
+      throw new ExportError(`Image "${name}" is not embedded in the SVG and cannot be included in the PDF`);
+    }
+
+    const blob = await (await fetch(href)).blob();
+    const bitmap = await createImageBitmap(blob);
+    const width = bitmap.width;
+    const height = bitmap.height;
+    const name = `Im${this.images.length}`;
+
+    if (blob.type === 'image/jpeg') {
+      bitmap.close();
+      this.images.push({
+        name,
+        width,
+        height,
+        filter: 'DCTDecode',
+        colorSpace: 'DeviceRGB',
+        data: new Uint8Array(await blob.arrayBuffer()),
+        smask: null
+      });
+      return name;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    const rgba = ctx.getImageData(0, 0, width, height).data;
+
+    const rgb = new Uint8Array(width * height * 3);
+    const alpha = new Uint8Array(width * height);
+    let hasAlpha = false;
+    for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+      rgb[p * 3] = rgba[i];
+      rgb[p * 3 + 1] = rgba[i + 1];
+      rgb[p * 3 + 2] = rgba[i + 2];
+      alpha[p] = rgba[i + 3];
+      if (rgba[i + 3] < 255) {
+        hasAlpha = true;
+      }
+    }
+
+    this.images.push({
+      name,
+      width,
+      height,
+      colorSpace: 'DeviceRGB',
+      ...(await this.compress(rgb)),
+      smask: hasAlpha ? { width, height, colorSpace: 'DeviceGray', ...(await this.compress(alpha)) } : null
+    });
+    return name;
+  }
+
+  /**
+   * Deflate bytes for FlateDecode when CompressionStream is available
+   * @returns {Promise<Object>} - { data, filter }
+   */
+  async compress(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+      return { data: bytes, filter: null };
+    }
+
+    // 'deflate' is the zlib format expected by FlateDecode
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return { data: new Uint8Array(await new Response(stream).arrayBuffer()), filter: 'FlateDecode' };
+  }
+
+  /**
+   * Write objects, cross-reference table and trailer
+   */
+  async assemble(content, pageWidth, pageHeight) {
+    const encoder = new TextEncoder();
+    const objects = [];
+    const addObject = (parts) => {
+      objects.push(parts);
+      return objects.length;
+    };
+    const streamObject = (dictionary, { data, filter }) => [
+      `<< ${dictionary ? `${dictionary} ` : ''}${filter ? `/Filter /${filter} ` : ''}/Length ${data.length} >>\nstream\n`,
+      data,
+      '\nendstream'
+    ];
+
+    // Catalog and page tree are objects 1 and 2; the page is object 3
+    addObject(['<< /Type /Catalog /Pages 2 0 R >>']);
+    addObject(['<< /Type /Pages /Kids [3 0 R] /Count 1 >>']);
+    addObject([]);
+
+    const contentId = addObject(streamObject('', await this.compress(encoder.encode(content))));
+
+    const xobjects = [];
+    for (const image of this.images) {
+      let smaskRef = '';
+      if (image.smask) {
+        const smaskId = addObject(streamObject(
+          `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8`,
+          image.smask
+        ));
+        smaskRef = ` /SMask ${smaskId} 0 R`;
+      }
+      const imageId = addObject(streamObject(
+        `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${image.colorSpace} /BitsPerComponent 8${smaskRef}`,
+        image
+      ));
+      xobjects.push(`/${image.name} ${imageId} 0 R`);
+    }
+
+    const states = Array.from(this.graphicStates.values())
+      .map(state => `/${state.name} << /Type /ExtGState /ca ${this.num(state.fillOpacity)} /CA ${this.num(state.strokeOpacity)} >>`);
+
+    objects[2] = [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(pageWidth)} ${this.num(pageHeight)}] ` +
+      `/Resources << /ProcSet [/PDF /ImageC /ImageB]` +
+      (states.length > 0 ? ` /ExtGState << ${states.join(' ')} >>` : '') +
+      (xobjects.length > 0 ? ` /XObject << ${xobjects.join(' ')} >>` : '') +
+      ` >> /Contents ${contentId} 0 R >>`
+    ];
+
+    // Serialize, recording the byte offset of every object
+    const chunks = [];
+    let length = 0;
+    const push = (part) => {
+      const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+
+    push('%PDF-1.4\n%âãÏÓ\n');
+    const offsets = [];
+    objects.forEach((parts, index) => {
+      offsets.push(length);
+      push(`${index + 1} 0 obj\n`);
+      parts.forEach(push);
+      push('\nendobj\n');
+    });
+
+    const xrefOffset = length;
+    let xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      xref += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    push(xref);
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info << /Producer (SVGify) >> >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+  }
+
+  /**
+   * PDF color operands for { r, g, b }
+   */
+  color(c) {
+    return `${this.num(c.r / 255)} ${this.num(c.g / 255)} ${this.num(c.b / 255)}`;
+  }
+
+  /**
+   * Format a number for the content stream (no exponent, at most 4 decimals)
+   */
+  num(n) {
+    const text = (Math.round(n * 10000) / 10000).toFixed(4).replace(/\.?0+$/, '');
+    return text === '-0' ? '0' : text;
+  }
+}
@@ -0,0 +1,997 @@
+/**
+ * PotraceTracer Class
+ * Black-and-white tracing after Peter Selinger's Potrace algorithm: the image is thresholded,
+ * its outlines are decomposed into pixel-edge paths, each path is approximated by an optimal
+ * polygon, and the polygon is turned into cubic Bézier curves with corners where it turns sharply
+ * (alphamax); adjacent curve segments are optionally merged within a tolerance (opttolerance)
+ *
+ * Gives smoother, smaller results than ImageTracer's line and quadratic segments for logos,
+ * stamps and other single-color artwork
+ */
+class PotraceTracer extends ThresholdTracer {
+  /**
+   * @param {Function} onProgress - Called with { stage, percentage }
+   */
+  constructor(onProgress = null) {
+    super(onProgress);
+
+    // Potrace defaults: speckles up to 2 pixels are dropped, corners above alphamax 1
+    this.defaults = {
+      turdsize: 2,
+      alphamax: 1,
+      opttolerance: 0
+    };
+  }
+
+  /**
+   * Trace ImageData into filled Bézier outlines
+   * Uses inkthreshold (0 or unset = automatic), turdsize, alphamax, opttolerance (0 or unset = no
+   * curve optimization), scale, roundcoords, viewbox and layered
+   * @param {Object} imgd - { width, height, data } RGBA pixels
+   * @param {Object} options - Complete tracer options
+   * @returns {Object} - { svg, tracedata }; tracedata is always null (EPS/DXF use ImageTracer's outlines)
+   */
+  imagedataToResult(imgd, options) {
+    const { width, height } = imgd;
+    const settings = {
+      turdsize: options.turdsize === undefined ? this.defaults.turdsize : options.turdsize,
+      alphamax: options.alphamax === undefined ? this.defaults.alphamax : options.alphamax,
+      opttolerance: options.opttolerance || this.defaults.opttolerance
+    };
+
+    // 1. Threshold
+    const { ink, color } = this.binarize(imgd, options.inkthreshold || 0);
+    this.report(this.STAGE_QUANTIZE, 10);
+
+    // 2. Outlines of the black areas and their holes
+    const paths = this.decompose(ink, width, height, settings.turdsize);
+    this.report(this.STAGE_LAYERING, 30);
+
+    // 3. Optimal polygon -> vertex adjustment -> Bézier curves -> optional curve merging
+    const batchSize = 64;
+    paths.forEach((path, index) => {
+      this.calcSums(path);
+      this.calcLon(path);
+      this.bestPolygon(path);
+      this.adjustVertices(path);
+      if (path.sign === '-') {
+        path.curve.vertex.reverse();
+      }
+      this.smooth(path.curve, settings.alphamax);
+      if (settings.opttolerance > 0) {
+        path.curve = this.optiCurve(path.curve, settings.opttolerance);
+      }
+      if ((index + 1) % batchSize === 0 || index === paths.length - 1) {
+        this.report(this.STAGE_TRACING, 30 + 60 * (index + 1) / paths.length);
+      }
+    });
+
+    // 4. SVG
+    const svg = this.getCurvesSvg(paths, color, width, height, options);
+    this.report(this.STAGE_RENDERING, 95);
+
+    this.report(this.STAGE_COMPLETE, 100);
+    return { svg, tracedata: null };
+  }
+
+  /**
+   * Split the bitmap into closed paths along pixel edges (Potrace's bm_to_pathlist)
+   * Each path is xor-ed out of a working copy, so holes are found as paths of the other sign
+   * @param {Uint8Array} ink - 1 = black
+   * @param {number} turdsize - Paths enclosing this area or less are dropped
+   * @returns {Array<Object>} - Paths { pt: [{ x, y }], sign: '+' (outline) or '-' (hole), area }
+   */
+  decompose(ink, width, height, turdsize) {
+    const bitmap = Uint8Array.from(ink);
+    const at = (x, y) => x >= 0 && x < width && y >= 0 && y < height && bitmap[y * width + x] === 1;
+    const paths = [];
+
+    // Majority of the pixels around a point decides ambiguous turns (Potrace's "minority" policy)
+    const majority = (x, y) => {
+      for (let i = 2; i < 5; i++) {
+        let ct = 0;
+        for (let a = -i + 1; a <= i - 1; a++) {
+          ct += at(x + a, y + i - 1) ? 1 : -1;
+          ct += at(x + i - 1, y + a - 1) ? 1 : -1;
+          ct += at(x + a - 1, y - i) ? 1 : -1;
+          ct += at(x - i, y + a) ? 1 : -1;
+        }
+        if (ct > 0) {
+          return true;
+        } else if (ct < 0) {
+          return false;
+        }
+      }
+      return false;
+    };
+
+    const findPath = (startX, startY) => {
+      const path = { pt: [], area: 0, sign: ink[startY * width + startX] ? '+' : '-', maxX: startX };
+      let x = startX;
+      let y = startY;
+      let dirx = 0;
+      let diry = 1;
+
+      for (;;) {
+        path.pt.push({ x, y });
+        path.maxX = Math.max(path.maxX, x);
+        x += dirx;
+        y += diry;
+        path.area -= x * diry;
+        if (x === startX && y === startY) {
+          break;
+        }
+
+        const left = at(x + (dirx + diry - 1) / 2, y + (diry - dirx - 1) / 2);
+        const right = at(x + (dirx - diry - 1) / 2, y + (diry + dirx - 1) / 2);
+        let turnRight;
+        if (right && !left) {
+          turnRight = !majority(x, y);
+        } else {
+          turnRight = right ? true : !left ? false : null;
+        }
+        if (turnRight === true) {
+          [dirx, diry] = [-diry, dirx];
+        } else if (turnRight === false) {
+          [dirx, diry] = [diry, -dirx];
+        }
+      }
+      return path;
+    };
+
+    // Invert everything right of the path on each of its rows
+    const xorPath = (path) => {
+      let y1 = path.pt[0].y;
+      for (let i = 1; i < path.pt.length; i++) {
+        const { x, y } = path.pt[i];
+        if (y !== y1) {
+          const minY = Math.min(y1, y);
+          for (let j = x; j < path.maxX; j++) {
+            bitmap[minY * width + j] ^= 1;
+          }
+          y1 = y;
+        }
+      }
+    };
+
+    let index = 0;
+    const size = width * height;
+    for (;;) {
+      while (index < size && bitmap[index] !== 1) {
+        index++;
+      }
+      if (index >= size) {
+        break;
+      }
+      const path = findPath(index % width, Math.floor(index / width));
+      xorPath(path);
+      if (Math.abs(path.area) > turdsize) {
+        paths.push(path);
+      }
+    }
+
+    return paths;
+  }
+
+  /**
+   * Modulo that stays positive
+   */
+  mod(a, n) {
+    return a >= n ? a % n : a >= 0 ? a : n - 1 - (-1 - a) % n;
+  }
+
+  /**
+   * Whether b lies in the cyclic interval [a, c)
+   */
+  cyclic(a, b, c) {
+    return a <= c ? a <= b && b < c : a <= b || b < c;
+  }
+
+  /**
+   * Prefix sums of x, y, xy, x², y² along the path, for fast line fitting
+   */
+  calcSums(path) {
+    const x0 = path.pt[0].x;
+    const y0 = path.pt[0].y;
+    path.x0 = x0;
+    path.y0 = y0;
+    path.sums = [{ x: 0, y: 0, xy: 0, x2: 0, y2: 0 }];
+    path.pt.forEach((point, i) => {
+      const x = point.x - x0;
+      const y = point.y - y0;
+      const s = path.sums[i];
+      path.sums.push({ x: s.x + x, y: s.y + y, xy: s.xy + x * y, x2: s.x2 + x * x, y2: s.y2 + y * y });
+    });
+  }
+
+  /**
+   * For every point, the furthest point reachable by a straight line (lon[i]), as in Potrace's calc_lon
+   */
+  calcLon(path) {
+    const pt = path.pt;
+    const n = pt.length;
+    const pivk = new Array(n);
+    const nc = new Array(n);
+    const ct = [0, 0, 0, 0];
+    const sign = Math.sign;
+    const xprod = (a, b) => a.x * b.y - a.y * b.x;
+    path.lon = new Array(n);
+
+    // nc[i]: next corner after i
+    let k = 0;
+    for (let i = n - 1; i >= 0; i--) {
+      if (pt[i].x !== pt[k].x && pt[i].y !== pt[k].y) {
+        k = i + 1;
+      }
+      nc[i] = k;
+    }
+
+    for (let i = n - 1; i >= 0; i--) {
+      ct[0] = ct[1] = ct[2] = ct[3] = 0;
+      let dir = (3 + 3 * (pt[this.mod(i + 1, n)].x - pt[i].x) + (pt[this.mod(i + 1, n)].y - pt[i].y)) / 2;
+      ct[dir]++;
+
+      const constraint = [{ x: 0, y: 0 }, { x: 0, y: 0 }];
+      k = nc[i];
+      let k1 = i;
+      let found = false;
+      for (;;) {
+        dir = (3 + 3 * sign(pt[k].x - pt[k1].x) + sign(pt[k].y - pt[k1].y)) / 2;
+        ct[dir]++;
+
+        // All four directions used: no straight line reaches k
+        if (ct[0] && ct[1] && ct[2] && ct[3]) {
+          pivk[i] = k1;
+          found = true;
+          break;
+        }
+
+        const cur = { x: pt[k].x - pt[i].x, y: pt[k].y - pt[i].y };
+        if (xprod(constraint[0], cur) < 0 || xprod(constraint[1], cur) > 0) {
+          break;
+        }
+
+        if (Math.abs(cur.x) > 1 || Math.abs(cur.y) > 1) {
+          let off = {
+            x: cur.x + ((cur.y >= 0 && (cur.y > 0 || cur.x < 0)) ? 1 : -1),
+            y: cur.y + ((cur.x <= 0 && (cur.x < 0 || cur.y < 0)) ? 1 : -1)
+          };
+          if (xprod(constraint[0], off) >= 0) {
+            constraint[0] = off;
+          }
+          off = {
+            x: cur.x + ((cur.y <= 0 && (cur.y < 0 || cur.x < 0)) ? 1 : -1),
+            y: cur.y + ((cur.x >= 0 && (cur.x > 0 || cur.y < 0)) ? 1 : -1)
+          };
+          if (xprod(constraint[1], off) <= 0) {
+            constraint[1] = off;
+          }
+        }
+
+        k1 = k;
+        k = nc[k1];
+        if (!this.cyclic(k, i, k1)) {
+          break;
+        }
+      }
+
+      if (!found) {
+        // k1 was the last point that fit; find how far past it the line still fits
+        const dk = { x: sign(pt[k].x - pt[k1].x), y: sign(pt[k].y - pt[k1].y) };
+        const cur = { x: pt[k1].x - pt[i].x, y: pt[k1].y - pt[i].y };
+        const a = xprod(constraint[0], cur);
+        const b = xprod(constraint[0], dk);
+        const c = xprod(constraint[1], cur);
+        const d = xprod(constraint[1], dk);
+        let j = 10000000;
+        if (b < 0) {
+          j = Math.floor(a / -b);
+        }
+        if (d > 0) {
+          j = Math.min(j, Math.floor(-c / d));
+        }
+        pivk[i] = this.mod(k1 + j, n);
+      }
+    }
+
+    let j = pivk[n - 1];
+    path.lon[n - 1] = j;
+    for (let i = n - 2; i >= 0; i--) {
+      if (this.cyclic(i + 1, pivk[i], j)) {
+        j = pivk[i];
+      }
+      path.lon[i] = j;
+    }
+    for (let i = n - 1; this.cyclic(this.mod(i + 1, n), j, path.lon[i]); i--) {
+      path.lon[i] = j;
+    }
+  }
+
+  /**
+   * Penalty of the straight segment from point i to point j (Potrace's penalty3)
+   */
+  penalty3(path, i, j) {
+    const n = path.pt.length;
+    const pt = path.pt;
+    const sums = path.sums;
+    let x, y, x2, xy, y2, k;
+
+    if (j >= n) {
+      j -= n;
+      x = sums[j + 1].x - sums[i].x + sums[n].x;
+      y = sums[j + 1].y - sums[i].y + sums[n].y;
+      x2 = sums[j + 1].x2 - sums[i].x2 + sums[n].x2;
+      xy = sums[j + 1].xy - sums[i].xy + sums[n].xy;
+      y2 = sums[j + 1].y2 - sums[i].y2 + sums[n].y2;
+      k = j + 1 - i + n;
+    } else {
+      x = sums[j + 1].x - sums[i].x;
+      y = sums[j + 1].y - sums[i].y;
+      x2 = sums[j + 1].x2 - sums[i].x2;
+      xy = sums[j + 1].xy - sums[i].xy;
+      y2 = sums[j + 1].y2 - sums[i].y2;
+      k = j + 1 - i;
+    }
+
+    const px = (pt[i].x + pt[j].x) / 2 - pt[0].x;
+    const py = (pt[i].y + pt[j].y) / 2 - pt[0].y;
+    const ey = pt[j].x - pt[i].x;
+    const ex = -(pt[j].y - pt[i].y);
+
+    const a = (x2 - 2 * x * px) / k + px * px;
+    const b = (xy - x * py - y * px) / k + px * py;
+    const c = (y2 - 2 * y * py) / k + py * py;
+
+    return Math.sqrt(Math.max(0, ex * ex * a + 2 * ex * ey * b + ey * ey * c));
+  }
+
+  /**
+   * Polygon with the fewest segments, then the smallest penalty, whose segments all
+   * stay within the straight runs found by calcLon (Potrace's bestpolygon); sets path.po
+   */
+  bestPolygon(path) {
+    const n = path.pt.length;
+    const pen = new Array(n + 1);
+    const prev = new Array(n + 1);
+    const clip0 = new Array(n);
+    const clip1 = new Array(n + 1);
+    const seg0 = new Array(n + 1);
+    const seg1 = new Array(n + 1);
+
+    for (let i = 0; i < n; i++) {
+      let c = this.mod(path.lon[this.mod(i - 1, n)] - 1, n);
+      if (c === i) {
+        c = this.mod(i + 1, n);
+      }
+      clip0[i] = c < i ? n : c;
+    }
+
+    let j = 1;
+    for (let i = 0; i < n; i++) {
+      while (j <= clip0[i]) {
+        clip1[j] = i;
+        j++;
+      }
+    }
+
+    let i = 0;
+    for (j = 0; i < n; j++) {
+      seg0[j] = i;
+      i = clip0[i];
+    }
+    seg0[j] = n;
+    const m = j;
+
+    i = n;
+    for (j = m; j > 0; j--) {
+      seg1[j] = i;
+      i = clip1[i];
+    }
+    seg1[0] = 0;
+
+    pen[0] = 0;
+    for (j = 1; j <= m; j++) {
+      for (i = seg1[j]; i <= seg0[j]; i++) {
+        let best = -1;
+        for (let k = seg0[j - 1]; k >= clip1[i]; k--) {
+          const penalty = this.penalty3(path, k, i) + pen[k];
+          if (best < 0 || penalty < best) {
+            prev[i] = k;
+            best = penalty;
+          }
+        }
+        pen[i] = best;
+      }
+    }
+
+    path.po = new Array(m);
+    for (i = n, j = m - 1; i > 0; j--) {
+      i = prev[i];
+      path.po[j] = i;
+    }
+  }
+
+  /**
+   * Center and direction of the best-fitting line through points i..j (Potrace's pointslope)
+   */
+  pointSlope(path, i, j) {
+    const n = path.pt.length;
+    const sums = path.sums;
+    let r = 0;
+
+    while (j >= n) {
+      j -= n;
+      r += 1;
+    }
+    while (i >= n) {
+      i -= n;
+      r -= 1;
+    }
+    while (j < 0) {
+      j += n;
+      r -= 1;
+    }
+    while (i < 0) {
+      i += n;
+      r += 1;
+    }
+
+    const x = sums[j + 1].x - sums[i].x + r * sums[n].x;
+    const y = sums[j + 1].y - sums[i].y + r * sums[n].y;
+    const x2 = sums[j + 1].x2 - sums[i].x2 + r * sums[n].x2;
+    const xy = sums[j + 1].xy - sums[i].xy + r * sums[n].xy;
+    const y2 = sums[j + 1].y2 - sums[i].y2 + r * sums[n].y2;
+    const k = j + 1 - i + r * n;
+
+    const ctr = { x: x / k, y: y / k };
+    let a = (x2 - x * x / k) / k;
+    const b = (xy - x * y / k) / k;
+    let c = (y2 - y * y / k) / k;
+
+    // Eigenvector of the larger eigenvalue
+    const lambda2 = (a + c + Math.sqrt((a - c) * (a - c) + 4 * b * b)) / 2;
+    a -= lambda2;
+    c -= lambda2;
+
+    let dir = { x: 0, y: 0 };
+    if (Math.abs(a) >= Math.abs(c)) {
+      const l = Math.sqrt(a * a + b * b);
+      if (l !== 0) {
+        dir = { x: -b / l, y: a / l };
+      }
+    } else {
+      const l = Math.sqrt(c * c + b * b);
+      if (l !== 0) {
+        dir = { x: -c / l, y: b / l };
+      }
+    }
+
+    return { ctr, dir };
+  }
+
+  /**
+   * Value of the quadratic form Q at point w
+   */
+  quadForm(Q, w) {
+    const v = [w.x, w.y, 1];
+    let sum = 0;
+    for (let l = 0; l < 3; l++) {
+      for (let k = 0; k < 3; k++) {
+        sum += v[l] * Q[l * 3 + k] * v[k];
+      }
+    }
+    return sum;
+  }
+
+  /**
+   * Move each polygon vertex to where the lines fitted to its two neighboring segments
+   * meet, within half a pixel of the original corner (Potrace's adjust_vertices); sets path.curve
+   */
+  adjustVertices(path) {
+    const m = path.po.length;
+    const po = path.po;
+    const n = path.pt.length;
+    const pt = path.pt;
+    const x0 = path.x0;
+    const y0 = path.y0;
+    const q = new Array(m);
+
+    path.curve = this.createCurve(m);
+
+    const lines = [];
+    for (let i = 0; i < m; i++) {
+      let j = po[this.mod(i + 1, m)];
+      j = this.mod(j - po[i], n) + po[i];
+      lines[i] = this.pointSlope(path, po[i], j);
+    }
+
+    // Quadratic form of the squared distance to each fitted line
+    for (let i = 0; i < m; i++) {
+      const { ctr, dir } = lines[i];
+      const d = dir.x * dir.x + dir.y * dir.y;
+      q[i] = new Array(9).fill(0);
+      if (d !== 0) {
+        const v = [dir.y, -dir.x, 0];
+        v[2] = -v[1] * ctr.y - v[0] * ctr.x;
+        for (let l = 0; l < 3; l++) {
+          for (let k = 0; k < 3; k++) {
+            q[i][l * 3 + k] = v[l] * v[k] / d;
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < m; i++) {
+      const s = { x: pt[po[i]].x - x0, y: pt[po[i]].y - y0 };
+      const j = this.mod(i - 1, m);
+      const Q = q[j].map((value, index) => value + q[i][index]);
+      const w = { x: 0, y: 0 };
+
+      for (;;) {
+        const det = Q[0] * Q[4] - Q[1] * Q[3];
+        if (det !== 0) {
+          w.x = (-Q[2] * Q[4] + Q[5] * Q[1]) / det;
+          w.y = (Q[2] * Q[3] - Q[5] * Q[0]) / det;
+          break;
+        }
+
+        // Parallel lines: add a line through the original corner
+        const v = [0, 0, 0];
+        if (Q[0] > Q[4]) {
+          v[0] = -Q[1];
+          v[1] = Q[0];
+        } else if (Q[4]) {
+          v[0] = -Q[4];
+          v[1] = Q[3];
+        } else {
+          v[0] = 1;
+          v[1] = 0;
+        }
+        const d = v[0] * v[0] + v[1] * v[1];
+        v[2] = -v[1] * s.y - v[0] * s.x;
+        for (let l = 0; l < 3; l++) {
+          for (let k = 0; k < 3; k++) {
+            Q[l * 3 + k] += v[l] * v[k] / d;
+          }
+        }
+      }
+
+      if (Math.abs(w.x - s.x) <= 0.5 && Math.abs(w.y - s.y) <= 0.5) {
+        path.curve.vertex[i] = { x: w.x + x0, y: w.y + y0 };
+        continue;
+      }
+
+      // Otherwise the minimum on the unit square around the corner
+      let min = this.quadForm(Q, s);
+      let xmin = s.x;
+      let ymin = s.y;
+
+      if (Q[0] !== 0) {
+        for (let z = 0; z < 2; z++) {
+          const cy = s.y - 0.5 + z;
+          const cx = -(Q[1] * cy + Q[2]) / Q[0];
+          const candidate = this.quadForm(Q, { x: cx, y: cy });
+          if (Math.abs(cx - s.x) <= 0.5 && candidate < min) {
+            min = candidate;
+            xmin = cx;
+            ymin = cy;
+          }
+        }
+      }
+      if (Q[4] !== 0) {
+        for (let z = 0; z < 2; z++) {
+          const cx = s.x - 0.5 + z;
+          const cy = -(Q[3] * cx + Q[5]) / Q[4];
+          const candidate = this.quadForm(Q, { x: cx, y: cy });
+          if (Math.abs(cy - s.y) <= 0.5 && candidate < min) {
+            min = candidate;
+            xmin = cx;
+            ymin = cy;
+          }
+        }
+      }
+      for (let l = 0; l < 2; l++) {
+        for (let k = 0; k < 2; k++) {
+          const corner = { x: s.x - 0.5 + l, y: s.y - 0.5 + k };
+          const candidate = this.quadForm(Q, corner);
+          if (candidate < min) {
+            min = candidate;
+            xmin = corner.x;
+            ymin = corner.y;
+          }
+        }
+      }
+
+      path.curve.vertex[i] = { x: xmin + x0, y: ymin + y0 };
+    }
+  }
+
+  /**
+   * Empty curve of n segments; segment i ends at c[3i + 2] and is a 'CURVE' (cubic Bézier with
+   * controls c[3i], c[3i + 1]) or a 'CORNER' (lines through the vertex c[3i + 1])
+   */
+  createCurve(n) {
+    return {
+      n,
+      tag: new Array(n),
+      c: new Array(n * 3),
+      vertex: new Array(n),
+      alpha: new Array(n),
+      alpha0: new Array(n),
+      beta: new Array(n)
+    };
+  }
+
+  /**
+   * Point at lambda between a and b
+   */
+  interval(lambda, a, b) {
+    return { x: a.x + lambda * (b.x - a.x), y: a.y + lambda * (b.y - a.y) };
+  }
+
+  /**
+   * Area of the parallelogram spanned by p0->p1 and p0->p2
+   */
+  dpara(p0, p1, p2) {
+    return (p1.x - p0.x) * (p2.y - p0.y) - (p2.x - p0.x) * (p1.y - p0.y);
+  }
+
+  /**
+   * Cross product of p0->p1 and p2->p3
+   */
+  cprod(p0, p1, p2, p3) {
+    return (p1.x - p0.x) * (p3.y - p2.y) - (p3.x - p2.x) * (p1.y - p0.y);
+  }
+
+  /**
+   * Dot product of p0->p1 and p0->p2
+   */
+  iprod(p0, p1, p2) {
+    return (p1.x - p0.x) * (p2.x - p0.x) + (p1.y - p0.y) * (p2.y - p0.y);
+  }
+
+  /**
+   * Dot product of p0->p1 and p2->p3
+   */
+  iprod1(p0, p1, p2, p3) {
+    return (p1.x - p0.x) * (p3.x - p2.x) + (p1.y - p0.y) * (p3.y - p2.y);
+  }
+
+  /**
+   * Distance between two points
+   */
+  ddist(p, q) {
+    return Math.hypot(p.x - q.x, p.y - q.y);
+  }
+
+  /**
+   * Point at t on a cubic Bézier
+   */
+  bezier(t, p0, p1, p2, p3) {
+    const s = 1 - t;
+    return {
+      x: s * s * s * p0.x + 3 * (s * s * t) * p1.x + 3 * (t * t * s) * p2.x + t * t * t * p3.x,
+      y: s * s * s * p0.y + 3 * (s * s * t) * p1.y + 3 * (t * t * s) * p2.y + t * t * t * p3.y
+    };
+  }
+
+  /**
+   * Parameter t where the Bézier's tangent is parallel to q0->q1, or -1 if there is none in [0, 1]
+   */
+  tangent(p0, p1, p2, p3, q0, q1) {
+    const A = this.cprod(p0, p1, q0, q1);
+    const B = this.cprod(p1, p2, q0, q1);
+    const C = this.cprod(p2, p3, q0, q1);
+    const a = A - 2 * B + C;
+    const b = -2 * A + 2 * B;
+    const c = A;
+    const d = b * b - 4 * a * c;
+
+    if (a === 0 || d < 0) {
+      return -1;
+    }
+
+    const s = Math.sqrt(d);
+    const r1 = (-b + s) / (2 * a);
+    const r2 = (-b - s) / (2 * a);
+    if (r1 >= 0 && r1 <= 1) {
+      return r1;
+    }
+    if (r2 >= 0 && r2 <= 1) {
+      return r2;
+    }
+    return -1;
+  }
+
+  /**
+   * Turn the polygon into Bézier curves (Potrace's smooth): segments meet at the midpoints of the
+   * polygon edges; vertices whose alpha (how sharply the polygon turns there) reaches alphamax stay corners
+   * @param {Object} curve - From adjustVertices(), vertices oriented by sign
+   * @param {number} alphamax - 0 gives a polygon, 4/3 or more no corners at all
+   */
+  smooth(curve, alphamax) {
+    const m = curve.n;
+    for (let i = 0; i < m; i++) {
+      const j = this.mod(i + 1, m);
+      const k = this.mod(i + 2, m);
+      const p4 = this.interval(0.5, curve.vertex[k], curve.vertex[j]);
+
+      // Potrace's ddenom: distance measure in the L-infinity norm
+      const r = { x: -Math.sign(curve.vertex[k].y - curve.vertex[i].y), y: Math.sign(curve.vertex[k].x - curve.vertex[i].x) };
+      const denom = r.y * (curve.vertex[k].x - curve.vertex[i].x) - r.x * (curve.vertex[k].y - curve.vertex[i].y);
+
+      let alpha;
+      if (denom !== 0) {
+        const dd = Math.abs(this.dpara(curve.vertex[i], curve.vertex[j], curve.vertex[k]) / denom);
+        alpha = (dd > 1 ? (1 - 1 / dd) : 0) / 0.75;
+      } else {
+        alpha = 4 / 3;
+      }
+      curve.alpha0[j] = alpha;
+
+      if (alpha >= alphamax) {
+        curve.tag[j] = 'CORNER';
+        curve.c[3 * j + 1] = curve.vertex[j];
+        curve.c[3 * j + 2] = p4;
+      } else {
+        alpha = Math.min(1, Math.max(0.55, alpha));
+        curve.tag[j] = 'CURVE';
+        curve.c[3 * j] = this.interval(0.5 + 0.5 * alpha, curve.vertex[i], curve.vertex[j]);
+        curve.c[3 * j + 1] = this.interval(0.5 + 0.5 * alpha, curve.vertex[k], curve.vertex[j]);
+        curve.c[3 * j + 2] = p4;
+      }
+      curve.alpha[j] = alpha;
+      curve.beta[j] = 0.5;
+    }
+  }
+
+  /**
+   * Penalty of replacing the curve segments i+1..j by one Bézier (Potrace's opti_penalty)
+   * @returns {Object|null} - { pen, c: [control1, control2], t, s, alpha }, null when not possible
+   */
+  optiPenalty(curve, i, j, opttolerance, convc, areac) {
+    const m = curve.n;
+    const vertex = curve.vertex;
+
+    if (i === j) {
+      return null;
+    }
+
+    // All segments must be curves turning the same way, by less than 179 degrees in total
+    const i1 = this.mod(i + 1, m);
+    let k1 = this.mod(i + 1, m);
+    const conv = convc[k1];
+    if (conv === 0) {
+      return null;
+    }
+    const d = this.ddist(vertex[i], vertex[i1]);
+    for (let k = k1; k !== j; k = k1) {
+      k1 = this.mod(k + 1, m);
+      const k2 = this.mod(k + 2, m);
+      if (convc[k1] !== conv) {
+        return null;
+      }
+      if (Math.sign(this.cprod(vertex[i], vertex[i1], vertex[k1], vertex[k2])) !== conv) {
+        return null;
+      }
+      if (this.iprod1(vertex[i], vertex[i1], vertex[k1], vertex[k2]) < d * this.ddist(vertex[k1], vertex[k2]) * -0.999847695156) {
+        return null;
+      }
+    }
+
+    // The merged curve keeps the end points and tangents, and the enclosed area
+    const p0 = curve.c[this.mod(i, m) * 3 + 2];
+    let p1 = vertex[this.mod(i + 1, m)];
+    let p2 = vertex[this.mod(j, m)];
+    const p3 = curve.c[this.mod(j, m) * 3 + 2];
+
+    let area = areac[j] - areac[i];
+    area -= this.dpara(vertex[0], curve.c[i * 3 + 2], curve.c[j * 3 + 2]) / 2;
+    if (i >= j) {
+      area += areac[m];
+    }
+
+    const A1 = this.dpara(p0, p1, p2);
+    const A2 = this.dpara(p0, p1, p3);
+    const A3 = this.dpara(p0, p2, p3);
+    const A4 = A1 + A3 - A2;
+    if (A2 === A1) {
+      return null;
+    }
+
+    let t = A3 / (A3 - A4);
+    const s = A2 / (A2 - A1);
+    const A = A2 * t / 2;
+    if (A === 0) {
+      return null;
+    }
+
+    const R = area / A;
+    const alpha = 2 - Math.sqrt(4 - R / 0.3);
+    const result = {
+      c: [this.interval(t * alpha, p0, p1), this.interval(s * alpha, p3, p2)],
+      alpha,
+      t,
+      s,
+      pen: 0
+    };
+    p1 = result.c[0];
+    p2 = result.c[1];
+
+    // The new curve must stay within the tolerance of the polygon edges...
+    for (let k = this.mod(i + 1, m); k !== j; k = k1) {
+      k1 = this.mod(k + 1, m);
+      t = this.tangent(p0, p1, p2, p3, vertex[k], vertex[k1]);
+      if (t < -0.5) {
+        return null;
+      }
+      const pt = this.bezier(t, p0, p1, p2, p3);
+      const dk = this.ddist(vertex[k], vertex[k1]);
+      if (dk === 0) {
+        return null;
+      }
+      const d1 = this.dpara(vertex[k], vertex[k1], pt) / dk;
+      if (Math.abs(d1) > opttolerance) {
+        return null;
+      }
+      if (this.iprod(vertex[k], vertex[k1], pt) < 0 || this.iprod(vertex[k1], vertex[k], pt) < 0) {
+        return null;
+      }
+      result.pen += d1 * d1;
+    }
+
+    // ...and of the curves it replaces
+    for (let k = i; k !== j; k = k1) {
+      k1 = this.mod(k + 1, m);
+      t = this.tangent(p0, p1, p2, p3, curve.c[k * 3 + 2], curve.c[k1 * 3 + 2]);
+      if (t < -0.5) {
+        return null;
+      }
+      const pt = this.bezier(t, p0, p1, p2, p3);
+      const dk = this.ddist(curve.c[k * 3 + 2], curve.c[k1 * 3 + 2]);
+      if (dk === 0) {
+        return null;
+      }
+      let d1 = this.dpara(curve.c[k * 3 + 2], curve.c[k1 * 3 + 2], pt) / dk;
+      let d2 = this.dpara(curve.c[k * 3 + 2], curve.c[k1 * 3 + 2], vertex[k1]) / dk;
+      d2 *= 0.75 * curve.alpha[k1];
+      if (d2 < 0) {
+        d1 = -d1;
+        d2 = -d2;
+      }
+      if (d1 < d2 - opttolerance) {
+        return null;
+      }
+      if (d1 < d2) {
+        result.pen += (d1 - d2) * (d1 - d2);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge runs of curve segments into single Béziers where they stay within opttolerance
+   * (Potrace's opticurve): fewest segments first, then the smallest penalty
+   * @returns {Object} - Optimized curve
+   */
+  optiCurve(curve, opttolerance) {
+    const m = curve.n;
+    const vert = curve.vertex;
+    const pt = new Array(m + 1);
+    const pen = new Array(m + 1);
+    const len = new Array(m + 1);
+    const opt = new Array(m + 1);
+    const convc = new Array(m);
+    const areac = new Array(m + 1);
+
+    // Convexity of each vertex: +1, -1, or 0 for corners
+    for (let i = 0; i < m; i++) {
+      convc[i] = curve.tag[i] === 'CURVE'
+        ? Math.sign(this.dpara(vert[this.mod(i - 1, m)], vert[i], vert[this.mod(i + 1, m)]))
+        : 0;
+    }
+
+    // Cumulative area under the curve, for the area-preserving merge
+    let area = 0;
+    areac[0] = 0;
+    const p0 = curve.vertex[0];
+    for (let i = 0; i < m; i++) {
+      const i1 = this.mod(i + 1, m);
+      if (curve.tag[i1] === 'CURVE') {
+        const alpha = curve.alpha[i1];
+        area += 0.3 * alpha * (4 - alpha) * this.dpara(curve.c[i * 3 + 2], vert[i1], curve.c[i1 * 3 + 2]) / 2;
+        area += this.dpara(p0, curve.c[i * 3 + 2], curve.c[i1 * 3 + 2]) / 2;
+      }
+      areac[i + 1] = area;
+    }
+
+    pt[0] = -1;
+    pen[0] = 0;
+    len[0] = 0;
+    for (let j = 1; j <= m; j++) {
+      pt[j] = j - 1;
+      pen[j] = pen[j - 1];
+      len[j] = len[j - 1] + 1;
+      for (let i = j - 2; i >= 0; i--) {
+        const o = this.optiPenalty(curve, i, this.mod(j, m), opttolerance, convc, areac);
+        if (!o) {
+          break;
+        }
+        if (len[j] > len[i] + 1 || (len[j] === len[i] + 1 && pen[j] > pen[i] + o.pen)) {
+          pt[j] = i;
+          pen[j] = pen[i] + o.pen;
+          len[j] = len[i] + 1;
+          opt[j] = o;
+        }
+      }
+    }
+
+    const om = len[m];
+    const optimized = this.createCurve(om);
+    const s = new Array(om);
+    const t = new Array(om);
+
+    let j = m;
+    for (let i = om - 1; i >= 0; i--) {
+      const jm = this.mod(j, m);
+      if (pt[j] === j - 1) {
+        optimized.tag[i] = curve.tag[jm];
+        optimized.c[i * 3] = curve.c[jm * 3];
+        optimized.c[i * 3 + 1] = curve.c[jm * 3 + 1];
+        optimized.c[i * 3 + 2] = curve.c[jm * 3 + 2];
+        optimized.vertex[i] = curve.vertex[jm];
+        optimized.alpha[i] = curve.alpha[jm];
+        optimized.alpha0[i] = curve.alpha0[jm];
+        optimized.beta[i] = curve.beta[jm];
+        s[i] = t[i] = 1;
+      } else {
+        optimized.tag[i] = 'CURVE';
+        optimized.c[i * 3] = opt[j].c[0];
+        optimized.c[i * 3 + 1] = opt[j].c[1];
+        optimized.c[i * 3 + 2] = curve.c[jm * 3 + 2];
+        optimized.vertex[i] = this.interval(opt[j].s, curve.c[jm * 3 + 2], vert[jm]);
+        optimized.alpha[i] = opt[j].alpha;
+        optimized.alpha0[i] = opt[j].alpha;
+        s[i] = opt[j].s;
+        t[i] = opt[j].t;
+      }
+      j = pt[j];
+    }
+
+    for (let i = 0; i < om; i++) {
+      const i1 = this.mod(i + 1, om);
+      optimized.beta[i] = s[i] / (s[i] + t[i1]);
+    }
+
+    return optimized;
+  }
+
+  /**
+   * Path data of one curve: cubic Béziers (C) and corners as two lines (L)
+   */
+  getPathData(curve, format) {
+    const point = (p) => `${format(p.x)} ${format(p.y)}`;
+    let d = `M ${point(curve.c[(curve.n - 1) * 3 + 2])}`;
+    for (let i = 0; i < curve.n; i++) {
+      if (curve.tag[i] === 'CURVE') {
+        d += ` C ${point(curve.c[i * 3])} ${point(curve.c[i * 3 + 1])} ${point(curve.c[i * 3 + 2])}`;
+      } else {
+        d += ` L ${point(curve.c[i * 3 + 1])} L ${point(curve.c[i * 3 + 2])}`;
+      }
+    }
+    return d + ' Z';
+  }
+
+  /**
+   * Render all outlines and holes as one even-odd filled path in the ink color
+   */
+  getCurvesSvg(paths, color, width, height, options) {
+    const format = this.getFormatter(options);
+    const d = paths.map(path => this.getPathData(path.curve, format)).join(' ');
+    const element = d === ''
+      ? ''
+      : `<path fill="${this.getColorString(color)}" stroke="none" fill-rule="evenodd" d="${d}" />`;
+    return this.getSvgString(element, color, width, height, options, 'Black and white tracing');
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * SpriteWriter Class
+ * Combines several SVG icons into one <symbol> sprite, plus an HTML page previewing every icon
+ * with its <use> snippet
+ */
+class SpriteWriter {
+  /**
+   * @param {SVGExporter} exporter - Parses and rewrites the icons
+   */
+  constructor(exporter) {
+    this.exporter = exporter;
+  }
+
+  /**
+   * Build the sprite
+   * @param {Array<Object>} icons - [{ id, svg }], ids from SVGExporter.getIconIds()
+   * @param {Object} options - { title } of the preview page
+   * @returns {Object} - { svg: sprite file, html: preview page }
+   */
+  write(icons, options = {}) {
+    const { title = 'SVG Sprite' } = options;
+    const symbols = icons.map(icon => this.getSymbol(icon.svg, icon.id));
+    const svgRoot = `<svg xmlns="${this.exporter.svgNamespace}" xmlns:xlink="http://www.w3.org/1999/xlink"`;
+
+    const svg = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `${svgRoot}>\n${symbols.join('\n')}\n</svg>\n`;
+
+    // The preview inlines the sprite: browsers do not load <use> references from file:// pages
+    const hiddenSprite = `${svgRoot} aria-hidden="true" style="position: absolute; width: 0; height: 0; overflow: hidden;">\n` +
+      `${symbols.join('\n')}\n</svg>`;
+    const cards = icons.map(icon => {
+      const usage = `<svg width="24" height="24"><use href="sprite.svg#${icon.id}"/></svg>`;
+      return `    <div class="card">
+      <svg class="icon"><use href="#${icon.id}"/></svg>
+      <div class="id">${this.escapeHtml(icon.id)}</div>
+      <code>${this.escapeHtml(usage)}</code>
+    </div>`;
+    }).join('\n');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${this.escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 32px; color: #111827; }
+    p { color: #6b7280; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; }
+    .card { border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px; text-align: center; }
+    .icon { width: 64px; height: 64px; }
+    .id { margin: 8px 0; font-weight: 600; }
+    code { display: block; font-size: 11px; color: #6b7280; word-break: break-all; user-select: all; }
+  </style>
+</head>
+<body>
+  ${hiddenSprite}
+  <h1>${this.escapeHtml(title)}</h1>
+  <p>${icons.length} icons in sprite.svg. Reference one with &lt;use href="sprite.svg#id"/&gt;, or inline the sprite in the page and use href="#id".</p>
+  <div class="grid">
+${cards}
+  </div>
+</body>
+</html>
+`;
+
+    return { svg, html };
+  }
+
+  /**
+   * <symbol> holding an icon's content under its viewBox
+   * CSS classes are inlined, so the classes of different icons cannot clash
+   */
+  getSymbol(svgContent, id) {
+    const tokens = this.exporter.inlineClasses(
+      this.exporter.stripMetadata(this.exporter.tokenizeSvg(this.exporter.applySize(svgContent, { responsive: true })))
+    );
+
+    const rootIndex = tokens.findIndex(token => token.type === 'open' && token.name === 'svg');
+    const root = tokens[rootIndex];
+    const viewBox = root.attributes.find(([name]) => name === 'viewBox')[1];
+    let closeIndex = tokens.length - 1;
+    while (closeIndex > rootIndex && !(tokens[closeIndex].type === 'close' && tokens[closeIndex].name === 'svg')) {
+      closeIndex--;
+    }
+
+    const content = tokens.slice(rootIndex + 1, closeIndex)
+      .filter(token => !(token.type === 'text' && (token.text.trim() === '' || token.text.startsWith('<'))))
+      .map(token => this.exporter.serializeToken(token))
+      .join('');
+
+    return `  <symbol id="${id}" viewBox="${viewBox}">${content}</symbol>`;
+  }
+
+  /**
+   * Escape text for HTML
+   */
+  escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+}
@@ -5,6 +5,26 @@
 class SVGExporter {
   constructor() {
     this.svgNamespace = 'http://www.w3.org/2000/svg';
+    
+    // Length units for width/height, per inch (px depends on the DPI)
+    this.unitsPerInch = {
+      in: 1,
+      cm: 2.54,
+      mm: 25.4,
+      pt: 72,
+      pc: 6
+    };
+    
+    // Component formats for toComponent()
+    this.componentFormats = {
+      react: { extension: 'jsx', label: 'React (JSX)' },
+      'react-ts': { extension: 'tsx', label: 'React (TSX)' },
+      vue: { extension: 'vue', label: 'Vue' },
+      svelte: { extension: 'svelte', label: 'Svelte' }
+    };
+    
+    // Largest canvas side rasterize() will allocate
+    this.maxRasterSize = 16384;
   }
   
   /**
@@ -12,15 +32,15 @@ class SVGExporter {
    * @param {Array<Object>} paths - Array of {d, fill} path objects
    * @param {number} width - SVG width
    * @param {number} height - SVG height
+   * @param {Object} sizing - Optional output size, see getSizeAttributes() (default: width/height in pixels)
    * @returns {string} - Complete SVG document string
    */
-  export(paths, width, height) {
+  export(paths, width, height, sizing = null) {
     try {
       // Start SVG document
       let svg = `<?xml version="1.0" encoding="UTF-8"?>\n`;
       svg += `<svg xmlns="${this.svgNamespace}" `;
-      svg += `width="${width}" `;
-      svg += `height="${height}" `;
+      svg += this.getSizeAttributes(width, height, sizing);
       svg += `viewBox="0 0 ${width} ${height}">\n`;
       
       // Add title and description
@@ -130,6 +150,220 @@ class SVGExporter {
     return `data:image/svg+xml;base64,${base64}`;
   }
   
+  /**
+   * CSS declaration that uses the SVG as background image
+   * @param {string} svgContent - SVG content
+   * @returns {string} - background-image declaration
+   */
+  toCSSBackground(svgContent) {
+    return `background-image: url("${this.toDataURL(svgContent)}");`;
+  }
+  
+  /**
+   * Replace an embedded <image> with links to image files saved next to the SVG
+   * Several files are densities of one image: CSS media queries show the one matching the
+   * screen resolution, like srcset (browsers may still download the hidden ones)
+   * @param {string} svgContent - SVG content
+   * @param {string} imageElement - The <image> element to replace, exactly as in the SVG
+   * @param {Array<Object>} files - [{ href, density }] sorted by density
+   * @returns {string} - SVG linking the files
+   * @throws {ExportError} - If the element is not in the SVG
+   */
+  linkImage(svgContent, imageElement, files) {
+    if (!svgContent.includes(imageElement)) {
+      throw new ExportError('Embedded image not found in the SVG');
+    }
+    
+    const root = this.tokenizeSvg(imageElement)[0];
+    const attributes = root.attributes
+      .filter(([name]) => name !== 'href' && name !== 'xlink:href')
+      .map(([name, value]) => `${name}="${value}"`)
+      .join(' ');
+    
+    let markup;
+    if (files.length === 1) {
+      markup = `<image ${attributes} xlink:href="${this.escapeSvgAttribute(files[0].href)}"/>`;
+    } else {
+      const className = (file) => `density-${String(file.density).replace('.', '_')}x`;
+      const rules = [`    .${files.slice(1).map(className).join(', .')} { display: none; }`];
+      for (let i = 1; i < files.length; i++) {
+        const others = files.filter(file => file !== files[i]).map(className);
+        rules.push(`    @media (min-resolution: ${Math.round((files[i - 1].density + 0.01) * 100) / 100}dppx) { .${others.join(', .')} { display: none; } .${className(files[i])} { display: inline; } }`);
+      }
+      const images = files.map(file =>
+        `  <image class="${className(file)}" ${attributes} xlink:href="${this.escapeSvgAttribute(file.href)}"/>`
+      );
+      markup = `<style>\n${rules.join('\n')}\n  </style>\n${images.join('\n')}`;
+    }
+    
+    return svgContent.replace(imageElement, () => markup);
+  }
+  
+  /**
+   * Size of the SVG in CSS pixels (96 per inch): its width/height, else its viewBox
+   * @param {string} svgContent - SVG content
+   * @returns {Object} - { width, height }
+   * @throws {ExportError} - If the SVG has neither a size nor a viewBox
+   */
+  getPixelSize(svgContent) {
+    const match = svgContent.match(/<svg\b[^>]*>/);
+    if (!match) {
+      throw new ExportError('No <svg> element found');
+    }
+    
+    const attributes = Object.fromEntries(this.tokenizeSvg(match[0])[0].attributes);
+    const viewBox = (attributes.viewBox || '').trim().split(/[\s,]+/).map(Number);
+    const hasViewBox = viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0;
+    const width = this.parseLength(attributes.width);
+    const height = this.parseLength(attributes.height);
+    
+    if (width && height) {
+      return { width: width.value, height: height.value };
+    }
+    if (!hasViewBox) {
+      throw new ExportError('SVG has neither a viewBox nor a pixel size');
+    }
+    // One given dimension scales the other one with the viewBox
+    if (width) {
+      return { width: width.value, height: width.value * viewBox[3] / viewBox[2] };
+    }
+    if (height) {
+      return { width: height.value * viewBox[2] / viewBox[3], height: height.value };
+    }
+    return { width: viewBox[2], height: viewBox[3] };
+  }
+  
+  /**
+   * Pixel size of a raster rendering
+   * @param {string} svgContent - SVG content
+   * @param {Object} options - { scale, width, height, padding }, see rasterize()
+   * @returns {Object} - { width, height } of the image and { drawWidth, drawHeight } of the drawing in it
+   * @throws {ExportError} - If the scale, size or padding is invalid or the size too large
+   */
+  getRasterSize(svgContent, options = {}) {
+    const { scale = 1, width = null, height = null, padding = 0 } = options;
+    
+    for (const value of [width, height]) {
+      if (value !== null && !(Number.isInteger(value) && value > 0)) {
+        throw new ExportError('Width and height must be whole numbers of pixels');
+      }
+    }
+    if (width === null && height === null && !(Number.isFinite(scale) && scale > 0)) {
+      throw new ExportError('Scale must be a positive number');
+    }
+    if (!(padding >= 0 && padding < 0.5)) {
+      throw new ExportError('Padding must be at least 0 and less than 0.5');
+    }
+    
+    const natural = this.getPixelSize(svgContent);
+    let size;
+    if (width !== null && height !== null) {
+      // Exact size: the drawing keeps its aspect ratio and is centered
+      const fit = Math.min(width / natural.width, height / natural.height);
+      size = { width, height, drawWidth: natural.width * fit, drawHeight: natural.height * fit };
+    } else {
+      const factor = width !== null
+        ? width / natural.width
+        : height !== null ? height / natural.height : scale;
+      const outWidth = width !== null ? width : Math.max(1, Math.round(natural.width * factor));
+      const outHeight = height !== null ? height : Math.max(1, Math.round(natural.height * factor));
+      size = { width: outWidth, height: outHeight, drawWidth: outWidth, drawHeight: outHeight };
+    }
+    
+    // Padding shrinks the drawing, the image keeps its size
+    size.drawWidth *= 1 - 2 * padding;
+    size.drawHeight *= 1 - 2 * padding;
+    
+    if (size.width > this.maxRasterSize || size.height > this.maxRasterSize) {
+      throw new ExportError(`${size.width} x ${size.height} px is too large. Images can be at most ${this.maxRasterSize} px wide and high`);
+    }
+    return size;
+  }
+  
+  /**
+   * Filename suffix of a raster size: "@2x" for a multiplier (nothing at 1x), "-512x512" for an
+   * exact size, "-512w" or "-512h" when only the width or height is given
+   * @param {Object} options - { scale, width, height }, see rasterize()
+   * @returns {string}
+   */
+  getRasterSuffix(options = {}) {
+    const { scale = 1, width = null, height = null } = options;
+    
+    if (width !== null && height !== null) {
+      return `-${width}x${height}`;
+    }
+    if (width !== null) {
+      return `-${width}w`;
+    }
+    if (height !== null) {
+      return `-${height}h`;
+    }
+    return scale === 1 ? '' : `@${scale}x`;
+  }
+  
+  /**
+   * Render the SVG to a bitmap image
+   * @param {string} svgContent - SVG content
+   * @param {Object} options - Raster options
+   * @param {number} options.scale - Multiplier of the SVG's pixel size, see getPixelSize() (default 1)
+   * @param {number} options.width - Exact width in pixels; with only one of width/height the other
+   *   follows the aspect ratio, with both the drawing is fitted and centered (scale is then ignored)
+   * @param {number} options.height - Exact height in pixels
+   * @param {number} options.padding - Empty margin around the drawing, as a fraction of each side (default 0)
+   * @param {string} options.type - 'image/png' (default) or 'image/webp'
+   * @param {number} options.quality - Quality of lossy types, 0-1
+   * @param {string} options.background - CSS color filling the image, null for transparent (default)
+   * @returns {Promise<Blob>} - Image file
+   * @throws {ExportError} - If the size is invalid or the SVG cannot be rendered
+   */
+  async rasterize(svgContent, options = {}) {
+    const { type = 'image/png', quality, background = null } = options;
+    const size = this.getRasterSize(svgContent, options);
+    
+    // The browser draws the SVG at exactly the drawing size
+    const sized = this.applySize(svgContent, {
+      unit: 'px',
+      width: size.drawWidth,
+      height: size.drawHeight,
+      lockAspect: false
+    });
+    const url = URL.createObjectURL(new Blob([sized], { type: 'image/svg+xml;charset=utf-8' }));
+    
+    try {
+      const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new ExportError('The SVG cannot be rendered'));
+        img.src = url;
+      });
+      
+      const canvas = document.createElement('canvas');
+      canvas.width = size.width;
+      canvas.height = size.height;
+      const ctx = canvas.getContext('2d');
+      if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, size.width, size.height);
+      }
+      ctx.drawImage(
+        image,
+        (size.width - size.drawWidth) / 2,
+        (size.height - size.drawHeight) / 2,
+        size.drawWidth,
+        size.drawHeight
+      );
+      
+      // toBlob falls back to PNG for types the browser cannot encode
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+      if (!blob || blob.type !== type) {
+        throw new ExportError(`This browser cannot save ${size.width} x ${size.height} px images as ${type}`);
+      }
+      return blob;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+  
   /**
    * Export with custom options
    * @param {Array<Object>} paths - Path objects
@@ -144,13 +378,13 @@ class SVGExporter {
       description = 'Generated by SVGify',
       background = null,
       strokeWidth = 0,
-      strokeColor = 'none'
+      strokeColor = 'none',
+      sizing = null
     } = options;
     
     let svg = `<?xml version="1.0" encoding="UTF-8"?>\n`;
     svg += `<svg xmlns="${this.svgNamespace}" `;
-    svg += `width="${width}" `;
-    svg += `height="${height}" `;
+    svg += this.getSizeAttributes(width, height, sizing);
     svg += `viewBox="0 0 ${width} ${height}">\n`;
     
     svg += `  <title>${this.escapeSvgAttribute(title)}</title>\n`;
@@ -185,6 +419,1727 @@ class SVGExporter {
     return svg;
   }
   
+  /**
+   * Output size of a drawing that is width x height pixels
+   * @param {number} width - Width in pixels (the viewBox width)
+   * @param {number} height - Height in pixels
+   * @param {Object} sizing - Output size options, null for plain pixels
+   * @param {string} sizing.unit - 'px', 'mm', 'cm', 'in' or 'pt' (default 'px')
+   * @param {number} sizing.dpi - Pixels per inch, converts pixels to physical units (default 96)
+   * @param {number} sizing.width - Wanted width in sizing.unit (null: natural size, or from height)
+   * @param {number} sizing.height - Wanted height in sizing.unit (null: natural size, or from width)
+   * @param {boolean} sizing.lockAspect - Keep the aspect ratio; with only one dimension given
+   *   the other follows (default true)
+   * @param {boolean} sizing.responsive - Leave width/height out and keep only the viewBox (default false)
+   * @returns {Object|null} - { width, height, unit, stretch } or null when responsive
+   * @throws {ExportError} - If the unit, DPI or a dimension is invalid
+   */
+  getOutputSize(width, height, sizing = null) {
+    const {
+      unit = 'px',
+      dpi = 96,
+      width: wantedWidth = null,
+      height: wantedHeight = null,
+      lockAspect = true,
+      responsive = false
+    } = sizing || {};
+    
+    if (responsive) {
+      return null;
+    }
+    if (unit !== 'px' && !this.unitsPerInch[unit]) {
+      throw new ExportError(`Unknown unit "${unit}"`);
+    }
+    if (!Number.isFinite(dpi) || dpi <= 0) {
+      throw new ExportError('DPI must be a positive number');
+    }
+    for (const value of [wantedWidth, wantedHeight]) {
+      if (value !== null && !(Number.isFinite(value) && value > 0)) {
+        throw new ExportError('Width and height must be positive numbers');
+      }
+    }
+    
+    // Natural size at the given DPI
+    const toUnit = (px) => unit === 'px' ? px : px / dpi * this.unitsPerInch[unit];
+    let outWidth = toUnit(width);
+    let outHeight = toUnit(height);
+    
+    if (wantedWidth !== null && wantedHeight !== null && !lockAspect) {
+      outWidth = wantedWidth;
+      outHeight = wantedHeight;
+    } else if (wantedWidth !== null) {
+      outHeight = wantedWidth * height / width;
+      outWidth = wantedWidth;
+    } else if (wantedHeight !== null) {
+      outWidth = wantedHeight * width / height;
+      outHeight = wantedHeight;
+    }
+    
+    const round = (n) => Math.round(n * 1000) / 1000;
+    return {
+      width: round(outWidth),
+      height: round(outHeight),
+      unit,
+      // A size with another aspect ratio than the viewBox stretches the drawing
+      stretch: Math.abs(outWidth / outHeight - width / height) > 1e-6
+    };
+  }
+  
+  /**
+   * width/height attributes (with a trailing space) for getOutputSize()
+   * Pixel sizes are written without a unit, as before
+   */
+  getSizeAttributes(width, height, sizing = null) {
+    const size = this.getOutputSize(width, height, sizing);
+    if (!size) {
+      return '';
+    }
+    
+    const suffix = size.unit === 'px' ? '' : size.unit;
+    let attributes = `width="${size.width}${suffix}" height="${size.height}${suffix}" `;
+    if (size.stretch) {
+      attributes += 'preserveAspectRatio="none" ';
+    }
+    return attributes;
+  }
+  
+  /**
+   * Set the output size of an existing SVG document (e.g. ImageTracer output)
+   * A missing viewBox is added from the current pixel width/height first, so the drawing scales
+   * @param {string} svgContent - SVG content
+   * @param {Object} sizing - See getOutputSize()
+   * @returns {string} - SVG with new width/height (or none when responsive)
+   */
+  applySize(svgContent, sizing) {
+    const match = svgContent.match(/<svg\b[^>]*>/);
+    if (!match) {
+      throw new ExportError('No <svg> element found');
+    }
+    
+    const root = this.tokenizeSvg(match[0])[0];
+    const attributes = Object.fromEntries(root.attributes);
+    
+    let viewBox = (attributes.viewBox || '').trim().split(/[\s,]+/).map(Number);
+    if (!(viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0)) {
+      const width = parseFloat(attributes.width);
+      const height = parseFloat(attributes.height);
+      if (!(width > 0 && height > 0)) {
+        throw new ExportError('SVG has neither a viewBox nor a pixel size');
+      }
+      viewBox = [0, 0, width, height];
+    }
+    
+    const size = this.getOutputSize(viewBox[2], viewBox[3], sizing);
+    const suffix = size && size.unit !== 'px' ? size.unit : '';
+    
+    // Size attributes go right after the namespace declarations, viewBox after them
+    root.attributes = root.attributes.filter(([name]) => !['width', 'height', 'viewBox', 'preserveAspectRatio'].includes(name));
+    const sizeAttributes = [];
+    if (size) {
+      sizeAttributes.push(['width', `${size.width}${suffix}`], ['height', `${size.height}${suffix}`]);
+    }
+    sizeAttributes.push(['viewBox', viewBox.join(' ')]);
+    if (size && size.stretch) {
+      sizeAttributes.push(['preserveAspectRatio', 'none']);
+    }
+    const firstOther = root.attributes.findIndex(([name]) => !name.startsWith('xmlns'));
+    root.attributes.splice(firstOther === -1 ? root.attributes.length : firstOther, 0, ...sizeAttributes);
+    
+    return svgContent.replace(match[0], () => this.serializeToken(root));
+  }
+  
+  /**
+   * Length attribute in CSS pixels (96 per inch); unitless and px values are pixels
+   * @returns {Object|null} - { value, physical } or null for missing, relative or invalid lengths
+   */
+  parseLength(value) {
+    const match = String(value || '').trim().match(/^([\d.eE+-]+)\s*(px|in|cm|mm|pt|pc)?$/);
+    if (!match || !(parseFloat(match[1]) > 0)) {
+      return null;
+    }
+    
+    const number = parseFloat(match[1]);
+    const unit = match[2] || 'px';
+    return unit === 'px'
+      ? { value: number, physical: false }
+      : { value: number / this.unitsPerInch[unit] * 96, physical: true };
+  }
+  
+  /**
+   * Optimize an SVG string
+   * Shortens path data, merges adjacent paths with the same attributes, moves shared
+   * attributes into groups or CSS classes, and strips metadata
+   * @param {string} svgString - SVG document (e.g. from ImageTracer.getsvgstring)
+   * @param {Object} options - Optimizer options
+   * @param {number} options.precision - Decimal places of path coordinates (0-8, default 2)
+   * @param {boolean} options.relative - Use relative commands when shorter (default true)
+   * @param {boolean} options.mergePaths - Merge adjacent paths with identical attributes (default true)
+   * @param {boolean} options.hoistAttributes - Move shared attributes to a <g> or CSS classes (default true)
+   * @param {boolean} options.stripMetadata - Remove comments, <title>, <desc>, <metadata> and desc attributes (default true)
+   * @returns {string} - Optimized SVG string
+   */
+  optimize(svgString, options = {}) {
+    const {
+      precision = 2,
+      relative = true,
+      mergePaths = true,
+      hoistAttributes = true,
+      stripMetadata = true
+    } = options;
+    
+    if (!Number.isInteger(precision) || precision < 0 || precision > 8) {
+      throw new ExportError('SVG optimizer precision must be a whole number between 0 and 8');
+    }
+    
+    try {
+      let tokens = this.tokenizeSvg(svgString);
+      
+      if (stripMetadata) {
+        tokens = this.stripMetadata(tokens);
+      }
+      
+      // Rewrite each run of sibling <path/> elements
+      const output = [];
+      let run = [];
+      const flushRun = (parent = null) => {
+        if (run.length > 0) {
+          output.push(...this.optimizePathRun(run, { precision, relative, mergePaths, hoistAttributes }, parent));
+          run = [];
+        }
+      };
+      
+      for (const token of tokens) {
+        // Whitespace between tags is not needed
+        if (token.type === 'text' && token.text.trim() === '') {
+          continue;
+        }
+        if (token.type === 'open' && token.name === 'path' && token.selfClosing) {
+          if (run.length === 0) {
+            run.parentIndex = output.length - 1;
+          }
+          run.push(token);
+          continue;
+        }
+        
+        // A run that is the whole content of a <g> can use that group for shared attributes
+        const previous = output[run.parentIndex];
+        const fillsGroup = token.type === 'close' && token.name === 'g' &&
+          run.parentIndex === output.length - 1 && previous && previous.type === 'open' && previous.name === 'g';
+        flushRun(fillsGroup ? previous : null);
+        output.push(token);
+      }
+      flushRun();
+      
+      if (hoistAttributes) {
+        this.assignClasses(output);
+      }
+      
+      return output.map(token => this.serializeToken(token)).join('');
+      
+    } catch (error) {
+      if (error instanceof ExportError) {
+        throw error;
+      }
+      throw new ExportError(`SVG optimize error: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Split an SVG string into tags, text, comments and declarations
+   * @param {string} svgString - SVG markup
+   * @returns {Array<Object>} - Tokens
+   */
+  tokenizeSvg(svgString) {
+    const tokens = [];
+    const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][\s\S]*?>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+|</g;
+    let match;
+    
+    while ((match = pattern.exec(svgString)) !== null) {
+      const [text, closeName, openName, attributeText, selfClosing] = match;
+      
+      if (text.startsWith('<!--')) {
+        tokens.push({ type: 'comment', text });
+      } else if (closeName) {
+        tokens.push({ type: 'close', name: closeName });
+      } else if (openName) {
+        const attributes = [];
+        const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let attribute;
+        while ((attribute = attributePattern.exec(attributeText)) !== null) {
+          attributes.push([attribute[1], attribute[2] !== undefined ? attribute[2] : attribute[3]]);
+        }
+        tokens.push({ type: 'open', name: openName, attributes, selfClosing: selfClosing === '/' });
+      } else {
+        tokens.push({ type: 'text', text });
+      }
+    }
+    
+    return tokens;
+  }
+  
+  /**
+   * Turn a token back into markup
+   */
+  serializeToken(token) {
+    if (token.type === 'open') {
+      const attributes = token.attributes
+        .map(([name, value]) => ` ${name}="${value.replace(/"/g, '&quot;')}"`)
+        .join('');
+      return `<${token.name}${attributes}${token.selfClosing ? '/>' : '>'}`;
+    }
+    if (token.type === 'close') {
+      return `</${token.name}>`;
+    }
+    return token.text;
+  }
+  
+  /**
+   * Remove comments, <title>, <desc>, <metadata> and editor-only attributes
+   */
+  stripMetadata(tokens) {
+    const removedElements = ['title', 'desc', 'metadata'];
+    const removedAttributes = ['desc', 'version'];
+    const result = [];
+    let skipDepth = 0;
+    
+    for (const token of tokens) {
+      if (skipDepth > 0) {
+        if (token.type === 'open' && !token.selfClosing) {
+          skipDepth++;
+        } else if (token.type === 'close') {
+          skipDepth--;
+        }
+        continue;
+      }
+      
+      if (token.type === 'comment') {
+        continue;
+      }
+      if (token.type === 'open' && removedElements.includes(token.name)) {
+        if (!token.selfClosing) {
+          skipDepth = 1;
+        }
+        continue;
+      }
+      if (token.type === 'open') {
+        token.attributes = token.attributes.filter(([name]) => !removedAttributes.includes(name));
+      }
+      result.push(token);
+    }
+    
+    // Drop the xlink namespace when nothing uses it
+    const usesXlink = result.some(token =>
+      token.type === 'open' && token.attributes.some(([name]) => name.startsWith('xlink:'))
+    );
+    if (!usesXlink) {
+      result.forEach(token => {
+        if (token.type === 'open') {
+          token.attributes = token.attributes.filter(([name]) => name !== 'xmlns:xlink');
+        }
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Optimize a run of sibling <path/> elements
+   * @param {Array<Object>} paths - Path tokens
+   * @param {Object} options - Optimizer options
+   * @param {Object} parent - Open <g> token containing exactly these paths, or null
+   * @returns {Array<Object>} - Replacement tokens
+   */
+  optimizePathRun(paths, options, parent = null) {
+    // Default values that can be dropped
+    const defaults = {
+      'opacity': '1',
+      'fill-opacity': '1',
+      'stroke-opacity': '1',
+      'stroke-width': '1',
+      'fill-rule': 'nonzero'
+    };
+    
+    let items = paths.map(token => {
+      let attributes = [];
+      let d = '';
+      
+      for (const [name, value] of token.attributes) {
+        if (name === 'd') {
+          d = this.optimizePathData(value, options.precision, options.relative);
+        } else if (defaults[name] !== value) {
+          attributes.push([name, this.isColorAttribute(name) ? this.shortenColor(value) : value]);
+        }
+      }
+      
+      // stroke-* attributes only matter when there is a stroke
+      const stroke = attributes.find(([name]) => name === 'stroke');
+      if (!stroke || stroke[1] === 'none') {
+        attributes = attributes.filter(([name]) => !name.startsWith('stroke-'));
+      }
+      
+      const hasId = attributes.some(([name]) => name === 'id');
+      return { attributes, d, hasId, key: JSON.stringify(attributes) };
+    }).filter(item => item.d !== '' || item.hasId);
+    
+    // Merge neighbours that only differ in path data
+    // (not elements with an id, so references stay valid)
+    if (options.mergePaths) {
+      const merged = [];
+      for (const item of items) {
+        const previous = merged[merged.length - 1];
+        if (previous && !previous.hasId && !item.hasId && previous.key === item.key) {
+          // A leading relative "m" is only absolute at the start of a path
+          previous.d += item.d.replace(/^m/, 'M');
+        } else {
+          merged.push({ ...item });
+        }
+      }
+      items = merged;
+    }
+    
+    const toToken = (item, attributes) => ({
+      type: 'open',
+      name: 'path',
+      attributes: [...attributes, ['d', item.d]],
+      selfClosing: true
+    });
+    
+    // Presentation attributes shared by every path move to a wrapping <g>
+    // (opacity is excluded: on a group it would blend the paths together)
+    const inheritable = ['fill', 'stroke', 'stroke-width', 'fill-rule', 'fill-opacity', 'stroke-opacity',
+      'stroke-linejoin', 'stroke-linecap', 'stroke-miterlimit'];
+    if (options.hoistAttributes && (items.length > 1 || parent)) {
+      const shared = items[0].attributes.filter(([name, value]) =>
+        inheritable.includes(name) &&
+        items.every(item => item.attributes.some(([n, v]) => n === name && v === value)) &&
+        !(parent && parent.attributes.some(([n]) => n === name))
+      );
+      const sharedNames = shared.map(([name]) => name);
+      
+      if (shared.length > 0 && parent) {
+        parent.attributes.push(...shared);
+        return items.map(item => toToken(item, item.attributes.filter(([name]) => !sharedNames.includes(name))));
+      }
+      if (shared.length > 0 && items.length > 1) {
+        return [
+          { type: 'open', name: 'g', attributes: shared, selfClosing: false },
+          ...items.map(item => toToken(item, item.attributes.filter(([name]) => !sharedNames.includes(name)))),
+          { type: 'close', name: 'g' }
+        ];
+      }
+    }
+    
+    return items.map(item => toToken(item, item.attributes));
+  }
+  
+  /**
+   * Replace attribute sets repeated on several paths with CSS classes
+   * A class is only used when it makes the file smaller
+   * @param {Array<Object>} tokens - Tokens, changed in place
+   */
+  assignClasses(tokens) {
+    const presentation = ['fill', 'stroke', 'stroke-width', 'opacity', 'fill-rule', 'fill-opacity',
+      'stroke-opacity', 'stroke-linejoin', 'stroke-linecap', 'stroke-miterlimit'];
+    const groups = new Map();
+    
+    tokens.forEach(token => {
+      if (token.type !== 'open' || token.name !== 'path') {
+        return;
+      }
+      const styled = token.attributes.filter(([name]) => presentation.includes(name));
+      if (styled.length === 0 || token.attributes.some(([name]) => name === 'class' || name === 'style')) {
+        return;
+      }
+      const key = styled.map(([name, value]) => `${name}="${value}"`).join(' ');
+      if (!groups.has(key)) {
+        groups.set(key, { styled, tokens: [] });
+      }
+      groups.get(key).tokens.push(token);
+    });
+    
+    const rules = [];
+    groups.forEach(({ styled, tokens: members }, key) => {
+      const className = `c${rules.length.toString(36)}`;
+      const rule = `.${className}{${styled.map(([name, value]) => `${name}:${value}`).join(';')}}`;
+      const savedPerUse = key.length - `class="${className}"`.length;
+      
+      if (members.length * savedPerUse <= rule.length) {
+        return;
+      }
+      
+      rules.push(rule);
+      const names = styled.map(([name]) => name);
+      members.forEach(token => {
+        token.attributes = [['class', className], ...token.attributes.filter(([name]) => !names.includes(name))];
+      });
+    });
+    
+    if (rules.length === 0) {
+      return;
+    }
+    
+    const rootIndex = tokens.findIndex(token => token.type === 'open' && token.name === 'svg');
+    tokens.splice(rootIndex + 1, 0,
+      { type: 'open', name: 'style', attributes: [], selfClosing: false },
+      { type: 'text', text: rules.join('') },
+      { type: 'close', name: 'style' }
+    );
+  }
+  
+  /**
+   * Attributes that hold a color
+   */
+  isColorAttribute(name) {
+    return ['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color', 'color'].includes(name);
+  }
+  
+  /**
+   * Shortest equivalent color: rgb(255,0,0) -> #f00, #aabbcc -> #abc
+   */
+  shortenColor(value) {
+    let hex = null;
+    const rgb = value.match(/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/);
+    if (rgb) {
+      hex = '#' + rgb.slice(1, 4)
+        .map(n => Math.min(255, Number(n)).toString(16).padStart(2, '0'))
+        .join('');
+    } else if (/^#[0-9a-f]{6}$/i.test(value)) {
+      hex = value.toLowerCase();
+    }
+    
+    if (!hex) {
+      return value;
+    }
+    if (hex[1] === hex[2] && hex[3] === hex[4] && hex[5] === hex[6]) {
+      return `#${hex[1]}${hex[3]}${hex[5]}`;
+    }
+    return hex;
+  }
+  
+  /**
+   * Parse path data into absolute commands
+   * H/V become L, S/T become C/Q
+   * @param {string} d - Path data
+   * @returns {Array<Object>} - [{ command, values }] with absolute coordinates
+   */
+  parsePathData(d) {
+    const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const argCounts = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+    const segments = [];
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let lastControl = null; // { command, x, y } for S/T reflection
+    let i = 0;
+    let command = null;
+    
+    while (i < tokens.length) {
+      if (/[a-z]/i.test(tokens[i])) {
+        command = tokens[i++];
+      } else if (command === null) {
+        throw new Error('Path data must start with a command');
+      }
+      
+      const upper = command.toUpperCase();
+      const isRelative = command !== upper;
+      const values = tokens.slice(i, i + argCounts[upper]).map(Number);
+      if (values.length < argCounts[upper]) {
+        break;
+      }
+      i += argCounts[upper];
+      
+      const px = (n) => isRelative ? x + n : n;
+      const py = (n) => isRelative ? y + n : n;
+      let control = null;
+      
+      switch (upper) {
+        case 'M':
+          x = px(values[0]);
+          y = py(values[1]);
+          startX = x;
+          startY = y;
+          segments.push({ command: 'M', values: [x, y] });
+          // Further pairs after a move are lines
+          command = isRelative ? 'l' : 'L';
+          break;
+        case 'L':
+          x = px(values[0]);
+          y = py(values[1]);
+          segments.push({ command: 'L', values: [x, y] });
+          break;
+        case 'H':
+          x = px(values[0]);
+          segments.push({ command: 'L', values: [x, y] });
+          break;
+        case 'V':
+          y = py(values[0]);
+          segments.push({ command: 'L', values: [x, y] });
+          break;
+        case 'C':
+        case 'S': {
+          let c1;
+          if (upper === 'C') {
+            c1 = [px(values[0]), py(values[1])];
+            values.splice(0, 2);
+          } else {
+            c1 = lastControl && lastControl.command === 'C'
+              ? [2 * x - lastControl.x, 2 * y - lastControl.y]
+              : [x, y];
+          }
+          const c2 = [px(values[0]), py(values[1])];
+          x = px(values[2]);
+          y = py(values[3]);
+          segments.push({ command: 'C', values: [...c1, ...c2, x, y] });
+          control = { command: 'C', x: c2[0], y: c2[1] };
+          break;
+        }
+        case 'Q':
+        case 'T': {
+          let c;
+          if (upper === 'Q') {
+            c = [px(values[0]), py(values[1])];
+            values.splice(0, 2);
+          } else {
+            c = lastControl && lastControl.command === 'Q'
+              ? [2 * x - lastControl.x, 2 * y - lastControl.y]
+              : [x, y];
+          }
+          x = px(values[0]);
+          y = py(values[1]);
+          segments.push({ command: 'Q', values: [...c, x, y] });
+          control = { command: 'Q', x: c[0], y: c[1] };
+          break;
+        }
+        case 'A':
+          x = px(values[5]);
+          y = py(values[6]);
+          segments.push({ command: 'A', values: [...values.slice(0, 5), x, y] });
+          break;
+        case 'Z':
+          x = startX;
+          y = startY;
+          segments.push({ command: 'Z', values: [] });
+          break;
+      }
+      
+      lastControl = control;
+    }
+    
+    return segments;
+  }
+  
+  /**
+   * Shorten path data: rounding, relative commands, H/V lines, implicit repeated
+   * commands, and no redundant moves or zero-length lines
+   * @param {string} d - Path data
+   * @param {number} precision - Decimal places
+   * @param {boolean} relative - Allow relative commands
+   * @returns {string} - Optimized path data
+   */
+  optimizePathData(d, precision = 2, relative = true) {
+    const factor = Math.pow(10, precision);
+    const round = (n) => Math.round(n * factor) / factor;
+    const segments = this.parsePathData(d).map(segment => ({
+      command: segment.command,
+      values: segment.command === 'A'
+        ? [...segment.values.slice(0, 5).map((n, k) => k >= 3 ? n : round(n)), round(segment.values[5]), round(segment.values[6])]
+        : segment.values.map(round)
+    }));
+    
+    let out = '';
+    let lastCommand = '';
+    let lastNumber = '';
+    let x = 0, y = 0, startX = 0, startY = 0;
+    
+    const write = (command, numbers) => {
+      const formatted = numbers.map(n => this.formatNumber(n));
+      let text = command === lastCommand && command !== 'M' && command !== 'm' ? '' : command;
+      formatted.forEach((n, k) => {
+        const previous = k === 0 ? (text ? '' : lastNumber) : formatted[k - 1];
+        const needsSeparator = previous !== '' && !n.startsWith('-') &&
+          !(n.startsWith('.') && /[.e]/.test(previous));
+        text += (needsSeparator ? ' ' : '') + n;
+      });
+      out += text;
+      lastCommand = command;
+      lastNumber = formatted.length > 0 ? formatted[formatted.length - 1] : '';
+    };
+    
+    // Absolute or relative form, whichever is shorter
+    const emit = (command, absolute, relativeValues) => {
+      if (!relative) {
+        write(command, absolute);
+        return;
+      }
+      const length = (values) => values.map(n => this.formatNumber(n)).join(' ').length;
+      if (length(relativeValues) < length(absolute)) {
+        write(command.toLowerCase(), relativeValues);
+      } else {
+        write(command, absolute);
+      }
+    };
+    
+    for (let k = 0; k < segments.length; k++) {
+      const { command, values } = segments[k];
+      const next = segments[k + 1];
+      
+      if (command === 'M') {
+        // A move followed by another move (or nothing) draws nothing
+        if (!next || next.command === 'M') {
+          continue;
+        }
+        emit('M', values, [round(values[0] - x), round(values[1] - y)]);
+        x = startX = values[0];
+        y = startY = values[1];
+        continue;
+      }
+      
+      if (command === 'Z') {
+        if (lastCommand.toUpperCase() !== 'Z') {
+          write('z', []);
+        }
+        x = startX;
+        y = startY;
+        continue;
+      }
+      
+      const endX = values[values.length - 2];
+      const endY = values[values.length - 1];
+      const dx = round(endX - x);
+      const dy = round(endY - y);
+      
+      if (command === 'L') {
+        // Zero-length lines and a last line back to the start before "z" are redundant
+        if (dx === 0 && dy === 0) {
+          continue;
+        }
+        if (next && next.command === 'Z' && endX === startX && endY === startY) {
+          continue;
+        }
+        if (dy === 0) {
+          emit('H', [endX], [dx]);
+        } else if (dx === 0) {
+          emit('V', [endY], [dy]);
+        } else {
+          emit('L', values, [dx, dy]);
+        }
+      } else if (command === 'A') {
+        emit('A', values, [...values.slice(0, 5), dx, dy]);
+      } else {
+        const relativeValues = values.map((n, k2) => round(n - (k2 % 2 === 0 ? x : y)));
+        emit(command, values, relativeValues);
+      }
+      
+      x = endX;
+      y = endY;
+    }
+    
+    return out;
+  }
+  
+  /**
+   * Format a number without a leading zero or trailing decimals: 0.50 -> .5
+   */
+  formatNumber(n) {
+    const text = String(n === 0 ? 0 : n);
+    return text.replace(/^(-?)0\./, '$1.');
+  }
+  
+  /**
+   * Convert an SVG document (traced paths or an embedded image) to a standalone PDF
+   * Everything is done locally; no network request is made
+   * @param {string} svgContent - SVG content
+   * @param {Object} options - { pageSize: 'fit'|'a4'|'a3'|'letter'|'legal', dpi, margin }, see PDFWriter.write()
+   * @returns {Promise<Blob>} - PDF file
+   */
+  async toPDF(svgContent, options = {}) {
+    try {
+      return await new PDFWriter().write(this.getDrawing(svgContent), options);
+    } catch (error) {
+      if (error instanceof ExportError) {
+        throw error;
+      }
+      throw new ExportError(`PDF export error: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Build a favicon and app icon set from the SVG (see IconPackWriter)
+   * @param {string} svgContent - SVG content
+   * @param {Object} options - { name, themeColor, background }, see IconPackWriter.write()
+   * @returns {Promise<Blob>} - ZIP file
+   */
+  async toIconPack(svgContent, options = {}) {
+    try {
+      return await new IconPackWriter(this).write(svgContent, options);
+    } catch (error) {
+      if (error instanceof ExportError) {
+        throw error;
+      }
+      throw new ExportError(`Icon pack export error: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Unique ids for icons, derived from their file names ("Arrow Left.png" -> "arrow-left")
+   * Ids are lowercase, start with a letter ("icon-" is prefixed otherwise) and get -2, -3, ... when taken
+   * @param {Array<string>} names - File names, with or without extension
+   * @returns {Array<string>} - Ids in the same order
+   */
+  getIconIds(names) {
+    const used = new Set();
+    return names.map(name => {
+      let id = String(name).split('/').pop().replace(/\.[^.]+$/, '').toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+      if (!/^[a-z]/.test(id)) {
+        id = id ? `icon-${id}` : 'icon';
+      }
+      
+      let candidate = id;
+      for (let n = 2; used.has(candidate); n++) {
+        candidate = `${id}-${n}`;
+      }
+      used.add(candidate);
+      return candidate;
+    });
+  }
+  
+  /**
+   * Combine icons into one <symbol> sprite (see SpriteWriter)
+   * @param {Array<Object>} icons - [{ id, svg }]
+   * @param {Object} options - { title } of the preview page
+   * @returns {Object} - { svg, html }
+   */
+  toSprite(icons, options = {}) {
+    try {
+      return new SpriteWriter(this).write(icons, options);
+    } catch (error) {
+      if (error instanceof ExportError) {
+        throw error;
+      }
+      throw new ExportError(`Sprite export error: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Build a TrueType/WOFF icon font from icons (see FontWriter)
+   * @param {Array<Object>} icons - [{ id, svg }]
+   * @param {Object} options - { name } of the font
+   * @returns {Promise<Object>} - { ttf, woff, css, html, glyphs, skipped }, see FontWriter.write()
+   */
+  async toIconFont(icons, options = {}) {
+    try {
+      return await new FontWriter(this).write(icons, options);
+    } catch (error) {
+      if (error instanceof ExportError) {
+        throw error;
+      }
+      throw new ExportError(`Icon font export error: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Write tracedata as EPS or DXF (see EPSWriter and DXFWriter)
+   * @param {string} format - 'eps' or 'dxf'
+   * @param {Object} tracedata - ImageTracer tracedata
+   * @param {Object} options - Traced options plus { units: 'px'|'mm'|'in', dpi, title }
+   * @returns {Blob} - EPS or DXF file
+   */
+  toCAD(format, tracedata, options = {}) {
+    if (!tracedata) {
+      throw new ExportError(`${format.toUpperCase()} export needs tracedata from a vectorized image`);
+    }
+    
+    try {
+      if (format === 'eps') {
+        return new Blob([new EPSWriter().write(tracedata, options)], { type: 'application/postscript' });
+      }
+      if (format === 'dxf') {
+        return new Blob([new DXFWriter().write(tracedata, options)], { type: 'application/dxf' });
+      }
+    } catch (error) {
+      if (error instanceof ExportError) {
+        throw error;
+      }
+      throw new ExportError(`${format.toUpperCase()} export error: ${error.message}`);
+    }
+    
+    throw new ExportError(`Unknown export format "${format}"`);
+  }
+  
+  /**
+   * Save a Blob under the given filename
+   * @param {Blob} blob - File content
+   * @param {string} filename - Filename including extension
+   */
+  downloadFile(blob, filename) {
+    try {
+      if (typeof saveAs !== 'undefined') {
+        saveAs(blob, filename);
+      } else {
+        this.downloadFallback(blob, filename);
+      }
+    } catch (error) {
+      throw new ExportError(`Download error: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Flatten an SVG document into drawable shapes for PDFWriter
+   * Transforms are applied to the coordinates, quadratic curves and arcs become cubic curves,
+   * and presentation attributes, CSS classes and inherited styles are resolved
+   * @param {string} svgContent - SVG content
+   * @returns {Object} - { width, height, physical, items }, width and height in CSS pixels (96 per inch),
+   *   physical being true when the SVG size is given in absolute units (mm, in, ...); items being
+   *   { type: 'path', segments, fill, stroke, strokeWidth, fillOpacity, strokeOpacity, fillRule } or
+   *   { type: 'image', href, matrix, x, y, width, height, opacity }
+   *   Segments are [{ command: 'M'|'L'|'C'|'Z', values }] in SVG user units (y down)
+   */
+  getDrawing(svgContent) {
+    const tokens = this.tokenizeSvg(svgContent);
+    const root = tokens.find(token => token.type === 'open' && token.name === 'svg');
+    if (!root) {
+      throw new ExportError('No <svg> element found');
+    }
+    
+    const rootAttributes = Object.fromEntries(root.attributes);
+    const viewBox = (rootAttributes.viewBox || '').trim().split(/[\s,]+/).map(Number);
+    const hasViewBox = viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0;
+    const widthLength = this.parseLength(rootAttributes.width);
+    const heightLength = this.parseLength(rootAttributes.height);
+    const width = widthLength ? widthLength.value : (hasViewBox ? viewBox[2] : 300);
+    const height = heightLength ? heightLength.value : (hasViewBox ? viewBox[3] : 150);
+    
+    // viewBox to viewport
+    let rootMatrix = [1, 0, 0, 1, 0, 0];
+    if (hasViewBox) {
+      let scaleX = width / viewBox[2];
+      let scaleY = height / viewBox[3];
+      if (!/^\s*none\b/.test(rootAttributes.preserveAspectRatio || '')) {
+        scaleX = scaleY = Math.min(scaleX, scaleY);
+      }
+      rootMatrix = [scaleX, 0, 0, scaleY, -viewBox[0] * scaleX, -viewBox[1] * scaleY];
+    }
+    
+    // CSS class rules (as written by optimize())
+    const classRules = {};
+    tokens.forEach((token, index) => {
+      if (token.type === 'open' && token.name === 'style' && tokens[index + 1] && tokens[index + 1].type === 'text') {
+        const css = tokens[index + 1].text.replace(/^<!\[CDATA\[|\]\]>$/g, '');
+        for (const rule of css.matchAll(/\.([\w-]+)\s*\{([^}]*)\}/g)) {
+          classRules[rule[1]] = { ...classRules[rule[1]], ...this.parseStyle(rule[2]) };
+        }
+      }
+    });
+    
+    const inherited = ['fill', 'stroke', 'stroke-width', 'fill-rule', 'fill-opacity', 'stroke-opacity', 'visibility'];
+    const skipped = ['defs', 'clipPath', 'mask', 'symbol', 'pattern', 'marker', 'linearGradient',
+      'radialGradient', 'style', 'title', 'desc', 'metadata', 'script'];
+    const items = [];
+    const stack = [{ matrix: rootMatrix, style: { fill: 'black' }, opacity: 1 }];
+    let skipDepth = 0;
+    
+    for (const token of tokens) {
+      if (token.type === 'close') {
+        if (skipDepth > 0) {
+          skipDepth--;
+        } else if (stack.length > 1) {
+          stack.pop();
+        }
+        continue;
+      }
+      if (token.type !== 'open' || token === root) {
+        continue;
+      }
+      if (skipDepth > 0 || skipped.includes(token.name)) {
+        if (!token.selfClosing) {
+          skipDepth++;
+        }
+        continue;
+      }
+      
+      // Resolve this element's style: inherited < attributes < class < style=""
+      const attributes = Object.fromEntries(token.attributes);
+      const parent = stack[stack.length - 1];
+      const own = {};
+      token.attributes.forEach(([name, value]) => {
+        own[name] = value;
+      });
+      (attributes.class || '').split(/\s+/).forEach(name => Object.assign(own, classRules[name]));
+      Object.assign(own, this.parseStyle(attributes.style || ''));
+      
+      const style = { ...parent.style };
+      inherited.forEach(name => {
+        if (own[name] !== undefined && own[name] !== 'inherit') {
+          style[name] = own[name];
+        }
+      });
+      const opacity = parent.opacity * (own.opacity !== undefined ? parseFloat(own.opacity) : 1);
+      const matrix = attributes.transform
+        ? this.multiplyMatrix(parent.matrix, this.parseTransform(attributes.transform))
+        : parent.matrix;
+      const hidden = own.display === 'none';
+      
+      if (!token.selfClosing) {
+        stack.push({ matrix, style, opacity });
+        if (hidden) {
+          stack.pop();
+          skipDepth++;
+        }
+        if (token.name !== 'path' && token.name !== 'image') {
+          continue;
+        }
+      }
+      if (hidden || style.visibility === 'hidden') {
+        continue;
+      }
+      
+      if (token.name === 'image') {
+        const href = attributes.href || attributes['xlink:href'];
+        if (href) {
+          items.push({
+            type: 'image',
+            href,
+            matrix,
+            x: parseFloat(attributes.x) || 0,
+            y: parseFloat(attributes.y) || 0,
+            width: parseFloat(attributes.width) || 0,
+            height: parseFloat(attributes.height) || 0,
+            opacity
+          });
+        }
+        continue;
+      }
+      
+      const segments = this.getShapeSegments(token.name, attributes);
+      if (!segments || segments.length === 0) {
+        continue;
+      }
+      
+      const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+      const fill = this.parseColor(style.fill);
+      const stroke = this.parseColor(style.stroke);
+      const strokeWidth = style['stroke-width'] !== undefined ? parseFloat(style['stroke-width']) : 1;
+      
+      if (!fill && (!stroke || strokeWidth <= 0)) {
+        continue;
+      }
+      
+      items.push({
+        type: 'path',
+        segments: this.transformSegments(segments, matrix),
+        fill,
+        stroke: strokeWidth > 0 ? stroke : null,
+        strokeWidth: strokeWidth * scale,
+        fillOpacity: opacity * (style['fill-opacity'] !== undefined ? parseFloat(style['fill-opacity']) : 1) * (fill ? fill.a : 1),
+        strokeOpacity: opacity * (style['stroke-opacity'] !== undefined ? parseFloat(style['stroke-opacity']) : 1) * (stroke ? stroke.a : 1),
+        fillRule: style['fill-rule'] === 'evenodd' ? 'evenodd' : 'nonzero'
+      });
+    }
+    
+    // Sizes in mm, in, ... already fix the printed size; pixel sizes depend on the DPI
+    const physical = Boolean((widthLength && widthLength.physical) || (heightLength && heightLength.physical));
+    
+    return { width, height, physical, items };
+  }
+  
+  /**
+   * Parse a CSS declaration list ("fill:#fff;stroke:none") into an object
+   */
+  parseStyle(css) {
+    const style = {};
+    css.split(';').forEach(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon > 0) {
+        style[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).trim();
+      }
+    });
+    return style;
+  }
+  
+  /**
+   * Parse a paint value into { r, g, b, a } (0-255 channels, alpha 0-1), or null for none
+   */
+  parseColor(value) {
+    if (!value || value === 'none' || value === 'transparent' || value.startsWith('url(')) {
+      return null;
+    }
+    
+    const named = { black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+      gray: '#808080', grey: '#808080', yellow: '#ffff00', currentColor: '#000000' };
+    value = named[value] || value;
+    
+    let match = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (match) {
+      let hex = match[1];
+      if (hex.length === 3) {
+        hex = hex.split('').map(c => c + c).join('');
+      }
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: 1
+      };
+    }
+    
+    match = value.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+    if (match) {
+      return {
+        r: Math.round(Number(match[1])),
+        g: Math.round(Number(match[2])),
+        b: Math.round(Number(match[3])),
+        a: match[4] !== undefined ? Number(match[4]) : 1
+      };
+    }
+    
+    return { r: 0, g: 0, b: 0, a: 1 };
+  }
+  
+  /**
+   * Parse a transform attribute into a matrix [a, b, c, d, e, f]
+   */
+  parseTransform(transform) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    
+    for (const [, name, args] of transform.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+      const v = args.trim().split(/[\s,]+/).map(Number);
+      let m;
+      
+      switch (name) {
+        case 'matrix':
+          m = v;
+          break;
+        case 'translate':
+          m = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+          break;
+        case 'scale':
+          m = [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0];
+          break;
+        case 'rotate': {
+          const angle = v[0] * Math.PI / 180;
+          const cos = Math.cos(angle);
+          const sin = Math.sin(angle);
+          m = [cos, sin, -sin, cos, 0, 0];
+          if (v.length === 3) {
+            m = this.multiplyMatrix(this.multiplyMatrix([1, 0, 0, 1, v[1], v[2]], m), [1, 0, 0, 1, -v[1], -v[2]]);
+          }
+          break;
+        }
+        case 'skewX':
+          m = [1, 0, Math.tan(v[0] * Math.PI / 180), 1, 0, 0];
+          break;
+        case 'skewY':
+          m = [1, Math.tan(v[0] * Math.PI / 180), 0, 1, 0, 0];
+          break;
+        default:
+          continue;
+      }
+      
+      matrix = this.multiplyMatrix(matrix, m);
+    }
+    
+    return matrix;
+  }
+  
+  /**
+   * Multiply two affine matrices (m1 applied after m2)
+   */
+  multiplyMatrix(m1, m2) {
+    return [
+      m1[0] * m2[0] + m1[2] * m2[1],
+      m1[1] * m2[0] + m1[3] * m2[1],
+      m1[0] * m2[2] + m1[2] * m2[3],
+      m1[1] * m2[2] + m1[3] * m2[3],
+      m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+      m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+  }
+  
+  /**
+   * Outline of a basic shape or path as absolute M/L/C/Z segments
+   */
+  getShapeSegments(name, attributes) {
+    const n = (key) => parseFloat(attributes[key]) || 0;
+    const k = 0.5522847498; // Cubic Bézier circle approximation
+    
+    switch (name) {
+      case 'path':
+        return this.toCubicSegments(this.parsePathData(attributes.d || ''));
+      case 'rect': {
+        const x = n('x'), y = n('y'), w = n('width'), h = n('height');
+        if (w <= 0 || h <= 0) {
+          return null;
+        }
+        // Rounded corners: rx and ry default to each other and are capped at half the size
+        let rx = attributes.rx !== undefined ? n('rx') : n('ry');
+        let ry = attributes.ry !== undefined ? n('ry') : rx;
+        rx = Math.min(Math.max(rx, 0), w / 2);
+        ry = Math.min(Math.max(ry, 0), h / 2);
+        if (rx > 0 && ry > 0) {
+          return this.toCubicSegments(this.parsePathData(
+            `M${x + rx} ${y}H${x + w - rx}A${rx} ${ry} 0 0 1 ${x + w} ${y + ry}` +
+            `V${y + h - ry}A${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h}` +
+            `H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + h - ry}` +
+            `V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`
+          ));
+        }
+        return [
+          { command: 'M', values: [x, y] },
+          { command: 'L', values: [x + w, y] },
+          { command: 'L', values: [x + w, y + h] },
+          { command: 'L', values: [x, y + h] },
+          { command: 'Z', values: [] }
+        ];
+      }
+      case 'circle':
+      case 'ellipse': {
+        const cx = n('cx'), cy = n('cy');
+        const rx = name === 'circle' ? n('r') : n('rx');
+        const ry = name === 'circle' ? n('r') : n('ry');
+        if (rx <= 0 || ry <= 0) {
+          return null;
+        }
+        return [
+          { command: 'M', values: [cx + rx, cy] },
+          { command: 'C', values: [cx + rx, cy + k * ry, cx + k * rx, cy + ry, cx, cy + ry] },
+          { command: 'C', values: [cx - k * rx, cy + ry, cx - rx, cy + k * ry, cx - rx, cy] },
+          { command: 'C', values: [cx - rx, cy - k * ry, cx - k * rx, cy - ry, cx, cy - ry] },
+          { command: 'C', values: [cx + k * rx, cy - ry, cx + rx, cy - k * ry, cx + rx, cy] },
+          { command: 'Z', values: [] }
+        ];
+      }
+      case 'line':
+        return [
+          { command: 'M', values: [n('x1'), n('y1')] },
+          { command: 'L', values: [n('x2'), n('y2')] }
+        ];
+      case 'polygon':
+      case 'polyline': {
+        const points = (attributes.points || '').trim().split(/[\s,]+/).map(Number);
+        const segments = [];
+        for (let i = 0; i + 1 < points.length; i += 2) {
+          segments.push({ command: i === 0 ? 'M' : 'L', values: [points[i], points[i + 1]] });
+        }
+        if (name === 'polygon' && segments.length > 0) {
+          segments.push({ command: 'Z', values: [] });
+        }
+        return segments;
+      }
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Convert parsed path segments to M/L/C/Z only (quadratic curves and arcs become cubic curves)
+   */
+  toCubicSegments(segments) {
+    const result = [];
+    let x = 0, y = 0, startX = 0, startY = 0;
+    
+    for (const { command, values } of segments) {
+      switch (command) {
+        case 'M':
+          [x, y] = values;
+          startX = x;
+          startY = y;
+          result.push({ command, values });
+          break;
+        case 'L':
+        case 'C':
+          result.push({ command, values });
+          x = values[values.length - 2];
+          y = values[values.length - 1];
+          break;
+        case 'Q': {
+          const [qx, qy, ex, ey] = values;
+          result.push({
+            command: 'C',
+            values: [x + 2 / 3 * (qx - x), y + 2 / 3 * (qy - y), ex + 2 / 3 * (qx - ex), ey + 2 / 3 * (qy - ey), ex, ey]
+          });
+          x = ex;
+          y = ey;
+          break;
+        }
+        case 'A':
+          result.push(...this.arcToCubic(x, y, ...values));
+          x = values[5];
+          y = values[6];
+          break;
+        case 'Z':
+          result.push({ command, values });
+          x = startX;
+          y = startY;
+          break;
+      }
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Convert an SVG elliptical arc to cubic Bézier segments (at most 90° each)
+   */
+  arcToCubic(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    if (rx === 0 || ry === 0) {
+      return [{ command: 'L', values: [x2, y2] }];
+    }
+    if (x1 === x2 && y1 === y2) {
+      return [];
+    }
+    
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    
+    // Endpoint to center parameterization (SVG spec, appendix B.2.4)
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+    
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+    
+    const sign = Number(largeArc) === Number(sweep) ? -1 : 1;
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coefficient = sign * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coefficient * (rx * y1p / ry);
+    const cyp = coefficient * -(ry * x1p / rx);
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+    
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!Number(sweep) && delta > 0) {
+      delta -= 2 * Math.PI;
+    } else if (Number(sweep) && delta < 0) {
+      delta += 2 * Math.PI;
+    }
+    
+    const count = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+    const step = delta / count;
+    const t = 4 / 3 * Math.tan(step / 4);
+    const point = (a) => [
+      cx + rx * Math.cos(a) * cos - ry * Math.sin(a) * sin,
+      cy + rx * Math.cos(a) * sin + ry * Math.sin(a) * cos
+    ];
+    const derivative = (a) => [
+      -rx * Math.sin(a) * cos - ry * Math.cos(a) * sin,
+      -rx * Math.sin(a) * sin + ry * Math.cos(a) * cos
+    ];
+    
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+      const a1 = theta1 + i * step;
+      const a2 = a1 + step;
+      const [px1, py1] = point(a1);
+      const [px2, py2] = i === count - 1 ? [x2, y2] : point(a2);
+      const [dx1, dy1] = derivative(a1);
+      const [dx2, dy2] = derivative(a2);
+      segments.push({
+        command: 'C',
+        values: [px1 + t * dx1, py1 + t * dy1, px2 - t * dx2, py2 - t * dy2, px2, py2]
+      });
+    }
+    
+    return segments;
+  }
+  
+  /**
+   * Apply an affine matrix to M/L/C/Z segments
+   */
+  transformSegments(segments, m) {
+    const identity = m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && m[4] === 0 && m[5] === 0;
+    if (identity) {
+      return segments;
+    }
+    
+    return segments.map(({ command, values }) => {
+      const transformed = [];
+      for (let i = 0; i < values.length; i += 2) {
+        transformed.push(
+          m[0] * values[i] + m[2] * values[i + 1] + m[4],
+          m[1] * values[i] + m[3] * values[i + 1] + m[5]
+        );
+      }
+      return { command, values: transformed };
+    });
+  }
+  
+  /**
+   * Convert an SVG document to a React (JSX/TSX), Vue or Svelte component
+   * The root keeps its viewBox; width, height and className (class in Svelte) become props that
+   * default to the SVG's own size, other props are passed to the <svg> element
+   * @param {string} svgContent - SVG content
+   * @param {Object} options - Component options
+   * @param {string} options.framework - 'react', 'react-ts', 'vue' or 'svelte'
+   * @param {string} options.name - Component name (made a valid identifier)
+   * @returns {string} - Component source
+   */
+  toComponent(svgContent, options = {}) {
+    const { framework = 'react', name = 'SvgImage' } = options;
+    if (!this.componentFormats[framework]) {
+      throw new ExportError(`Unknown component format "${framework}"`);
+    }
+    
+    const root = (svgContent.match(/<svg\b[^>]*>/) || [])[0];
+    if (!root) {
+      throw new ExportError('No <svg> element found');
+    }
+    
+    // Default size: the SVG's own width/height (numbers stay numbers)
+    const rootAttributes = Object.fromEntries(this.tokenizeSvg(root)[0].attributes);
+    const defaultSize = (value) => {
+      if (value === undefined) {
+        return undefined;
+      }
+      return /^\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value.trim();
+    };
+    const props = {
+      name: this.toComponentName(name),
+      width: defaultSize(rootAttributes.width),
+      height: defaultSize(rootAttributes.height)
+    };
+    
+    // Size comes from the props, so only the viewBox is kept
+    const tokens = this.inlineClasses(this.tokenizeSvg(this.applySize(svgContent, { responsive: true })));
+    
+    if (framework === 'vue') {
+      return this.getVueComponent(tokens, props);
+    }
+    if (framework === 'svelte') {
+      return this.getSvelteComponent(tokens, props);
+    }
+    return this.getReactComponent(tokens, props, framework === 'react-ts');
+  }
+  
+  /**
+   * File extension of a component format
+   */
+  getComponentExtension(framework) {
+    if (!this.componentFormats[framework]) {
+      throw new ExportError(`Unknown component format "${framework}"`);
+    }
+    return this.componentFormats[framework].extension;
+  }
+  
+  /**
+   * PascalCase component name from a file name: "my-logo 2" -> "MyLogo2"
+   */
+  toComponentName(name) {
+    const pascal = String(name || '')
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map(part => part[0].toUpperCase() + part.slice(1))
+      .join('');
+    
+    if (!pascal) {
+      return 'SvgImage';
+    }
+    return /^\d/.test(pascal) ? `Svg${pascal}` : pascal;
+  }
+  
+  /**
+   * Barrel file re-exporting components
+   * @param {Array<Object>} components - [{ name, path }], path relative to the index file with extension
+   * @param {string} framework - Component format
+   * @returns {Object} - { filename, content }
+   */
+  getComponentIndex(components, framework) {
+    const isReact = framework === 'react' || framework === 'react-ts';
+    const lines = components.map(({ name, path }) => {
+      // Bundlers resolve .jsx/.tsx without an extension; .vue and .svelte need it
+      const source = isReact ? path.replace(/\.[jt]sx$/, '') : path;
+      return `export { default as ${name} } from './${source}';`;
+    });
+    
+    return {
+      filename: framework === 'react-ts' ? 'index.ts' : 'index.js',
+      content: lines.join('\n') + '\n'
+    };
+  }
+  
+  /**
+   * Copy CSS class rules (as written by optimize()) onto the elements and drop the <style> element,
+   * since Vue templates cannot contain <style> and attributes are easier to edit anyway
+   */
+  inlineClasses(tokens) {
+    const rules = {};
+    const result = [];
+    
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'open' && token.name === 'style' && !token.selfClosing) {
+        while (i + 1 < tokens.length && !(tokens[i + 1].type === 'close' && tokens[i + 1].name === 'style')) {
+          i++;
+          const css = (tokens[i].text || '').replace(/^<!\[CDATA\[|\]\]>$/g, '');
+          for (const rule of css.matchAll(/\.([\w-]+)\s*\{([^}]*)\}/g)) {
+            rules[rule[1]] = { ...rules[rule[1]], ...this.parseStyle(rule[2]) };
+          }
+        }
+        i++; // </style>
+        continue;
+      }
+      result.push(token);
+    }
+    
+    return result.map(token => {
+      if (token.type !== 'open') {
+        return token;
+      }
+      const classAttribute = token.attributes.find(([name]) => name === 'class');
+      if (!classAttribute) {
+        return token;
+      }
+      
+      const names = classAttribute[1].split(/\s+/).filter(Boolean);
+      const remaining = names.filter(className => !rules[className]);
+      const attributes = token.attributes.filter(([name]) => name !== 'class');
+      names.forEach(className => {
+        Object.entries(rules[className] || {}).forEach(([property, value]) => {
+          if (!attributes.some(([name]) => name === property)) {
+            attributes.push([property, value]);
+          }
+        });
+      });
+      if (remaining.length > 0) {
+        attributes.push(['class', remaining.join(' ')]);
+      }
+      
+      return { ...token, attributes };
+    });
+  }
+  
+  /**
+   * Indented component markup from SVG tokens
+   * Comments, declarations and whitespace are dropped; editor namespaces (inkscape:, sodipodi:)
+   * and xmlns:* declarations are removed and xlink:href becomes href
+   * @param {Array<Object>} tokens - SVG tokens
+   * @param {Function} formatAttribute - ([name, value]) => markup or null to drop the attribute
+   * @param {string} rootProps - Extra markup for the root <svg> (the size props)
+   * @param {string} indent - Indentation of the root element
+   */
+  getComponentMarkup(tokens, formatAttribute, rootProps, indent) {
+    const lines = [];
+    let depth = 0;
+    let isRoot = true;
+    
+    // Curly braces are expressions in JSX and Svelte, and {{ }} in Vue; entities keep them literal
+    const escapeBraces = (text) => text.replace(/\{/g, '&#123;').replace(/\}/g, '&#125;');
+    
+    const openTag = (token) => {
+      const attributes = token.attributes
+        .filter(([name]) => name === 'xlink:href' || name === 'xml:space' || !name.includes(':'))
+        .filter(([name]) => !name.startsWith('xmlns:'))
+        .map(([name, value]) => formatAttribute([name === 'xlink:href' ? 'href' : name, escapeBraces(value)]))
+        .filter(Boolean);
+      if (isRoot) {
+        attributes.push(rootProps);
+        isRoot = false;
+      }
+      return `<${token.name}${attributes.length > 0 ? ' ' + attributes.join(' ') : ''}`;
+    };
+    
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const pad = indent + '  '.repeat(depth);
+      
+      if (token.type === 'open') {
+        const next = tokens[i + 1];
+        const after = tokens[i + 2];
+        if (token.selfClosing) {
+          lines.push(`${pad}${openTag(token)} />`);
+        } else if (next && next.type === 'text' && after && after.type === 'close' && after.name === token.name) {
+          // <title>Text</title> stays on one line
+          lines.push(`${pad}${openTag(token)}>${escapeBraces(next.text.trim())}</${token.name}>`);
+          i += 2;
+        } else {
+          lines.push(`${pad}${openTag(token)}>`);
+          depth++;
+        }
+      } else if (token.type === 'close') {
+        depth = Math.max(0, depth - 1);
+        lines.push(`${indent + '  '.repeat(depth)}</${token.name}>`);
+      } else if (token.type === 'text' && token.text.trim() !== '' && !token.text.startsWith('<')) {
+        lines.push(`${pad}${escapeBraces(token.text.trim())}`);
+      }
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * React function component (JSX, or TSX with typed props)
+   */
+  getReactComponent(tokens, props, typescript) {
+    const formatAttribute = ([name, value]) => {
+      if (name === 'style') {
+        const style = Object.entries(this.parseStyle(this.unescapeSvgAttribute(value)))
+          .map(([property, styleValue]) => `${this.toCamelCase(property)}: ${JSON.stringify(styleValue)}`)
+          .join(', ');
+        return `style={{ ${style} }}`;
+      }
+      return `${this.toReactAttributeName(name)}="${value}"`;
+    };
+    
+    const parameters = [
+      props.width === undefined ? 'width' : `width = ${JSON.stringify(props.width)}`,
+      props.height === undefined ? 'height' : `height = ${JSON.stringify(props.height)}`,
+      'className',
+      '...props'
+    ].join(', ');
+    const signature = typescript
+      ? `{ ${parameters} }: React.SVGProps<SVGSVGElement>`
+      : `{ ${parameters} }`;
+    
+    const markup = this.getComponentMarkup(
+      tokens,
+      formatAttribute,
+      'width={width} height={height} className={className} {...props}',
+      '    '
+    );
+    
+    return `import * as React from 'react';\n\n` +
+      `export default function ${props.name}(${signature}) {\n` +
+      `  return (\n${markup}\n  );\n}\n`;
+  }
+  
+  /**
+   * Vue single-file component (<script setup>)
+   */
+  getVueComponent(tokens, props) {
+    const sizeProp = (value) => `{ type: [Number, String], default: ${value === undefined ? 'undefined' : JSON.stringify(value)} }`;
+    const markup = this.getComponentMarkup(
+      tokens,
+      ([name, value]) => `${name}="${value}"`,
+      ':width="width" :height="height" :class="className"',
+      '  '
+    );
+    
+    return `<script setup>\n` +
+      `defineOptions({ name: '${props.name}' });\n\n` +
+      `defineProps({\n` +
+      `  width: ${sizeProp(props.width)},\n` +
+      `  height: ${sizeProp(props.height)},\n` +
+      `  className: { type: String, default: undefined }\n` +
+      `});\n` +
+      `</script>\n\n` +
+      `<template>\n${markup}\n</template>\n`;
+  }
+  
+  /**
+   * Svelte component; other attributes are forwarded with $$restProps
+   */
+  getSvelteComponent(tokens, props) {
+    const markup = this.getComponentMarkup(
+      tokens,
+      ([name, value]) => `${name}="${value}"`,
+      '{width} {height} class={className} {...$$restProps}',
+      ''
+    );
+    
+    return `<script>\n` +
+      `  export let width = ${props.width === undefined ? 'undefined' : JSON.stringify(props.width)};\n` +
+      `  export let height = ${props.height === undefined ? 'undefined' : JSON.stringify(props.height)};\n` +
+      `  let className = undefined;\n` +
+      `  export { className as class };\n` +
+      `</script>\n\n` +
+      `${markup}\n`;
+  }
+  
+  /**
+   * SVG attribute name as a React prop: fill-rule -> fillRule, class -> className, xml:space -> xmlSpace
+   * data-* and aria-* stay as they are
+   */
+  toReactAttributeName(name) {
+    if (name === 'class') {
+      return 'className';
+    }
+    if (name.startsWith('data-') || name.startsWith('aria-')) {
+      return name;
+    }
+    return this.toCamelCase(name.replace(':', '-'));
+  }
+  
+  /**
+   * Hyphenated name to camelCase
+   */
+  toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+  }
+  
+  /**
+   * List the color layers of a layered SVG (<g id="layer-N" data-color="...">)
+   * @param {string} svgContent - SVG content
+   * @returns {Array<Object>} - [{ index, color, name }]
+   */
+  getLayers(svgContent) {
+    const layers = [];
+    const pattern = /<g\b[^>]*\bid="layer-(\d+)"[^>]*>/g;
+    let match;
+    
+    while ((match = pattern.exec(svgContent)) !== null) {
+      const color = match[0].match(/\bdata-color="([^"]*)"/);
+      const name = match[0].match(/\bdata-name="([^"]*)"/);
+      layers.push({
+        index: Number(match[1]),
+        color: color ? color[1] : null,
+        name: name ? this.unescapeSvgAttribute(name[1]) : ''
+      });
+    }
+    
+    return layers;
+  }
+  
+  /**
+   * Name a color layer
+   * Written as data-name and as an Inkscape layer label, so editors show it in their layer list
+   * @param {string} svgContent - Layered SVG content
+   * @param {number} index - Layer index (N in id="layer-N")
+   * @param {string} name - New name, empty to remove it
+   * @returns {string} - Updated SVG content
+   */
+  setLayerName(svgContent, index, name) {
+    const namespace = 'http://www.inkscape.org/namespaces/inkscape';
+    const labelAttributes = /\s(?:data-name|inkscape:label|inkscape:groupmode)="[^"]*"/g;
+    const pattern = new RegExp(`<g\\b([^>]*\\bid="layer-${index}"[^>]*?)(\\/?)>`);
+    
+    let result = svgContent.replace(pattern, (tag, attributes, selfClosing) => {
+      let updated = attributes.replace(labelAttributes, '');
+      if (name) {
+        const value = this.escapeSvgAttribute(name);
+        updated += ` data-name="${value}" inkscape:groupmode="layer" inkscape:label="${value}"`;
+      }
+      return `<g${updated}${selfClosing}>`;
+    });
+    
+    // Declare the Inkscape namespace on the root element once
+    if (/\sinkscape:/.test(result) && !/xmlns:inkscape=/.test(result)) {
+      result = result.replace(/<svg\b/, `<svg xmlns:inkscape="${namespace}"`);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Reverse escapeSvgAttribute()
+   */
+  unescapeSvgAttribute(str) {
+    return str
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+  
   /**
    * Calculate SVG file size
    * @param {string} svgContent - SVG content
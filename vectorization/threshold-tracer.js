@@ -0,0 +1,151 @@
+/**
+ * ThresholdTracer Class
+ * Base class of the tracers that work on a black-and-white version of the image
+ * (CenterlineTracer, PotraceTracer): thresholding, progress events and the SVG shell,
+ * with the same { stage, percentage } progress events and { svg, tracedata } result as TracerPipeline
+ */
+class ThresholdTracer {
+  /**
+   * @param {Function} onProgress - Called with { stage, percentage }
+   */
+  constructor(onProgress = null) {
+    this.onProgress = onProgress;
+
+    // Stage indexes, matching ProgressModal.stages
+    this.STAGE_QUANTIZE = 0;
+    this.STAGE_LAYERING = 1;
+    this.STAGE_TRACING = 2;
+    this.STAGE_RENDERING = 3;
+    this.STAGE_COMPLETE = 4;
+  }
+
+  /**
+   * Report progress
+   */
+  report(stage, percentage) {
+    if (this.onProgress) {
+      this.onProgress({ stage, percentage: Math.min(100, Math.max(0, percentage)) });
+    }
+  }
+
+  /**
+   * Split pixels into ink and background; pixels are composited over white first
+   * @param {Object} imgd - RGBA pixels
+   * @param {number} threshold - Luminance 1-255 below which a pixel is ink, 0 for Otsu's method
+   * @param {boolean} smallerSideIsInk - Swap ink and background when most pixels are ink
+   *   (light lines on a dark background)
+   * @returns {Object} - { ink: Uint8Array (1 = ink), color: { r, g, b } average ink color }
+   */
+  binarize(imgd, threshold, smallerSideIsInk = false) {
+    const { width, height, data } = imgd;
+    const count = width * height;
+    const luminance = new Uint8Array(count);
+    const histogram = new Array(256).fill(0);
+
+    for (let i = 0; i < count; i++) {
+      const alpha = data[i * 4 + 3] / 255;
+      const value = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+      luminance[i] = Math.round(255 - (255 - value) * alpha);
+      histogram[luminance[i]]++;
+    }
+
+    const limit = threshold > 0 ? threshold : this.otsuThreshold(histogram, count);
+    const ink = new Uint8Array(count);
+    let inkCount = 0;
+    for (let i = 0; i < count; i++) {
+      if (luminance[i] < limit) {
+        ink[i] = 1;
+        inkCount++;
+      }
+    }
+
+    if (smallerSideIsInk && inkCount > count / 2) {
+      for (let i = 0; i < count; i++) {
+        ink[i] = 1 - ink[i];
+      }
+      inkCount = count - inkCount;
+    }
+
+    const sum = { r: 0, g: 0, b: 0 };
+    for (let i = 0; i < count; i++) {
+      if (ink[i]) {
+        sum.r += data[i * 4];
+        sum.g += data[i * 4 + 1];
+        sum.b += data[i * 4 + 2];
+      }
+    }
+    const n = Math.max(1, inkCount);
+    const color = { r: Math.round(sum.r / n), g: Math.round(sum.g / n), b: Math.round(sum.b / n) };
+
+    return { ink, color };
+  }
+
+  /**
+   * Threshold that best separates a luminance histogram into two classes (Otsu's method)
+   */
+  otsuThreshold(histogram, count) {
+    let total = 0;
+    for (let i = 0; i < 256; i++) {
+      total += i * histogram[i];
+    }
+
+    let best = 128;
+    let bestVariance = -1;
+    let backgroundCount = 0;
+    let backgroundSum = 0;
+    for (let t = 0; t < 256; t++) {
+      backgroundCount += histogram[t];
+      backgroundSum += t * histogram[t];
+      const foregroundCount = count - backgroundCount;
+      if (backgroundCount === 0 || foregroundCount === 0) {
+        continue;
+      }
+      const difference = backgroundSum / backgroundCount - (total - backgroundSum) / foregroundCount;
+      const variance = backgroundCount * foregroundCount * difference * difference;
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        best = t + 1; // Pixels below are ink
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Coordinate formatter honoring the scale and roundcoords options (-1 = no rounding)
+   */
+  getFormatter(options) {
+    const scale = options.scale || 1;
+    const roundcoords = options.roundcoords === undefined ? 1 : options.roundcoords;
+    const factor = Math.pow(10, roundcoords);
+    return (n) => String(roundcoords === -1 ? n * scale : Math.round(n * scale * factor) / factor);
+  }
+
+  /**
+   * Wrap paths in an <svg> like ImageTracer.getsvgstring() does; with the layered option
+   * they go in a <g id="layer-0">, as TracerPipeline.getLayeredSvgString() does for palette colors
+   * @param {string} paths - Path elements
+   * @param {Object} color - { r, g, b } ink color
+   * @param {string} desc - Value of the desc attribute
+   */
+  getSvgString(paths, color, width, height, options, desc) {
+    const scale = options.scale || 1;
+    const w = width * scale;
+    const h = height * scale;
+    const svgstr = '<svg ' + (options.viewbox ? `viewBox="0 0 ${w} ${h}" ` : `width="${w}" height="${h}" `) +
+      `version="1.1" xmlns="http://www.w3.org/2000/svg" desc="${desc}" >`;
+
+    if (options.layered && paths !== '') {
+      const hex = (n) => n.toString(16).padStart(2, '0');
+      paths = `<g id="layer-0" data-color="#${hex(color.r)}${hex(color.g)}${hex(color.b)}">${paths}</g>`;
+    }
+
+    return svgstr + paths + '</svg>';
+  }
+
+  /**
+   * SVG color value of the ink color, in ImageTracer's rgb() notation
+   */
+  getColorString(color) {
+    return `rgb(${color.r},${color.g},${color.b})`;
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * TracedataWriter Class
+ * Base class of the exporters that work from ImageTracer's tracedata instead of the SVG string
+ * (EPSWriter, DXFWriter): walks the traced contours and converts pixel coordinates to output units
+ */
+class TracedataWriter {
+  constructor() {
+    // Output units and their size in inches (null: one unit per traced pixel)
+    this.unitSizes = {
+      px: null,
+      mm: 1 / 25.4,
+      in: 1
+    };
+  }
+
+  /**
+   * Check and complete writer options
+   * @param {Object} options - Traced options ({ scale, linefilter, strokewidth }) plus { units, dpi }
+   * @returns {Object} - Options with defaults
+   * @throws {ExportError} - If the units or DPI are invalid
+   */
+  resolveOptions(options = {}) {
+    const resolved = {
+      units: 'px',
+      dpi: 96,
+      scale: 1,
+      linefilter: false,
+      strokewidth: 1,
+      ...options
+    };
+
+    if (!(resolved.units in this.unitSizes)) {
+      throw new ExportError(`Unknown units "${resolved.units}". Use px, mm or in`);
+    }
+    if (!Number.isFinite(resolved.dpi) || resolved.dpi <= 0) {
+      throw new ExportError('DPI must be a positive number');
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Size of one traced pixel in output units
+   */
+  getUnitScale(options) {
+    const inches = this.unitSizes[options.units];
+    return inches === null ? options.scale : options.scale / options.dpi / inches;
+  }
+
+  /**
+   * Visible shapes of the tracedata, in drawing order, the way ImageTracer renders them to SVG:
+   * each outer path with its holes (reversed), fully transparent colors left out
+   * @param {Object} tracedata - ImageTracer tracedata
+   * @param {Object} options - Resolved options
+   * @returns {Array<Object>} - [{ layer, color: { r, g, b, a }, contours }], every contour being
+   *   { start: [x, y], segments: [{ type: 'L', to } | { type: 'Q', control, to }] } in pixels
+   */
+  getShapes(tracedata, options) {
+    const shapes = [];
+
+    tracedata.layers.forEach((layer, layerIndex) => {
+      const color = tracedata.palette[layerIndex];
+      if (color.a === 0) {
+        return;
+      }
+
+      layer.forEach(path => {
+        if (path.isholepath || path.segments.length === 0) {
+          return;
+        }
+        if (options.linefilter && path.segments.length < 3) {
+          return;
+        }
+
+        const contours = [this.getContour(path.segments)];
+        path.holechildren.forEach(holeIndex => {
+          const hole = layer[holeIndex];
+          if (hole && hole.segments.length > 0) {
+            contours.push(this.getReversedContour(hole.segments));
+          }
+        });
+
+        shapes.push({ layer: layerIndex, color, contours });
+      });
+    });
+
+    return shapes;
+  }
+
+  /**
+   * Contour of a path, as traced
+   */
+  getContour(segments) {
+    return {
+      start: [segments[0].x1, segments[0].y1],
+      segments: segments.map(segment => segment.type === 'Q'
+        ? { type: 'Q', control: [segment.x2, segment.y2], to: [segment.x3, segment.y3] }
+        : { type: 'L', to: [segment.x2, segment.y2] })
+    };
+  }
+
+  /**
+   * Contour of a hole path, run backwards like ImageTracer does so holes stay empty with nonzero filling
+   */
+  getReversedContour(segments) {
+    const last = segments[segments.length - 1];
+    const reversed = [];
+
+    for (let i = segments.length - 1; i >= 0; i--) {
+      const segment = segments[i];
+      reversed.push(segment.type === 'Q'
+        ? { type: 'Q', control: [segment.x2, segment.y2], to: [segment.x1, segment.y1] }
+        : { type: 'L', to: [segment.x1, segment.y1] });
+    }
+
+    return {
+      start: last.type === 'Q' ? [last.x3, last.y3] : [last.x2, last.y2],
+      segments: reversed
+    };
+  }
+
+  /**
+   * #rrggbb of a palette color
+   */
+  toHex(color) {
+    return '#' + [color.r, color.g, color.b].map(n => n.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Format a number without exponent, at most 4 decimals
+   */
+  num(n) {
+    const text = (Math.round(n * 10000) / 10000).toFixed(4).replace(/\.?0+$/, '');
+    return text === '-0' ? '0' : text;
+  }
+}
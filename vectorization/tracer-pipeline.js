@@ -0,0 +1,301 @@
+/**
+ * TracerPipeline Class
+ * Runs the ImageTracer tracing steps one by one and reports progress between them
+ * Produces the same tracedata as ImageTracer.imagedataToTracedata()
+ *
+ * Works in the tracer worker and on the main thread (no DOM access)
+ */
+class TracerPipeline {
+  /**
+   * @param {Object} tracer - ImageTracer instance
+   * @param {Function} onProgress - Called with { stage, percentage }
+   */
+  constructor(tracer, onProgress = null) {
+    this.tracer = tracer;
+    this.onProgress = onProgress;
+
+    // Stage indexes, matching ProgressModal.stages
+    this.STAGE_QUANTIZE = 0;
+    this.STAGE_LAYERING = 1;
+    this.STAGE_TRACING = 2;
+    this.STAGE_RENDERING = 3;
+    this.STAGE_COMPLETE = 4;
+
+    // Share of the progress bar for quantization, layers, and SVG rendering
+    this.quantizeShare = 30;
+    this.layersShare = 65;
+
+    // Number of paths traced between two progress events
+    this.pathBatchSize = 64;
+  }
+
+  /**
+   * Report progress
+   */
+  report(stage, percentage) {
+    if (this.onProgress) {
+      this.onProgress({ stage, percentage: Math.min(100, Math.max(0, percentage)) });
+    }
+  }
+
+  /**
+   * Trace ImageData and render the SVG string
+   * @param {Object} imgd - { width, height, data } RGBA pixels
+   * @param {Object} options - Complete ImageTracer options
+   * @returns {string} - SVG string
+   */
+  imagedataToSVG(imgd, options) {
+    return this.imagedataToResult(imgd, options).svg;
+  }
+
+  /**
+   * Trace ImageData and render the SVG string, keeping the tracedata for other exporters
+   * @param {Object} imgd - { width, height, data } RGBA pixels
+   * @param {Object} options - Complete ImageTracer options
+   * @returns {Object} - { svg, tracedata }
+   */
+  imagedataToResult(imgd, options) {
+    const tracedata = this.imagedataToTracedata(imgd, options);
+
+    this.report(this.STAGE_RENDERING, this.quantizeShare + this.layersShare);
+    const svg = options.layered
+      ? this.getLayeredSvgString(tracedata, options)
+      : this.tracer.getsvgstring(tracedata, options);
+
+    this.report(this.STAGE_COMPLETE, 100);
+    return { svg, tracedata };
+  }
+
+  /**
+   * Render tracedata like ImageTracer.getsvgstring(), with the paths of each palette color
+   * grouped in <g id="layer-N" data-color="#rrggbb"> (N = palette index, empty layers are left out)
+   */
+  getLayeredSvgString(tracedata, options) {
+    options = this.tracer.checkoptions(options);
+
+    const w = tracedata.width * options.scale;
+    const h = tracedata.height * options.scale;
+    const hex = (n) => n.toString(16).padStart(2, '0');
+
+    let svgstr = '<svg ' + (options.viewbox ? `viewBox="0 0 ${w} ${h}" ` : `width="${w}" height="${h}" `) +
+      `version="1.1" xmlns="http://www.w3.org/2000/svg" desc="Created with imagetracer.js version ${this.tracer.versionnumber}" >`;
+
+    for (let lcnt = 0; lcnt < tracedata.layers.length; lcnt++) {
+      let paths = '';
+      for (let pcnt = 0; pcnt < tracedata.layers[lcnt].length; pcnt++) {
+        if (!tracedata.layers[lcnt][pcnt].isholepath) {
+          paths += this.tracer.svgpathstring(tracedata, lcnt, pcnt, options);
+        }
+      }
+
+      if (paths !== '') {
+        const c = tracedata.palette[lcnt];
+        svgstr += `<g id="layer-${lcnt}" data-color="#${hex(c.r)}${hex(c.g)}${hex(c.b)}">${paths}</g>`;
+      }
+    }
+
+    return svgstr + '</svg>';
+  }
+
+  /**
+   * Trace ImageData into tracedata (layers with paths, palette, image size)
+   */
+  imagedataToTracedata(imgd, options) {
+    options = this.tracer.checkoptions(options);
+
+    // 1. Color quantization
+    const ii = this.colorquantization(imgd, options);
+
+    // Layers progress is split in proportion to each color's pixel count
+    const total = ii.counts.reduce((sum, n) => sum + n + 1, 0);
+    const layerStart = [];
+    let acc = this.quantizeShare;
+    for (let k = 0; k < ii.palette.length; k++) {
+      layerStart[k] = acc;
+      acc += this.layersShare * (ii.counts[k] + 1) / total;
+    }
+    layerStart[ii.palette.length] = acc;
+
+    if (options.layering === 0) {
+      return this.traceSequential(ii, options, layerStart);
+    }
+    return this.traceParallel(ii, imgd, options, layerStart);
+  }
+
+  /**
+   * Sequential layering: layeringstep -> pathscan -> internodes -> batchtracepaths per color
+   */
+  traceSequential(ii, options, layerStart) {
+    const tracedata = {
+      layers: [],
+      palette: ii.palette,
+      width: ii.array[0].length - 2,
+      height: ii.array.length - 2
+    };
+
+    for (let colornum = 0; colornum < ii.palette.length; colornum++) {
+      const start = layerStart[colornum];
+      const span = layerStart[colornum + 1] - start;
+
+      // Layer separation takes a fixed fifth of this layer's share
+      const paths = this.tracer.pathscan(this.tracer.layeringstep(ii, colornum), options.pathomit);
+      this.report(this.STAGE_LAYERING, start + span * 0.2);
+
+      const internodes = this.tracer.internodes(paths, options);
+      tracedata.layers.push(this.tracePathBatches(internodes, options, start + span * 0.2, span * 0.8));
+    }
+
+    return tracedata;
+  }
+
+  /**
+   * Parallel layering: all layers separated at once, then scanned and traced layer by layer
+   */
+  traceParallel(ii, imgd, options, layerStart) {
+    const layers = this.tracer.layering(ii);
+    this.report(this.STAGE_LAYERING, this.quantizeShare);
+
+    const tracedLayers = [];
+    for (let k = 0; k < layers.length; k++) {
+      const start = layerStart[k];
+      const span = layerStart[k + 1] - start;
+
+      const paths = this.tracer.pathscan(layers[k], options.pathomit);
+      this.report(this.STAGE_LAYERING, start + span * 0.2);
+
+      const internodes = this.tracer.internodes(paths, options);
+      tracedLayers[k] = this.tracePathBatches(internodes, options, start + span * 0.2, span * 0.8);
+    }
+
+    return {
+      layers: tracedLayers,
+      palette: ii.palette,
+      width: imgd.width,
+      height: imgd.height
+    };
+  }
+
+  /**
+   * Trace a layer's paths in batches, reporting after each batch
+   */
+  tracePathBatches(internodes, options, start, span) {
+    const traced = [];
+    const count = internodes.length;
+
+    for (let i = 0; i < count; i += this.pathBatchSize) {
+      const batch = internodes.slice(i, i + this.pathBatchSize);
+      traced.push(...this.tracer.batchtracepaths(batch, options.ltres, options.qtres));
+      this.report(this.STAGE_TRACING, start + span * Math.min(count, i + this.pathBatchSize) / count);
+    }
+
+    if (count === 0) {
+      this.report(this.STAGE_TRACING, start + span);
+    }
+
+    return traced;
+  }
+
+  /**
+   * Color quantization (k-means, repeated options.colorquantcycles times)
+   * Same algorithm as ImageTracer.colorquantization(), with a progress event per cycle
+   * and the final pixel count of every palette color
+   */
+  colorquantization(imgd, options) {
+    const pixelnum = imgd.width * imgd.height;
+    const arr = [];
+    const paletteacc = [];
+    let palette;
+
+    // Filling arr (color index array) with -1
+    for (let j = 0; j < imgd.height + 2; j++) {
+      arr[j] = [];
+      for (let i = 0; i < imgd.width + 2; i++) {
+        arr[j][i] = -1;
+      }
+    }
+
+    // Use custom palette if pal is defined or sample / generate custom length palette
+    if (options.pal) {
+      palette = options.pal.map(c => ({ ...c }));
+    } else if (options.colorsampling === 0) {
+      palette = this.tracer.generatepalette(options.numberofcolors);
+    } else if (options.colorsampling === 1) {
+      palette = this.tracer.samplepalette(options.numberofcolors, imgd);
+    } else {
+      palette = this.tracer.samplepalette2(options.numberofcolors, imgd);
+    }
+
+    // Selective Gaussian blur preprocessing
+    if (options.blurradius > 0) {
+      imgd = this.tracer.blur(imgd, options.blurradius, options.blurdelta);
+    }
+
+    const data = imgd.data;
+
+    for (let cnt = 0; cnt < options.colorquantcycles; cnt++) {
+
+      // Average colors from the second iteration
+      if (cnt > 0) {
+        for (let k = 0; k < palette.length; k++) {
+          if (paletteacc[k].n > 0) {
+            palette[k] = {
+              r: Math.floor(paletteacc[k].r / paletteacc[k].n),
+              g: Math.floor(paletteacc[k].g / paletteacc[k].n),
+              b: Math.floor(paletteacc[k].b / paletteacc[k].n),
+              a: Math.floor(paletteacc[k].a / paletteacc[k].n)
+            };
+          }
+
+          // Randomizing a color, if there are too few pixels and there will be a new cycle
+          if ((paletteacc[k].n / pixelnum < options.mincolorratio) && (cnt < options.colorquantcycles - 1)) {
+            palette[k] = {
+              r: Math.floor(Math.random() * 255),
+              g: Math.floor(Math.random() * 255),
+              b: Math.floor(Math.random() * 255),
+              a: Math.floor(Math.random() * 255)
+            };
+          }
+        }
+      }
+
+      // Reseting palette accumulator for averaging
+      for (let k = 0; k < palette.length; k++) {
+        paletteacc[k] = { r: 0, g: 0, b: 0, a: 0, n: 0 };
+      }
+
+      for (let j = 0; j < imgd.height; j++) {
+        for (let i = 0; i < imgd.width; i++) {
+          const idx = (j * imgd.width + i) * 4;
+
+          // Closest palette color by rectilinear RGBA distance
+          let ci = 0;
+          let cdl = 1024;
+          for (let k = 0; k < palette.length; k++) {
+            const cd = Math.abs(palette[k].r - data[idx]) + Math.abs(palette[k].g - data[idx + 1]) +
+              Math.abs(palette[k].b - data[idx + 2]) + Math.abs(palette[k].a - data[idx + 3]);
+            if (cd < cdl) {
+              cdl = cd;
+              ci = k;
+            }
+          }
+
+          paletteacc[ci].r += data[idx];
+          paletteacc[ci].g += data[idx + 1];
+          paletteacc[ci].b += data[idx + 2];
+          paletteacc[ci].a += data[idx + 3];
+          paletteacc[ci].n++;
+
+          arr[j + 1][i + 1] = ci;
+        }
+      }
+
+      this.report(this.STAGE_QUANTIZE, this.quantizeShare * (cnt + 1) / options.colorquantcycles);
+    }
+
+    return {
+      array: arr,
+      palette,
+      counts: paletteacc.map(acc => acc.n)
+    };
+  }
+}
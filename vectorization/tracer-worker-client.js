@@ -0,0 +1,126 @@
+/**
+ * TracerWorkerClient Class
+ * Sends tracing jobs to a dedicated Web Worker and supports cancelling them
+ */
+class TracerWorkerClient {
+  constructor(workerUrl = 'vectorization/tracer-worker.js') {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.pending = new Map();
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Check if Web Workers can be used in this context
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Create the worker on first use (and again after a cancel)
+   */
+  ensureWorker() {
+    if (this.worker) {
+      return this.worker;
+    }
+
+    this.worker = new Worker(this.workerUrl);
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.failAll(new ProcessingError(event.message || 'Tracer worker crashed'));
+      this.terminate();
+    };
+
+    return this.worker;
+  }
+
+  /**
+   * Trace ImageData in the worker
+   * The pixel buffer is transferred, so imageData must not be used afterwards
+   * @param {ImageData} imageData - Source pixels
+   * @param {Object} options - Complete ImageTracer options
+   * @param {Function} onProgress - Optional, called with { stage, percentage }
+   * @param {boolean} keepTracedata - Also send back the tracedata (for EPS/DXF export)
+   * @returns {Promise<Object>} - { svg, tracedata, warning }, tracedata being null unless keepTracedata is set
+   */
+  run(imageData, options, onProgress = null, keepTracedata = false) {
+    const worker = this.ensureWorker();
+    const id = this.nextJobId++;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onProgress });
+
+      const buffer = imageData.data.buffer;
+      worker.postMessage({
+        id,
+        width: imageData.width,
+        height: imageData.height,
+        buffer,
+        options,
+        keepTracedata
+      }, [buffer]);
+    });
+  }
+
+  /**
+   * Route a worker response to its job
+   */
+  handleMessage(message) {
+    const job = this.pending.get(message.id);
+    if (!job) {
+      return; // Job was cancelled
+    }
+
+    if (message.type === 'progress') {
+      if (job.onProgress) {
+        job.onProgress({ stage: message.stage, percentage: message.percentage });
+      }
+      return;
+    }
+
+    this.pending.delete(message.id);
+
+    if (message.type === 'result') {
+      job.resolve({ svg: message.svg, tracedata: message.tracedata, warning: message.warning });
+    } else {
+      job.reject(new ProcessingError(message.message));
+    }
+  }
+
+  /**
+   * Reject every pending job
+   */
+  failAll(error) {
+    for (const job of this.pending.values()) {
+      job.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Check if a job is running or queued
+   */
+  isBusy() {
+    return this.pending.size > 0;
+  }
+
+  /**
+   * Stop the worker immediately; pending jobs reject with CancellationError
+   */
+  cancel() {
+    this.terminate();
+    this.failAll(new CancellationError('Vectorization cancelled'));
+  }
+
+  /**
+   * Terminate the worker thread
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * TracerWorkerPool Class
+ * Spreads tracing jobs over several tracer workers
+ * Same run()/cancel() interface as TracerWorkerClient
+ */
+class TracerWorkerPool {
+  /**
+   * @param {number} size - Number of workers (defaults to the CPU core count, max 8)
+   */
+  constructor(size = null) {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    this.size = Math.max(1, Math.min(size || cores, 8));
+    this.clients = [];
+    this.queue = [];
+
+    for (let i = 0; i < this.size; i++) {
+      this.clients.push(new TracerWorkerClient());
+    }
+  }
+
+  /**
+   * Trace ImageData on the first idle worker, or queue until one is free
+   * The pixel buffer is transferred, so imageData must not be used afterwards
+   * @param {ImageData} imageData - Source pixels
+   * @param {Object} options - Complete ImageTracer options
+   * @param {Function} onProgress - Optional, called with { stage, percentage }
+   * @param {boolean} keepTracedata - Also send back the tracedata
+   * @returns {Promise<Object>} - { svg, tracedata, warning }
+   */
+  run(imageData, options, onProgress = null, keepTracedata = false) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ imageData, options, onProgress, keepTracedata, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued jobs to idle workers
+   */
+  dispatch() {
+    for (const client of this.clients) {
+      if (this.queue.length === 0) {
+        return;
+      }
+      if (client.isBusy()) {
+        continue;
+      }
+
+      const job = this.queue.shift();
+      client.run(job.imageData, job.options, job.onProgress, job.keepTracedata)
+        .then(job.resolve, job.reject)
+        .finally(() => this.dispatch());
+    }
+  }
+
+  /**
+   * Number of jobs running or waiting
+   */
+  getPendingCount() {
+    return this.queue.length + this.clients.filter(client => client.isBusy()).length;
+  }
+
+  /**
+   * Stop every worker; running and queued jobs reject with CancellationError
+   */
+  cancel() {
+    const queued = this.queue;
+    this.queue = [];
+
+    queued.forEach(job => job.reject(new CancellationError('Vectorization cancelled')));
+    this.clients.forEach(client => client.cancel());
+  }
+
+  /**
+   * Terminate all worker threads
+   */
+  terminate() {
+    this.clients.forEach(client => client.terminate());
+  }
+}
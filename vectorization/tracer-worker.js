@@ -0,0 +1,54 @@
+/**
+ * Tracer Worker
+ * Runs ImageTracer off the main thread so the canvas and progress modal stay responsive
+ *
+ * Request:  { id, width, height, buffer, options, keepTracedata }  (buffer is transferred)
+ * Response: { id, type: 'progress', stage, percentage } while tracing, then
+ *           { id, type: 'result', svg, tracedata, warning } or { id, type: 'error', message }
+ *           (tracedata is null unless keepTracedata is set; warning is a message for the user or null)
+ */
+
+importScripts('../libs/imagetracer.js', 'tracer-pipeline.js', 'threshold-tracer.js',
+  'centerline-tracer.js', 'potrace-tracer.js');
+
+// Minimum time between two progress messages of the same stage
+const PROGRESS_INTERVAL = 50;
+
+self.onmessage = (event) => {
+  const { id, width, height, buffer, options, keepTracedata } = event.data;
+
+  let lastStage = -1;
+  let lastPost = 0;
+
+  const onProgress = ({ stage, percentage }) => {
+    const now = Date.now();
+    if (stage === lastStage && now - lastPost < PROGRESS_INTERVAL) {
+      return;
+    }
+    lastStage = stage;
+    lastPost = now;
+    self.postMessage({ id, type: 'progress', stage, percentage });
+  };
+
+  try {
+    const imageData = {
+      width,
+      height,
+      data: new Uint8ClampedArray(buffer)
+    };
+
+    let pipeline;
+    if (options.centerline) {
+      pipeline = new CenterlineTracer(onProgress);
+    } else if (options.bilevel) {
+      pipeline = new PotraceTracer(onProgress);
+    } else {
+      pipeline = new TracerPipeline(self.ImageTracer, onProgress);
+    }
+    const { svg, tracedata, warning = null } = pipeline.imagedataToResult(imageData, options);
+    self.postMessage({ id, type: 'result', svg, tracedata: keepTracedata ? tracedata : null, warning });
+
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message || 'Tracing failed' });
+  }
+};